@@ -1,10 +1,362 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { MongoClient, ServerApiVersion } = require('mongodb');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const fs = require('fs');
+const path = require('path');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const sharp = require('sharp');
+const { MongoClient, ServerApiVersion, ObjectId, GridFSBucket } = require('mongodb');
 const app = express();
 const port = process.env.PORT || 3000;
 // ========================================
+// LOGS ESTRUCTURADOS
+// ========================================
+// Cada línea de log es un JSON { time, level, msg, requestId, ... } para poder
+// buscarla en Railway. LOG_FORMAT=pretty vuelve al texto legible en desarrollo.
+// El requestId viaja con AsyncLocalStorage desde el handler HTTP (o el job) hasta
+// el proveedor de imágenes sin pasarlo a mano. LOG_REDACT (por defecto "tokens,prompts",
+// "none" para desactivarlo) oculta tokens, claves y prompts.
+const requestContext = new AsyncLocalStorage();
+const LOG_FORMAT = (process.env.LOG_FORMAT || 'json').toLowerCase();
+const LOG_REDACT = (process.env.LOG_REDACT ?? 'tokens,prompts').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+const originalConsole = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+function getRequestId() {
+return requestContext.getStore()?.requestId || null;
+}
+function redactLogText(text) {
+if (!LOG_REDACT.includes('tokens')) return text;
+return text
+.replace(/(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi, '$1[REDACTED]')
+.replace(/\bnb_[A-Za-z0-9_-]*/g, 'nb_[REDACTED]')
+.replace(/\bwhsec_[a-f0-9]+/g, 'whsec_[REDACTED]')
+.replace(/\bAIza[0-9A-Za-z_-]{10,}/g, '[REDACTED_API_KEY]');
+}
+// Los prompts no se pueden detectar en texto libre: quien los registra usa esta función
+function describePromptForLog(prompt) {
+if (LOG_REDACT.includes('prompts')) {
+return `[redactado, ${prompt.length} caracteres]`;
+}
+return `"${prompt.substring(0, 50)}${prompt.length > 50 ? '...' : ''}"`;
+}
+function writeLog(level, msg, fields = {}) {
+const context = requestContext.getStore() || {};
+if (LOG_FORMAT === 'pretty') {
+const prefix = context.requestId ? `[${context.requestId}] ` : '';
+const extra = Object.keys(fields).length > 0 ? ` ${util.inspect(fields, { breakLength: Infinity })}` : '';
+const method = level === 'error' ? 'error' : level === 'warn' ? 'warn' : 'log';
+originalConsole[method](redactLogText(`${prefix}${msg}${extra}`));
+return;
+}
+const entry = {
+time: new Date().toISOString(),
+level,
+msg,
+...(context.requestId ? { requestId: context.requestId } : {}),
+...(context.jobId ? { jobId: context.jobId } : {}),
+...fields
+};
+const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+stream.write(`${redactLogText(JSON.stringify(entry))}\n`);
+}
+// Log con campos propios (el resto del código sigue usando console.*)
+function logEvent(level, msg, fields = {}) {
+writeLog(level, msg, fields);
+}
+console.log = (...args) => writeLog('info', util.format(...args));
+console.info = console.log;
+console.warn = (...args) => writeLog('warn', util.format(...args));
+console.error = (...args) => writeLog('error', util.format(...args));
+// ========================================
+// MÉTRICAS (PROMETHEUS)
+// ========================================
+// Registro mínimo de métricas en formato de exposición de Prometheus, servido en
+// GET /metrics (protegido con METRICS_TOKEN si está definido).
+const metricsRegistry = [];
+const DEFAULT_LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+function formatMetricLabels(labels) {
+const entries = Object.entries(labels);
+if (entries.length === 0) return '';
+const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+function createCounter(name, help) {
+const series = new Map();
+const metric = {
+inc(labels = {}, value = 1) {
+const key = formatMetricLabels(labels);
+series.set(key, (series.get(key) || 0) + value);
+},
+render() {
+const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+for (const [labels, value] of series) lines.push(`${name}${labels} ${value}`);
+return lines.join('\n');
+}
+};
+metricsRegistry.push(metric);
+return metric;
+}
+function createHistogram(name, help, buckets = DEFAULT_LATENCY_BUCKETS) {
+const series = new Map();
+const metric = {
+observe(labels, value) {
+const key = JSON.stringify(labels);
+if (!series.has(key)) {
+series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+}
+const entry = series.get(key);
+buckets.forEach((bound, index) => {
+if (value <= bound) entry.counts[index]++;
+});
+entry.sum += value;
+entry.count++;
+},
+render() {
+const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+for (const { labels, counts, sum, count } of series.values()) {
+buckets.forEach((bound, index) => {
+lines.push(`${name}_bucket${formatMetricLabels({ ...labels, le: bound })} ${counts[index]}`);
+});
+lines.push(`${name}_bucket${formatMetricLabels({ ...labels, le: '+Inf' })} ${count}`);
+lines.push(`${name}_sum${formatMetricLabels(labels)} ${sum}`);
+lines.push(`${name}_count${formatMetricLabels(labels)} ${count}`);
+}
+return lines.join('\n');
+}
+};
+metricsRegistry.push(metric);
+return metric;
+}
+// El valor se calcula en cada scrape
+function createGauge(name, help, collect) {
+const metric = {
+render() {
+const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+for (const { labels = {}, value } of collect()) lines.push(`${name}${formatMetricLabels(labels)} ${value}`);
+return lines.join('\n');
+}
+};
+metricsRegistry.push(metric);
+return metric;
+}
+const httpRequestsTotal = createCounter('http_requests_total', 'Peticiones HTTP por ruta, método y código de estado');
+const httpRequestDuration = createHistogram('http_request_duration_seconds', 'Latencia de las peticiones HTTP por ruta');
+const geminiRequestDuration = createHistogram('gemini_request_duration_seconds', 'Latencia de cada llamada a Gemini por modelo y resultado');
+const geminiErrorsTotal = createCounter('gemini_errors_total', 'Errores de Gemini por motivo (safety, timeout, quota, unavailable, no_image, circuit_open, other)');
+const creditsConsumedTotal = createCounter('credits_consumed_total', 'Créditos cobrados por modelo y operación');
+createGauge('mongodb_connected', 'Estado de la conexión a MongoDB (1 conectado, 0 desconectado)', () => [
+{ value: dbClient && dbClient.topology && dbClient.topology.isConnected() ? 1 : 0 }
+]);
+createGauge('gemini_circuit_open', 'Circuito de Gemini abierto (1) o cerrado/semiabierto (0)', () => [
+{ value: geminiBreaker.state === 'open' ? 1 : 0 }
+]);
+function renderMetrics() {
+return `${metricsRegistry.map(metric => metric.render()).join('\n')}\n`;
+}
+// ========================================
+// ERRORES TIPADOS Y MENSAJES LOCALIZADOS
+// ========================================
+// Todo error que llega al cliente es un AppError con un código estable (INSUFFICIENT_CREDITS,
+// SAFETY_BLOCKED...) del que sale el estado HTTP. El mensaje se traduce a es/en según
+// Accept-Language y todas las respuestas de error tienen la misma forma:
+//   { success: false, code, message, requestId, details? }
+// error.message sigue siendo el texto interno (en español) que se escribe en los logs.
+const SUPPORTED_RESPONSE_LANGUAGES = ['es', 'en'];
+const DEFAULT_RESPONSE_LANGUAGE = 'es';
+const ERROR_CATALOG = {
+TOKEN_REQUIRED: { status: 401, es: () => 'Token de acceso requerido en header Authorization', en: () => 'Access token required in the Authorization header' },
+TOKEN_INVALID: { status: 401, es: () => 'Autenticación fallida. Verifica tu token de acceso.', en: () => 'Authentication failed. Check your access token.' },
+TOKEN_REVOKED: { status: 401, es: () => 'Token revocado. Genera un token nuevo.', en: () => 'Token revoked. Generate a new token.' },
+TOKEN_EXPIRED: { status: 401, es: () => 'Token expirado. Genera un token nuevo.', en: () => 'Token expired. Generate a new token.' },
+USER_DISABLED: { status: 403, es: () => 'Usuario deshabilitado. Contacta con soporte.', en: () => 'User disabled. Contact support.' },
+USER_NOT_FOUND: { status: 404, es: () => 'Usuario no encontrado', en: () => 'User not found' },
+INSUFFICIENT_CREDITS: {
+status: 400,
+es: p => `Créditos insuficientes. Necesitas ${p.needed} créditos, pero solo tienes ${p.available}.`,
+en: p => `Insufficient credits. You need ${p.needed} credits but only have ${p.available}.`
+},
+CREDITS_CONFLICT: { status: 409, es: () => 'Conflicto actualizando los créditos del usuario. Inténtalo de nuevo.', en: () => 'Conflict while updating your credits. Please try again.' },
+INVALID_REQUEST: { status: 400, es: () => 'Solicitud no válida', en: () => 'Invalid request' },
+INVALID_JSON: { status: 400, es: () => 'El cuerpo de la solicitud no es JSON válido', en: () => 'The request body is not valid JSON' },
+PAYLOAD_TOO_LARGE: { status: 413, es: () => 'La solicitud es demasiado grande', en: () => 'The request is too large' },
+INVALID_IMAGE: { status: 400, es: () => 'Imagen no válida', en: () => 'Invalid image' },
+SAFETY_BLOCKED: { status: 400, es: () => 'Contenido rechazado por políticas de seguridad. Intenta con un prompt diferente.', en: () => 'Content blocked by safety policies. Try a different prompt.' },
+PROVIDER_TIMEOUT: { status: 504, es: () => 'La generación de imagen tardó demasiado. Intenta con un prompt más simple.', en: () => 'Image generation took too long. Try a simpler prompt.' },
+PROVIDER_NO_IMAGE: { status: 502, es: () => 'El proveedor no devolvió ninguna imagen. Inténtalo de nuevo.', en: () => 'The provider did not return an image. Please try again.' },
+PROVIDER_UNAVAILABLE: { status: 503, es: () => 'Servicio temporalmente no disponible. Error en conexión con el proveedor de imágenes.', en: () => 'Service temporarily unavailable. Could not reach the image provider.' },
+PROVIDER_OVERLOADED: { status: 503, es: () => 'El proveedor de imágenes está saturado. Inténtalo de nuevo en unos segundos.', en: () => 'The image provider is overloaded. Try again in a few seconds.' },
+PROVIDER_ERROR: {
+status: 400,
+es: p => (p.reason ? `Error del proveedor de imágenes: ${p.reason}` : 'Error del proveedor de imágenes'),
+en: p => (p.reason ? `Image provider error: ${p.reason}` : 'Image provider error')
+},
+RATE_LIMITED: {
+status: 429,
+es: p => `Límite de ${p.limit} solicitudes por minuto excedido. Espera antes de reintentar.`,
+en: p => `Limit of ${p.limit} requests per minute exceeded. Wait before retrying.`
+},
+CONCURRENCY_LIMIT: {
+status: 429,
+es: p => `Ya tienes ${p.limit} generaciones en curso. Espera a que terminen antes de iniciar otra.`,
+en: p => `You already have ${p.limit} generations in progress. Wait for them to finish before starting another.`
+},
+IDEMPOTENCY_KEY_INVALID: {
+status: 400,
+es: p => `Idempotency-Key no válida (máximo ${p.maxLength} caracteres)`,
+en: p => `Invalid Idempotency-Key (maximum ${p.maxLength} characters)`
+},
+IDEMPOTENCY_CONFLICT: {
+status: 409,
+es: () => 'Esta Idempotency-Key ya se usó con un payload diferente. Usa una clave nueva para una solicitud distinta.',
+en: () => 'This Idempotency-Key was already used with a different payload. Use a new key for a different request.'
+},
+IDEMPOTENCY_IN_PROGRESS: {
+status: 409,
+es: () => 'La solicitud original con esta Idempotency-Key todavía se está procesando. Reintenta en unos segundos.',
+en: () => 'The original request with this Idempotency-Key is still being processed. Retry in a few seconds.'
+},
+MEMBER_CAP_EXCEEDED: {
+status: 403,
+es: p => `Has alcanzado tu límite mensual de ${p.cap} créditos en la organización (usados: ${p.spent}, necesarios: ${p.needed}).`,
+en: p => `You have reached your monthly limit of ${p.cap} credits in the organization (used: ${p.spent}, needed: ${p.needed}).`
+},
+ORG_NOT_FOUND: { status: 404, es: () => 'Organización no encontrada', en: () => 'Organization not found' },
+NOT_ORG_MEMBER: { status: 403, es: () => 'No perteneces a ninguna organización', en: () => 'You are not a member of any organization' },
+ORG_ROLE_REQUIRED: {
+status: 403,
+es: p => `Esta acción requiere el rol ${p.roles} en la organización`,
+en: p => `This action requires the ${p.roles} role in the organization`
+},
+ALREADY_IN_ORG: { status: 409, es: () => 'El usuario ya pertenece a una organización', en: () => 'The user already belongs to an organization' },
+INVITATION_INVALID: { status: 404, es: () => 'Invitación no válida, caducada o ya utilizada', en: () => 'Invitation is invalid, expired or already used' },
+SESSION_NOT_FOUND: { status: 404, es: () => 'Sesión de edición no encontrada', en: () => 'Edit session not found' },
+SESSION_TURN_NOT_FOUND: { status: 404, es: () => 'Turno no encontrado en la sesión', en: () => 'Turn not found in the session' },
+SESSION_TURN_UNAVAILABLE: {
+status: 410,
+es: () => 'La imagen de ese turno ya no está disponible (caducó o se eliminó). Envía baseImage o parte de otro turno.',
+en: () => 'The image for that turn is no longer available (expired or deleted). Send baseImage or start from another turn.'
+},
+JOB_INTERRUPTED: {
+status: 500,
+es: () => 'El job se interrumpió antes de completarse. Los créditos fueron devueltos.',
+en: () => 'The job was interrupted before completing. The credits were returned.'
+},
+BATCH_NOT_FOUND: { status: 404, es: () => 'Lote no encontrado', en: () => 'Batch not found' },
+JOB_NOT_FOUND: { status: 404, es: () => 'Job no encontrado', en: () => 'Job not found' },
+IMAGE_NOT_FOUND: { status: 404, es: () => 'Imagen no encontrada', en: () => 'Image not found' },
+IMAGE_CONTENT_UNAVAILABLE: { status: 404, es: () => 'Contenido de la imagen no disponible', en: () => 'Image content not available' },
+WEBHOOK_NOT_FOUND: { status: 404, es: () => 'Webhook no encontrado', en: () => 'Webhook not found' },
+CHECKOUT_NOT_FOUND: { status: 404, es: () => 'Checkout no encontrado', en: () => 'Checkout not found' },
+PAYMENTS_UNAVAILABLE: { status: 503, es: () => 'La compra de créditos no está disponible', en: () => 'Credit purchases are not available' },
+PAYMENT_START_FAILED: { status: 502, es: () => 'No se pudo iniciar el pago. Inténtalo de nuevo.', en: () => 'Could not start the payment. Please try again.' },
+PAYMENT_WEBHOOK_INVALID: { status: 400, es: () => 'Webhook de pago no válido', en: () => 'Invalid payment webhook' },
+MEMBER_NOT_FOUND: { status: 404, es: () => 'Miembro no encontrado', en: () => 'Member not found' },
+ACCESS_TOKEN_NOT_FOUND: { status: 404, es: () => 'Token no encontrado o ya revocado', en: () => 'Token not found or already revoked' },
+TEMPLATE_NOT_FOUND: { status: 404, es: () => 'Plantilla no encontrada', en: () => 'Template not found' },
+NO_ACTIVE_PLAN: { status: 404, es: () => 'El usuario no tiene un plan activo', en: () => 'The user has no active plan' },
+INVALID_PARAMETER: {
+status: 400,
+es: p => `Parámetro "${p.param}" no válido`,
+en: p => `Invalid "${p.param}" parameter`
+},
+ENDPOINT_NOT_FOUND: { status: 404, es: () => 'Endpoint no encontrado', en: () => 'Endpoint not found' },
+UNAUTHORIZED: { status: 401, es: () => 'No autorizado', en: () => 'Unauthorized' },
+FORBIDDEN: { status: 403, es: () => 'Acceso denegado', en: () => 'Access denied' },
+NOT_FOUND: { status: 404, es: () => 'Recurso no encontrado', en: () => 'Resource not found' },
+CONFLICT: { status: 409, es: () => 'La solicitud entra en conflicto con el estado actual', en: () => 'The request conflicts with the current state' },
+BAD_GATEWAY: { status: 502, es: () => 'Error en un servicio externo', en: () => 'Upstream service error' },
+SERVICE_UNAVAILABLE: { status: 503, es: () => 'Servicio no disponible', en: () => 'Service unavailable' },
+GATEWAY_TIMEOUT: { status: 504, es: () => 'La operación tardó demasiado', en: () => 'The operation took too long' },
+INTERNAL_ERROR: { status: 500, es: () => 'Error interno del servidor. Por favor, inténtalo de nuevo.', en: () => 'Internal server error. Please try again.' }
+};
+function renderErrorMessage(code, params, language) {
+const definition = ERROR_CATALOG[code] || ERROR_CATALOG.INTERNAL_ERROR;
+return (definition[language] || definition[DEFAULT_RESPONSE_LANGUAGE])(params);
+}
+// Mensajes con texto propio ({ es, en }), p. ej. los de validación
+function localizedText(es, en) {
+return { es, en };
+}
+class AppError extends Error {
+constructor(code, { params = {}, messages = null, statusCode = null, internalMessage = null, retryAfterSeconds = null } = {}) {
+super(internalMessage || messages?.es || renderErrorMessage(code, params, 'es'));
+this.name = 'AppError';
+this.code = code;
+this.params = params;
+this.messages = messages;
+this.statusCode = statusCode || (ERROR_CATALOG[code] || ERROR_CATALOG.INTERNAL_ERROR).status;
+this.retryAfterSeconds = retryAfterSeconds;
+}
+getMessage(language = DEFAULT_RESPONSE_LANGUAGE) {
+if (this.messages) return this.messages[language] || this.messages[DEFAULT_RESPONSE_LANGUAGE];
+return renderErrorMessage(this.code, this.params, language);
+}
+}
+class AuthError extends AppError {
+constructor(code) {
+super(code);
+this.name = 'AuthError';
+}
+}
+class InsufficientCreditsError extends AppError {
+constructor(needed, available) {
+super('INSUFFICIENT_CREDITS', { params: { needed, available } });
+this.name = 'InsufficientCreditsError';
+}
+}
+// messages: { es, en } creado con localizedText()
+class ValidationError extends AppError {
+constructor(messages, { code = 'INVALID_REQUEST', statusCode = 400 } = {}) {
+super(code, { messages, statusCode });
+this.name = 'ValidationError';
+}
+}
+// Cualquier error no tipado es un fallo interno: su texto solo va a los logs
+function toAppError(error) {
+if (error instanceof AppError) return error;
+return new AppError('INTERNAL_ERROR', { internalMessage: error?.message || String(error) });
+}
+function resolveResponseLanguage(req) {
+const header = req?.headers?.['accept-language'];
+if (!header) return DEFAULT_RESPONSE_LANGUAGE;
+const ranked = header.split(',')
+.map(part => {
+const [tag, ...attributes] = part.trim().split(';');
+const quality = attributes.map(attribute => attribute.trim()).find(attribute => attribute.startsWith('q='));
+return { language: tag.trim().toLowerCase().split('-')[0], q: quality ? parseFloat(quality.slice(2)) || 0 : 1 };
+})
+.filter(entry => entry.q > 0)
+.sort((a, b) => b.q - a.q);
+return ranked.find(entry => SUPPORTED_RESPONSE_LANGUAGES.includes(entry.language))?.language || DEFAULT_RESPONSE_LANGUAGE;
+}
+function buildErrorBody(error, language, extra = {}) {
+const appError = toAppError(error);
+const message = appError.getMessage(language);
+return {
+success: false,
+code: appError.code,
+message,
+...(appError.retryAfterSeconds ? { retryAfter: appError.retryAfterSeconds } : {}),
+requestId: getRequestId(),
+// El texto interno ayuda a depurar, pero no se expone en producción
+...(process.env.NODE_ENV !== 'production' && appError.message !== message ? { details: appError.message } : {}),
+...extra
+};
+}
+function sendError(res, error, extra = {}) {
+const appError = toAppError(error);
+if (appError.retryAfterSeconds) {
+res.set('Retry-After', String(appError.retryAfterSeconds));
+}
+res.status(appError.statusCode).json(buildErrorBody(appError, resolveResponseLanguage(res.req), extra));
+}
+// ========================================
 // IMPORTAR FETCH CORRECTAMENTE PARA NODE.JS
 // ========================================
 let fetch;
@@ -26,7 +378,12 @@ process.exit(1);
 // ========================================
 // VERIFICACIÓN INICIAL DE VARIABLES CLAVE
 // ========================================
-const criticalEnvVars = ['MONGODB_URI', 'GEMINI_API_KEY'];
+// GEMINI_API_KEY (o el pool GEMINI_API_KEYS) solo es obligatoria con el proveedor
+// gemini (IMAGE_PROVIDER=mock no la necesita)
+const criticalEnvVars = ['MONGODB_URI'];
+if ((process.env.IMAGE_PROVIDER || 'gemini').toLowerCase() === 'gemini' && !process.env.GEMINI_API_KEYS) {
+criticalEnvVars.push('GEMINI_API_KEY');
+}
 const missingVars = criticalEnvVars.filter(varName => !process.env[varName]);
 if (missingVars.length > 0) {
 console.error('❌ ERROR FATAL: Variables de entorno faltantes:');
@@ -36,10 +393,39 @@ process.exit(1);
 }
 console.log('✅ Variables de entorno críticas verificadas');
 console.log(`🔧 MongoDB URI configurada: ${process.env.MONGODB_URI.replace(/\/\/(.*?):(.*?)@/, '//[USER]:[PASSWORD]@')}`);
-console.log(`🔑 Gemini API Key presente: ${process.env.GEMINI_API_KEY.substring(0, 8)}...`);
+if (process.env.GEMINI_API_KEYS) {
+console.log(`🔑 Pool de Gemini API Keys presente: ${process.env.GEMINI_API_KEYS.split(',').filter(key => key.trim()).length} claves`);
+} else if (process.env.GEMINI_API_KEY) {
+console.log('🔑 Gemini API Key presente');
+}
 // ========================================
 // CONFIGURACIÓN DE MIDDLEWARES CON LÍMITES AMPLIOS
 // ========================================
+// Contexto de la petición (requestId), log de acceso y métricas HTTP: va primero
+// para que todo lo que ocurra durante la petición herede el requestId
+app.use((req, res, next) => {
+const incomingId = req.headers['x-request-id'];
+const requestId = typeof incomingId === 'string' && /^[A-Za-z0-9._-]{1,64}$/.test(incomingId)
+? incomingId
+: crypto.randomUUID();
+req.id = requestId;
+res.set('X-Request-Id', requestId);
+const startedAt = process.hrtime.bigint();
+res.on('finish', () => {
+const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+// Ruta con parámetros (/api/images/:id) para no disparar la cardinalidad
+const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+httpRequestDuration.observe({ method: req.method, route }, durationSeconds);
+requestContext.run({ requestId }, () => logEvent('info', 'http_request', {
+method: req.method,
+route,
+status: res.statusCode,
+durationMs: Math.round(durationSeconds * 1000)
+}));
+});
+requestContext.run({ requestId }, next);
+});
 // Configurar límites antes de cualquier otro middleware
 app.use(express.json({
 limit: '50mb', // Aumentado a 50MB para manejar imágenes grandes
@@ -93,16 +479,116 @@ console.log('🏓 MongoDB ping exitoso:', pingResult);
 const db = client.db("nano_banana");
 const usersCollection = db.collection("users");
 const transactionsCollection = db.collection("transactions");
+const ledgerCollection = db.collection("ledger");
+const jobsCollection = db.collection("jobs");
+const idempotencyCollection = db.collection("idempotency_keys");
+const tokensCollection = db.collection("tokens");
+const rateLimitsCollection = db.collection("rate_limits");
+const templatesCollection = db.collection("instruction_templates");
+const imagesCollection = db.collection("images");
+const webhooksCollection = db.collection("webhooks");
+const webhookDeliveriesCollection = db.collection("webhook_deliveries");
+const checkoutIntentsCollection = db.collection("checkout_intents");
+const paymentEventsCollection = db.collection("payment_events");
+const organizationsCollection = db.collection("organizations");
+const orgMembersCollection = db.collection("org_members");
+const orgInvitationsCollection = db.collection("org_invitations");
+const batchesCollection = db.collection("batches");
+const editSessionsCollection = db.collection("edit_sessions");
+const sessionTurnsCollection = db.collection("session_turns");
 // Asegurar índices
 await Promise.all([
-usersCollection.createIndex({ token: 1 }, { unique: true, background: true }),
 usersCollection.createIndex({ createdAt: 1 }, { background: true }),
 transactionsCollection.createIndex({ userId: 1 }, { background: true }),
-transactionsCollection.createIndex({ timestamp: 1 }, { background: true })
+transactionsCollection.createIndex({ timestamp: 1 }, { background: true }),
+transactionsCollection.createIndex({ userId: 1, _id: -1 }, { background: true }),
+transactionsCollection.createIndex(
+{ orgId: 1, timestamp: 1 },
+{ background: true, partialFilterExpression: { orgId: { $exists: true } } }
+),
+ledgerCollection.createIndex({ userId: 1, createdAt: 1 }, { background: true }),
+ledgerCollection.createIndex(
+{ orgId: 1, createdAt: 1 },
+{ background: true, partialFilterExpression: { orgId: { $exists: true } } }
+),
+// Un hold solo puede liquidarse una vez (capture o release)
+ledgerCollection.createIndex(
+{ settlementOf: 1 },
+{ unique: true, background: true, partialFilterExpression: { settlementOf: { $exists: true } } }
+),
+// Un checkout solo puede abonarse una vez
+ledgerCollection.createIndex(
+{ purchaseOf: 1 },
+{ unique: true, background: true, partialFilterExpression: { purchaseOf: { $exists: true } } }
+),
+jobsCollection.createIndex({ status: 1, createdAt: 1 }, { background: true }),
+jobsCollection.createIndex({ userId: 1, createdAt: -1 }, { background: true }),
+idempotencyCollection.createIndex({ userId: 1, key: 1 }, { unique: true, background: true }),
+idempotencyCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, background: true }),
+tokensCollection.createIndex({ tokenHash: 1 }, { unique: true, background: true }),
+tokensCollection.createIndex({ userId: 1, createdAt: -1 }, { background: true }),
+rateLimitsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, background: true }),
+templatesCollection.createIndex({ templateId: 1, version: 1 }, { unique: true, background: true }),
+imagesCollection.createIndex({ userId: 1, _id: -1 }, { background: true }),
+imagesCollection.createIndex({ expiresAt: 1 }, { background: true }),
+// Referencias de las sesiones deduplicadas por contenido
+imagesCollection.createIndex(
+{ userId: 1, contentHash: 1 },
+{ background: true, partialFilterExpression: { contentHash: { $exists: true } } }
+),
+webhooksCollection.createIndex({ userId: 1, createdAt: -1 }, { background: true }),
+webhookDeliveriesCollection.createIndex({ status: 1, nextAttemptAt: 1 }, { background: true }),
+webhookDeliveriesCollection.createIndex({ userId: 1, _id: -1 }, { background: true }),
+webhookDeliveriesCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, background: true }),
+checkoutIntentsCollection.createIndex({ userId: 1, createdAt: -1 }, { background: true }),
+checkoutIntentsCollection.createIndex({ provider: 1, providerRef: 1 }, { background: true }),
+paymentEventsCollection.createIndex({ provider: 1, eventId: 1 }, { unique: true, background: true }),
+// Un usuario pertenece como mucho a una organización
+orgMembersCollection.createIndex({ userId: 1 }, { unique: true, background: true }),
+orgMembersCollection.createIndex({ orgId: 1, createdAt: 1 }, { background: true }),
+orgInvitationsCollection.createIndex({ codeHash: 1 }, { unique: true, background: true }),
+orgInvitationsCollection.createIndex({ orgId: 1, createdAt: -1 }, { background: true }),
+batchesCollection.createIndex({ userId: 1, createdAt: -1 }, { background: true }),
+editSessionsCollection.createIndex({ userId: 1, _id: -1 }, { background: true }),
+sessionTurnsCollection.createIndex({ sessionId: 1, _id: 1 }, { background: true }),
+// Imágenes de entrada de los jobs y lotes en GridFS, para borrarlas al terminar
+db.collection('images.files').createIndex(
+{ 'metadata.jobId': 1 },
+{ background: true, partialFilterExpression: { 'metadata.jobId': { $exists: true } } }
+),
+db.collection('images.files').createIndex(
+{ 'metadata.batchId': 1 },
+{ background: true, partialFilterExpression: { 'metadata.batchId': { $exists: true } } }
+),
+transactionsCollection.createIndex(
+{ batchId: 1 },
+{ background: true, partialFilterExpression: { batchId: { $exists: true } } }
+)
 ]);
 console.log('✅ Índices de MongoDB verificados/creados');
 dbClient = client;
-dbCollections = { users: usersCollection, transactions: transactionsCollection };
+dbCollections = {
+users: usersCollection,
+transactions: transactionsCollection,
+ledger: ledgerCollection,
+jobs: jobsCollection,
+idempotency: idempotencyCollection,
+tokens: tokensCollection,
+rateLimits: rateLimitsCollection,
+templates: templatesCollection,
+images: imagesCollection,
+imagesBucket: new GridFSBucket(db, { bucketName: 'images' }),
+webhooks: webhooksCollection,
+webhookDeliveries: webhookDeliveriesCollection,
+checkoutIntents: checkoutIntentsCollection,
+paymentEvents: paymentEventsCollection,
+organizations: organizationsCollection,
+orgMembers: orgMembersCollection,
+orgInvitations: orgInvitationsCollection,
+batches: batchesCollection,
+editSessions: editSessionsCollection,
+sessionTurns: sessionTurnsCollection
+};
 return dbCollections;
 } catch (error) {
 console.error(`❌ Error conectando a MongoDB (intento ${retryCount + 1}):`, error.message);
@@ -121,421 +607,6263 @@ return connectToDatabase(retryCount + 1);
 throw new Error(`Error persistente conectando a MongoDB: ${error.message}`);
 }
 }
+// Ejecuta fn(session) en una transacción de MongoDB (requiere replica set, como Atlas).
+// withTransaction reintenta fn entera ante errores transitorios (p. ej. conflictos de
+// escritura con otra transacción), así que fn no debe tener efectos fuera de la base.
+async function runInTransaction(fn) {
+await connectToDatabase();
+const session = dbClient.startSession();
+try {
+let result;
+await session.withTransaction(async () => {
+result = await fn(session);
+});
+return result;
+} finally {
+await session.endSession();
+}
+}
+// ========================================
+// CATÁLOGO DE MODELOS
+// ========================================
+// Se carga desde models.json (o MODEL_CATALOG_PATH). Cada modelo define sus
+// relaciones de aspecto y resoluciones soportadas, el precio por resolución
+// ("default" si el modelo no admite resolución), el máximo de referencias, las
+// operaciones que admite y, opcionalmente, precios distintos por operación.
+const GENERATION_OPERATIONS = ['generate', 'edit', 'inpaint', 'outpaint', 'upscale', 'variations'];
+// Etiqueta legible que se guarda en el historial de transacciones
+const OPERATION_LABELS = {
+generate: 'Generación',
+edit: 'Edición',
+inpaint: 'Inpainting',
+outpaint: 'Ampliación de lienzo',
+upscale: 'Escalado',
+variations: 'Variaciones'
+};
+const MODEL_CATALOG_PATH = process.env.MODEL_CATALOG_PATH || path.join(__dirname, 'models.json');
+function loadModelCatalog(filePath) {
+const { models } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+if (!Array.isArray(models) || models.length === 0) {
+throw new Error('El catálogo debe contener un array "models" no vacío');
+}
+const catalog = {};
+for (const entry of models) {
+if (!entry.id || typeof entry.id !== 'string') {
+throw new Error('Cada modelo del catálogo necesita un "id"');
+}
+const resolutions = Array.isArray(entry.resolutions) ? entry.resolutions : [];
+const pricing = entry.pricing || {};
+const priceKeys = resolutions.length > 0 ? resolutions : ['default'];
+for (const key of priceKeys) {
+if (!Number.isInteger(pricing[key]) || pricing[key] <= 0) {
+throw new Error(`Modelo ${entry.id}: falta precio entero positivo para "${key}"`);
+}
+}
+const operations = Array.isArray(entry.operations) ? entry.operations : ['generate', 'edit', 'inpaint'];
+const unknownOperation = operations.find(operation => !GENERATION_OPERATIONS.includes(operation));
+if (unknownOperation) {
+throw new Error(`Modelo ${entry.id}: operación desconocida "${unknownOperation}"`);
+}
+const operationPricing = entry.operationPricing || {};
+for (const [operation, prices] of Object.entries(operationPricing)) {
+for (const key of priceKeys) {
+if (prices[key] !== undefined && (!Number.isInteger(prices[key]) || prices[key] <= 0)) {
+throw new Error(`Modelo ${entry.id}: precio inválido para ${operation}/"${key}"`);
+}
+}
+}
+catalog[entry.id] = {
+id: entry.id,
+displayName: entry.displayName || entry.id,
+enabled: entry.enabled !== false,
+aspectRatios: Array.isArray(entry.aspectRatios) ? entry.aspectRatios : [],
+resolutions,
+defaultResolution: entry.defaultResolution || resolutions[0] || null,
+pricing,
+operations,
+operationPricing,
+maxReferenceImages: Number.isInteger(entry.maxReferenceImages) ? entry.maxReferenceImages : 0
+};
+}
+return catalog;
+}
+let MODEL_CATALOG;
+try {
+MODEL_CATALOG = loadModelCatalog(MODEL_CATALOG_PATH);
+console.log(`✅ Catálogo de modelos cargado: ${Object.keys(MODEL_CATALOG).join(', ')}`);
+} catch (error) {
+console.error(`❌ ERROR FATAL: catálogo de modelos inválido (${MODEL_CATALOG_PATH}):`, error.message);
+process.exit(1);
+}
+function getEnabledModel(modelId) {
+const model = MODEL_CATALOG[modelId];
+return model && model.enabled ? model : null;
+}
+// Precio por imagen según la operación y la resolución solicitada (o la resolución
+// por defecto del modelo); operationPricing tiene prioridad sobre pricing
+function getModelCost(model, resolution, operation = 'generate') {
+const key = model.resolutions.length === 0 ? 'default' : (resolution || model.defaultResolution);
+return model.operationPricing[operation]?.[key] ?? model.pricing[key];
+}
+function serializeModel(model) {
+return {
+id: model.id,
+displayName: model.displayName,
+aspectRatios: model.aspectRatios,
+resolutions: model.resolutions,
+defaultResolution: model.defaultResolution,
+pricing: model.pricing,
+operations: model.operations,
+operationPricing: model.operationPricing,
+maxReferenceImages: model.maxReferenceImages
+};
+}
 // ========================================
 // FUNCIONES DE NEGOCIO
 // ========================================
+// ========================================
+// TOKENS DE API
+// ========================================
+// Solo se guarda el hash SHA-256 de cada token en la colección "tokens".
+// Un usuario puede tener varios tokens activos, cada uno con etiqueta,
+// caducidad opcional, último uso y revocación.
+const TOKEN_PREFIX = 'nb_';
+function generateUserToken() {
+return TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+}
+function hashToken(token) {
+return crypto.createHash('sha256').update(token).digest('hex');
+}
+async function issueUserToken(userId, { label, expiresAt } = {}) {
+const { tokens } = await connectToDatabase();
+const token = generateUserToken();
+const tokenDoc = {
+userId,
+tokenHash: hashToken(token),
+// Solo para identificarlo en listados, no permite autenticarse
+prefix: token.substring(0, TOKEN_PREFIX.length + 6),
+label: label || 'default',
+createdAt: new Date(),
+expiresAt: expiresAt || null,
+lastUsedAt: null,
+revokedAt: null
+};
+const result = await tokens.insertOne(tokenDoc);
+console.log(`🔑 Token "${tokenDoc.label}" emitido para usuario ${userId.toString()}`);
+// El token en claro solo se devuelve aquí; no se puede recuperar después
+return { token, tokenDoc: { ...tokenDoc, _id: result.insertedId } };
+}
+function serializeToken(tokenDoc) {
+const now = new Date();
+return {
+tokenId: tokenDoc._id.toString(),
+prefix: tokenDoc.prefix,
+label: tokenDoc.label,
+createdAt: tokenDoc.createdAt,
+expiresAt: tokenDoc.expiresAt,
+lastUsedAt: tokenDoc.lastUsedAt,
+revokedAt: tokenDoc.revokedAt,
+active: !tokenDoc.revokedAt && (!tokenDoc.expiresAt || tokenDoc.expiresAt > now)
+};
+}
+// Revoca un token concreto, o todos los del usuario si tokenId es null
+async function revokeUserTokens(userId, tokenId = null) {
+const { tokens } = await connectToDatabase();
+const filter = { userId, revokedAt: null };
+if (tokenId) filter._id = tokenId;
+const result = await tokens.updateMany(filter, { $set: { revokedAt: new Date() } });
+console.log(`🔒 ${result.modifiedCount} token(s) revocado(s) para usuario ${userId.toString()}`);
+return result.modifiedCount;
+}
+// Acepta "expiresInDays" (número de días) y devuelve la fecha de caducidad,
+// null si no caduca o undefined si el valor no es válido
+function parseTokenExpiry(expiresInDays) {
+if (expiresInDays === undefined || expiresInDays === null) return null;
+if (!Number.isInteger(expiresInDays) || expiresInDays <= 0 || expiresInDays > 3650) return undefined;
+return new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+}
 async function verifyUserToken(token) {
 if (!token || typeof token !== 'string' || token.trim() === '') {
-throw new Error('Token inválido o vacío');
+throw new AuthError('TOKEN_REQUIRED');
 }
 try {
-const { users } = await connectToDatabase();
-const user = await users.findOne({ token: token.trim() });
+const { users, tokens } = await connectToDatabase();
+const tokenDoc = await tokens.findOne({ tokenHash: hashToken(token.trim()) });
+if (!tokenDoc) {
+throw new AuthError('TOKEN_INVALID');
+}
+if (tokenDoc.revokedAt) {
+throw new AuthError('TOKEN_REVOKED');
+}
+if (tokenDoc.expiresAt && tokenDoc.expiresAt <= new Date()) {
+throw new AuthError('TOKEN_EXPIRED');
+}
+const user = await users.findOne({ _id: tokenDoc.userId });
 if (!user) {
-throw new Error('Usuario no encontrado con este token');
+throw new AuthError('TOKEN_INVALID');
 }
-// Actualizar última conexión
-await users.updateOne(
-{ _id: user._id },
-{ $set: { lastLogin: new Date() } }
-);
+if (user.disabled) {
+throw new AuthError('USER_DISABLED');
+}
+// Actualizar última conexión y último uso del token
+const now = new Date();
+await Promise.all([
+users.updateOne({ _id: user._id }, { $set: { lastLogin: now } }),
+tokens.updateOne({ _id: tokenDoc._id }, { $set: { lastUsedAt: now } })
+]);
+user.currentToken = { ...tokenDoc, lastUsedAt: now };
 return user;
 } catch (error) {
 console.error('❌ Error en verifyUserToken:', error.message);
 throw error;
 }
 }
-async function generateImageWithGemini(payload, instruction) {
+// Los tokens en texto plano de users.token se mueven a la colección "tokens"
+// como hash y se eliminan del usuario
+async function migrateLegacyTokens() {
+const { users, tokens } = await connectToDatabase();
 try {
-const { model, prompt, operation, referenceImages, baseImage, maskImage, aspectRatio, resolution } = payload;
-// Validar parámetros críticos
-if (!model || !prompt) {
-throw new Error('Modelo y prompt son requeridos para generar imagen');
+// El índice único antiguo impediría tener varios usuarios sin token
+await users.dropIndex('token_1');
+console.log('🗑️ Índice users.token eliminado');
+} catch (error) {
+if (error.codeName !== 'IndexNotFound' && error.code !== 27) throw error;
 }
-// Preparar partes del contenido
-const parts = [];
-// Instrucciones forzadas
-parts.push({ text: instruction });
-// Imágenes de referencia
-if (Array.isArray(referenceImages) && referenceImages.length > 0) {
-for (let i = 0; i < referenceImages.length; i++) {
-const ref = referenceImages[i];
-if (!ref?.data || !ref?.mimeType) continue;
-parts.push({
-text: `REFERENCE_${i + 1}: guía SOLO de estilo/continuidad. Usa su paleta de color, iluminación y textura, pero NO copies su geometría ni encuadre 1:1.`
+const legacyUsers = await users.find(
+{ token: { $exists: true } },
+{ projection: { token: 1, createdAt: 1 } }
+).toArray();
+for (const legacyUser of legacyUsers) {
+// Los tokens "revoked_*" eran revocaciones del esquema anterior: no se migran
+if (typeof legacyUser.token === 'string' && legacyUser.token.trim() !== '' && !legacyUser.token.startsWith('revoked_')) {
+await tokens.updateOne(
+{ tokenHash: hashToken(legacyUser.token.trim()) },
+{
+$setOnInsert: {
+userId: legacyUser._id,
+prefix: legacyUser.token.substring(0, 6),
+label: 'legacy',
+createdAt: legacyUser.createdAt || new Date(),
+expiresAt: null,
+lastUsedAt: null,
+revokedAt: null
+}
+},
+{ upsert: true }
+);
+}
+await users.updateOne({ _id: legacyUser._id }, { $unset: { token: '' } });
+}
+if (legacyUsers.length > 0) {
+console.log(`🔐 ${legacyUsers.length} token(s) en texto plano migrados a hash`);
+}
+}
+// ========================================
+// LIBRO MAYOR DE CRÉDITOS (LEDGER)
+// ========================================
+// Cada movimiento de créditos es una entrada inmutable en la colección "ledger":
+//   grant   → abono de créditos (amount puede ser negativo para retirar)
+//   hold    → créditos apartados antes de llamar al proveedor
+//   capture → el hold se cobra definitivamente
+//   release → el hold se devuelve al saldo disponible
+//   refund  → devolución de créditos ya cobrados
+//   purchase → créditos comprados (uno por checkout pagado)
+//   expire  → créditos de un plan que caducaron sin usarse
+// users.creditsBalance (disponible) y users.creditsHeld (retenido) son solo
+// una caché de estas entradas y siempre pueden reconstruirse con computeLedgerBalance().
+// Cada cambio de saldo se escribe junto con su entrada en una transacción (runInTransaction),
+// así que un fallo a mitad nunca deja la caché desalineada del ledger.
+// Las entradas con orgId mueven el fondo de una organización, no el saldo del usuario.
+//
+// Parte del saldo puede tener fecha de caducidad: users.creditBuckets guarda esas
+// bolsas { bucketId, source, planId, amount, held, grantedAt, expiresAt, expired }.
+// El resto de creditsBalance no caduca. Se gasta primero lo que antes caduca;
+// users.bucketsVersion protege las bolsas frente a actualizaciones concurrentes.
+const LEDGER_TYPES = ['hold', 'capture', 'release', 'grant', 'refund', 'purchase', 'expire'];
+async function appendLedgerEntry(entry, { session } = {}) {
+if (!LEDGER_TYPES.includes(entry.type)) {
+throw new Error(`Tipo de movimiento de ledger no válido: ${entry.type}`);
+}
+const { ledger } = await connectToDatabase();
+const doc = { ...entry, createdAt: new Date() };
+const result = await ledger.insertOne(doc, { session });
+return { ...doc, _id: result.insertedId };
+}
+// Reparte un gasto entre las bolsas vigentes, de la que antes caduca a la que más tarde.
+// Lo que no cubran las bolsas sale del saldo sin caducidad.
+function consumeCreditBuckets(buckets, amount) {
+const now = new Date();
+const updated = buckets.map(bucket => ({ ...bucket }));
+const consumed = [];
+let remaining = amount;
+const spendable = updated
+.filter(bucket => !bucket.expired && bucket.amount > 0 && bucket.expiresAt > now)
+.sort((a, b) => a.expiresAt - b.expiresAt);
+for (const bucket of spendable) {
+if (remaining === 0) break;
+const taken = Math.min(bucket.amount, remaining);
+bucket.amount -= taken;
+remaining -= taken;
+consumed.push({ bucketId: bucket.bucketId, amount: taken });
+}
+return { buckets: updated, consumed };
+}
+// Actualización optimista de las bolsas: mutate(user) devuelve { buckets, inc, set, filter, ...extra }
+// o null para no hacer nada; si otra operación cambió las bolsas entre medias se reintenta
+// con espera exponencial y jitter para que las operaciones concurrentes no choquen de nuevo.
+// Dentro de una transacción el choque llega como WriteConflict y lo reintenta withTransaction.
+const CREDIT_BUCKETS_MAX_ATTEMPTS = 10;
+const CREDIT_BUCKETS_RETRY_BASE_MS = 10;
+const CREDIT_BUCKETS_RETRY_MAX_MS = 500;
+async function updateCreditBuckets(userId, mutate, { session } = {}) {
+const { users } = await connectToDatabase();
+for (let attempt = 0; attempt < CREDIT_BUCKETS_MAX_ATTEMPTS; attempt++) {
+if (attempt > 0) {
+const ceilingMs = Math.min(CREDIT_BUCKETS_RETRY_MAX_MS, CREDIT_BUCKETS_RETRY_BASE_MS * 2 ** attempt);
+await new Promise(resolve => setTimeout(resolve, Math.floor(Math.random() * ceilingMs)));
+}
+const current = await users.findOne(
+{ _id: userId },
+{ projection: { creditsBalance: 1, creditsHeld: 1, creditBuckets: 1, bucketsVersion: 1, plan: 1 }, session }
+);
+if (!current) return null;
+const change = mutate({ ...current, creditBuckets: current.creditBuckets || [] });
+if (!change) return { user: current, change: null };
+const updated = await users.findOneAndUpdate(
+{ _id: userId, bucketsVersion: current.bucketsVersion ?? null, ...(change.filter || {}) },
+{ $set: { creditBuckets: change.buckets, ...(change.set || {}) }, $inc: { ...(change.inc || {}), bucketsVersion: 1 } },
+{ returnDocument: 'after', session }
+);
+if (updated) return { user: updated, change };
+}
+throw new AppError('CREDITS_CONFLICT');
+}
+async function holdCredits(userId, amount, metadata = {}) {
+const { users } = await connectToDatabase();
+// Reserva atómica: solo se aparta si hay saldo suficiente en este instante.
+// El saldo y la entrada de hold se escriben en la misma transacción.
+const { updated, entry, consumed } = await runInTransaction(async session => {
+const result = await updateCreditBuckets(userId, current => {
+if ((current.creditsBalance || 0) < amount) return null;
+const { buckets, consumed } = consumeCreditBuckets(current.creditBuckets, amount);
+for (const { bucketId, amount: taken } of consumed) {
+const bucket = buckets.find(b => b.bucketId.equals(bucketId));
+bucket.held = (bucket.held || 0) + taken;
+}
+return {
+buckets,
+consumed,
+inc: { creditsBalance: -amount, creditsHeld: amount },
+filter: { creditsBalance: { $gte: amount } }
+};
+}, { session });
+if (!result?.change) {
+const current = result?.user || await users.findOne({ _id: userId }, { projection: { creditsBalance: 1 }, session });
+throw new InsufficientCreditsError(amount, current?.creditsBalance ?? 0);
+}
+const entry = await appendLedgerEntry({
+userId,
+type: 'hold',
+amount,
+balanceAfter: result.user.creditsBalance,
+buckets: result.change.consumed,
+...metadata
+}, { session });
+return { updated: result.user, entry, consumed: result.change.consumed };
+});
+console.log(`🔒 Hold ${entry._id.toString()}: ${amount} créditos apartados. Disponibles: ${updated.creditsBalance}`);
+return { holdId: entry._id, amount, balanceAfter: updated.creditsBalance, buckets: consumed };
+}
+// inTransaction(session, settled) se ejecuta dentro de la misma transacción que la
+// liquidación (p. ej. para registrar la transacción de la generación junto al cobro).
+// Devuelve null si el hold ya estaba liquidado: entonces no se cobró ni liberó nada.
+async function settleHold(hold, type, metadata = {}, { inTransaction = null } = {}) {
+const { ledger } = await connectToDatabase();
+// Los holds recuperados (jobs interrumpidos) solo traen holdId, userId y amount:
+// sus bolsas y su organización se leen de la entrada de hold
+const holdEntry = hold.buckets || hold.orgId
+? hold
+: await ledger.findOne({ _id: hold.holdId }, { projection: { buckets: 1, orgId: 1, capPeriod: 1 } }) || {};
+let settled;
+try {
+// La liquidación y el cambio de saldo van en una transacción; el índice único sobre
+// settlementOf garantiza que un hold solo se capture o libere una vez
+settled = await runInTransaction(async session => {
+const applied = await applyHoldSettlement(hold, holdEntry, type, metadata, session);
+if (inTransaction) await inTransaction(session, applied);
+return applied;
+});
+} catch (error) {
+if (error.code === 11000) {
+console.warn(`⚠️ Hold ${hold.holdId.toString()} ya estaba liquidado, se ignora ${type}`);
+return null;
+}
+throw error;
+}
+console.log(`${type === 'capture' ? '💳' : '🔓'} Hold ${hold.holdId.toString()} ${type === 'capture' ? 'capturado' : 'liberado'}: ${hold.amount} créditos`);
+return { entryId: settled.entry._id, balanceAfter: settled.updated?.creditsBalance };
+}
+async function applyHoldSettlement(hold, holdEntry, type, metadata, session) {
+const { users } = await connectToDatabase();
+const entry = await appendLedgerEntry({
+userId: hold.userId,
+...(holdEntry.orgId ? { orgId: holdEntry.orgId } : {}),
+type,
+amount: hold.amount,
+holdId: hold.holdId,
+settlementOf: hold.holdId,
+...metadata
+}, { session });
+const heldBuckets = holdEntry.buckets || [];
+let updated;
+let expiredOnRelease = 0;
+if (holdEntry.orgId) {
+updated = await settleOrgHold({ ...hold, orgId: holdEntry.orgId, capPeriod: holdEntry.capPeriod }, type, session);
+} else if (heldBuckets.length === 0) {
+const inc = type === 'capture'
+? { creditsHeld: -hold.amount }
+: { creditsHeld: -hold.amount, creditsBalance: hold.amount };
+updated = await users.findOneAndUpdate(
+{ _id: hold.userId },
+{ $inc: inc },
+{ returnDocument: 'after', session }
+);
+} else {
+const result = await updateCreditBuckets(hold.userId, current => {
+const now = new Date();
+let returned = hold.amount;
+let expired = 0;
+const buckets = current.creditBuckets.map(bucket => ({ ...bucket }));
+for (const { bucketId, amount } of heldBuckets) {
+const bucket = buckets.find(b => b.bucketId.equals(bucketId));
+if (bucket) bucket.held = Math.max(0, (bucket.held || 0) - amount);
+if (type !== 'release') continue;
+// Lo liberado de una bolsa ya caducada caduca también
+if (!bucket || bucket.expired || bucket.expiresAt <= now) {
+returned -= amount;
+expired += amount;
+} else {
+bucket.amount += amount;
+}
+}
+return {
+buckets: buckets.filter(bucket => !(bucket.expired && bucket.held === 0 && bucket.amount === 0)),
+expired,
+inc: type === 'capture' ? { creditsHeld: -hold.amount } : { creditsHeld: -hold.amount, creditsBalance: returned }
+};
+}, { session });
+updated = result?.user;
+expiredOnRelease = result?.change?.expired || 0;
+}
+if (expiredOnRelease > 0) {
+await appendLedgerEntry({
+userId: hold.userId,
+type: 'expire',
+amount: expiredOnRelease,
+holdId: hold.holdId,
+reason: 'released_after_expiry'
+}, { session });
+}
+return { entry, updated };
+}
+async function captureHold(hold, metadata = {}, options = {}) {
+return settleHold(hold, 'capture', metadata, options);
+}
+async function releaseHold(hold, metadata = {}) {
+return settleHold(hold, 'release', metadata);
+}
+async function grantCredits(userId, amount, reason, metadata = {}) {
+if (!Number.isInteger(amount) || amount === 0) {
+throw new Error('La cantidad de créditos debe ser un entero distinto de cero');
+}
+const { users } = await connectToDatabase();
+const { updated, entry } = await runInTransaction(async session => {
+let updated;
+if (amount > 0) {
+updated = await users.findOneAndUpdate(
+{ _id: userId },
+{ $inc: { creditsBalance: amount } },
+{ returnDocument: 'after', session }
+);
+} else {
+// Una retirada consume también las bolsas para que nunca sumen más que el saldo
+const result = await updateCreditBuckets(userId, current => {
+if ((current.creditsBalance || 0) < -amount) return null;
+const { buckets } = consumeCreditBuckets(current.creditBuckets, -amount);
+return { buckets, inc: { creditsBalance: amount }, filter: { creditsBalance: { $gte: -amount } } };
+}, { session });
+if (result && !result.change) {
+throw new InsufficientCreditsError(-amount, result.user.creditsBalance || 0);
+}
+updated = result?.user;
+}
+if (!updated) {
+throw new AppError('USER_NOT_FOUND');
+}
+const entry = await appendLedgerEntry({
+userId,
+type: metadata.type || 'grant',
+amount,
+reason: reason || null,
+balanceAfter: updated.creditsBalance,
+...metadata
+}, { session });
+return { updated, entry };
+});
+console.log(`🎁 ${entry.type} de ${amount} créditos para usuario ${userId.toString()}. Saldo: ${updated.creditsBalance}`);
+return { entryId: entry._id, balanceAfter: updated.creditsBalance };
+}
+async function refundCredits(userId, amount, reason, metadata = {}) {
+return grantCredits(userId, amount, reason, { ...metadata, type: 'refund' });
+}
+// Reconstruye el saldo de un usuario a partir de sus entradas de ledger
+async function computeLedgerBalance(userId) {
+return sumLedgerBalance({ userId, orgId: null });
+}
+async function computeOrgLedgerBalance(orgId) {
+return sumLedgerBalance({ orgId });
+}
+async function sumLedgerBalance(match) {
+const { ledger } = await connectToDatabase();
+const totals = { hold: 0, capture: 0, release: 0, grant: 0, refund: 0, purchase: 0, expire: 0 };
+const cursor = ledger.aggregate([
+{ $match: match },
+{ $group: { _id: '$type', total: { $sum: '$amount' } } }
+]);
+for await (const row of cursor) {
+totals[row._id] = row.total;
+}
+return {
+available: totals.grant + totals.refund + totals.purchase - totals.hold + totals.release - totals.expire,
+held: totals.hold - totals.capture - totals.release,
+totals
+};
+}
+// Los usuarios creados antes del ledger tienen saldo sin entradas: se registra
+// un grant de apertura para que su saldo pueda reconstruirse
+async function migrateLegacyBalances() {
+const { users } = await connectToDatabase();
+const legacyUsers = await users.find(
+{ ledgerInitialized: { $ne: true } },
+{ projection: { creditsBalance: 1 } }
+).toArray();
+// La marca y el grant de apertura van en la misma transacción, con el saldo que
+// tiene el usuario al marcarlo (no el de la lectura inicial)
+for (const legacyUser of legacyUsers) {
+await runInTransaction(async session => {
+const claimed = await users.findOneAndUpdate(
+{ _id: legacyUser._id, ledgerInitialized: { $ne: true } },
+{ $set: { ledgerInitialized: true } },
+{ returnDocument: 'after', projection: { creditsBalance: 1 }, session }
+);
+if (!claimed) return;
+const openingBalance = claimed.creditsBalance || 0;
+if (openingBalance !== 0) {
+await appendLedgerEntry({
+userId: legacyUser._id,
+type: 'grant',
+amount: openingBalance,
+reason: 'opening_balance',
+balanceAfter: openingBalance
+}, { session });
+}
+});
+}
+if (legacyUsers.length > 0) {
+console.log(`📒 Ledger inicializado para ${legacyUsers.length} usuarios existentes`);
+}
+}
+// ========================================
+// PLANES DE SUSCRIPCIÓN
+// ========================================
+// Un plan abona monthlyCredits en cada renovación mensual, en una bolsa que
+// caduca en la renovación siguiente. El job de renovación (en proceso) caduca
+// las bolsas vencidas y abona las nuevas; las actualizaciones son atómicas por
+// usuario, así que varias instancias pueden ejecutarlo a la vez sin duplicar abonos.
+const PLANS_PATH = process.env.PLANS_PATH || path.join(__dirname, 'plans.json');
+const PLAN_RENEWAL_INTERVAL_MS = parseInt(process.env.PLAN_RENEWAL_INTERVAL_MS, 10) || 5 * 60 * 1000;
+let planRenewalInterval = null;
+function loadPlans(filePath) {
+const { currency, plans } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+if (!Array.isArray(plans)) {
+throw new Error('El catálogo debe contener un array "plans"');
+}
+const catalog = {};
+for (const entry of plans) {
+if (!entry.id || typeof entry.id !== 'string') {
+throw new Error('Cada plan necesita un "id"');
+}
+if (!Number.isInteger(entry.monthlyCredits) || entry.monthlyCredits <= 0) {
+throw new Error(`Plan ${entry.id}: "monthlyCredits" debe ser un entero positivo`);
+}
+catalog[entry.id] = {
+id: entry.id,
+displayName: entry.displayName || entry.id,
+enabled: entry.enabled !== false,
+monthlyCredits: entry.monthlyCredits,
+priceCents: Number.isInteger(entry.priceCents) ? entry.priceCents : null,
+currency: entry.currency || currency || 'EUR'
+};
+}
+return catalog;
+}
+let PLANS;
+try {
+PLANS = loadPlans(PLANS_PATH);
+console.log(`✅ Planes cargados: ${Object.keys(PLANS).join(', ') || '(ninguno)'}`);
+} catch (error) {
+console.error(`❌ ERROR FATAL: catálogo de planes inválido (${PLANS_PATH}):`, error.message);
+process.exit(1);
+}
+// Suma meses en UTC conservando el día de alta (31 ene + 1 mes → 28/29 feb)
+function addMonthsUTC(date, months) {
+const year = date.getUTCFullYear();
+const month = date.getUTCMonth() + months;
+const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+const result = new Date(date);
+result.setUTCFullYear(year, month, Math.min(date.getUTCDate(), lastDay));
+return result;
+}
+function buildPlanBucket(plan, grantedAt, expiresAt) {
+return {
+bucketId: new ObjectId(),
+source: 'plan',
+planId: plan.id,
+amount: plan.monthlyCredits,
+held: 0,
+grantedAt,
+expiresAt
+};
+}
+async function recordPlanGrant(userId, plan, bucket, balanceAfter, session) {
+await appendLedgerEntry({
+userId,
+type: 'grant',
+amount: bucket.amount,
+reason: 'plan_allowance',
+planId: plan.id,
+bucketId: bucket.bucketId,
+expiresAt: bucket.expiresAt,
+balanceAfter
+}, { session });
+console.log(`📅 Plan ${plan.id}: ${bucket.amount} créditos para usuario ${userId.toString()} (caducan ${bucket.expiresAt.toISOString()})`);
+}
+// Asigna (o cambia) el plan de un usuario y abona la asignación del primer periodo.
+// Las bolsas de planes anteriores conservan su fecha de caducidad.
+// Es idempotente por plan y periodo: reasignar el plan activo (o reintentar la
+// solicitud) no cambia nada, y volver a un plan cuya bolsa del periodo sigue viva
+// retoma ese periodo sin abonarlo otra vez.
+async function assignPlan(userId, plan) {
+const { users } = await connectToDatabase();
+const now = new Date();
+const outcome = await runInTransaction(async session => {
+const result = await updateCreditBuckets(userId, current => {
+if (current.plan?.status === 'active' && current.plan.planId === plan.id) return null;
+const liveBucket = current.creditBuckets.find(bucket =>
+bucket.source === 'plan' && bucket.planId === plan.id && !bucket.expired && bucket.expiresAt > now
+);
+const bucket = liveBucket ? null : buildPlanBucket(plan, now, addMonthsUTC(now, 1));
+const periodStart = liveBucket ? liveBucket.grantedAt : now;
+return {
+bucket,
+buckets: bucket ? [...current.creditBuckets, bucket] : current.creditBuckets,
+inc: bucket ? { creditsBalance: bucket.amount } : {},
+set: {
+plan: {
+planId: plan.id,
+status: 'active',
+anchorAt: periodStart,
+periods: 1,
+currentPeriodStart: periodStart,
+nextRenewalAt: liveBucket ? liveBucket.expiresAt : bucket.expiresAt
+}
+}
+};
+}, { session });
+if (result?.change?.bucket) {
+await recordPlanGrant(userId, plan, result.change.bucket, result.user.creditsBalance, session);
+}
+return result;
+});
+if (!outcome) {
+throw new AppError('USER_NOT_FOUND');
+}
+if (!outcome.change) {
+console.log(`📅 Usuario ${userId.toString()} ya tenía el plan ${plan.id}: no se abona de nuevo`);
+return users.findOne({ _id: userId });
+}
+if (!outcome.change.bucket) {
+console.log(`📅 Usuario ${userId.toString()} vuelve al plan ${plan.id}: se retoma el periodo ya abonado`);
+}
+return outcome.user;
+}
+async function cancelPlan(userId) {
+const { users } = await connectToDatabase();
+return users.findOneAndUpdate(
+{ _id: userId, 'plan.status': 'active' },
+{ $set: { 'plan.status': 'canceled', 'plan.canceledAt': new Date() } },
+{ returnDocument: 'after' }
+);
+}
+// Caduca el saldo restante de las bolsas vencidas. Las bolsas con créditos
+// retenidos se marcan como caducadas y se eliminan al liquidar el hold.
+async function expireCreditBuckets() {
+const { users } = await connectToDatabase();
+const now = new Date();
+const due = await users.find(
+{ creditBuckets: { $elemMatch: { expiresAt: { $lte: now }, expired: { $ne: true } } } },
+{ projection: { _id: 1 } }
+).toArray();
+for (const { _id: userId } of due) {
+await runInTransaction(async session => {
+const result = await updateCreditBuckets(userId, current => {
+let expired = 0;
+const bucketIds = [];
+const buckets = [];
+for (const bucket of current.creditBuckets) {
+if (bucket.expired || bucket.expiresAt > now) {
+buckets.push(bucket);
+continue;
+}
+expired += bucket.amount;
+bucketIds.push(bucket.bucketId);
+if ((bucket.held || 0) > 0) {
+buckets.push({ ...bucket, amount: 0, expired: true });
+}
+}
+if (bucketIds.length === 0) return null;
+// Nunca dejar el saldo en negativo aunque la caché estuviera desajustada
+expired = Math.min(expired, current.creditsBalance || 0);
+return { buckets, expired, bucketIds, inc: { creditsBalance: -expired }, filter: { creditsBalance: { $gte: expired } } };
+}, { session });
+const change = result?.change;
+if (change && change.expired > 0) {
+await appendLedgerEntry({
+userId,
+type: 'expire',
+amount: change.expired,
+reason: 'plan_period_end',
+bucketIds: change.bucketIds,
+balanceAfter: result.user.creditsBalance
+}, { session });
+console.log(`⌛ ${change.expired} créditos caducados para usuario ${userId.toString()}`);
+}
+});
+}
+}
+// Abona el periodo en curso a los planes activos cuya renovación ha vencido.
+// Si el servidor estuvo parado varios periodos solo se abona el actual.
+async function renewSubscriptions() {
+const { users } = await connectToDatabase();
+const now = new Date();
+const due = await users.find(
+{ 'plan.status': 'active', 'plan.nextRenewalAt': { $lte: now } },
+{ projection: { plan: 1 } }
+).toArray();
+for (const user of due) {
+const plan = PLANS[user.plan.planId];
+if (!plan) {
+console.warn(`⚠️ Usuario ${user._id.toString()} tiene un plan desconocido: ${user.plan.planId}`);
+continue;
+}
+let periods = user.plan.periods;
+while (addMonthsUTC(user.plan.anchorAt, periods) <= now) periods++;
+const currentPeriodStart = addMonthsUTC(user.plan.anchorAt, periods - 1);
+const nextRenewalAt = addMonthsUTC(user.plan.anchorAt, periods);
+const bucket = buildPlanBucket(plan, currentPeriodStart, nextRenewalAt);
+// El filtro sobre nextRenewalAt hace que cada periodo se abone una sola vez;
+// el abono y su entrada de ledger van en la misma transacción
+await runInTransaction(async session => {
+const updated = await users.findOneAndUpdate(
+{ _id: user._id, 'plan.status': 'active', 'plan.nextRenewalAt': user.plan.nextRenewalAt },
+{
+$set: { 'plan.periods': periods, 'plan.currentPeriodStart': currentPeriodStart, 'plan.nextRenewalAt': nextRenewalAt },
+$push: { creditBuckets: bucket },
+$inc: { creditsBalance: bucket.amount, bucketsVersion: 1 }
+},
+{ returnDocument: 'after', session }
+);
+if (!updated) return;
+await recordPlanGrant(user._id, plan, bucket, updated.creditsBalance, session);
+});
+}
+}
+async function runPlanRenewals() {
+try {
+// Primero caducar lo vencido para que no se solape con la nueva asignación
+await expireCreditBuckets();
+await renewSubscriptions();
+} catch (error) {
+console.error('❌ Error en la renovación de planes:', error.message);
+}
+}
+function startPlanRenewalJob() {
+runPlanRenewals();
+planRenewalInterval = setInterval(runPlanRenewals, PLAN_RENEWAL_INTERVAL_MS);
+}
+function serializePlan(plan) {
+return {
+id: plan.id,
+displayName: plan.displayName,
+monthlyCredits: plan.monthlyCredits,
+priceCents: plan.priceCents,
+currency: plan.currency
+};
+}
+// Plan del usuario y créditos con caducidad, para verify-token y la API de administración
+function serializeUserPlan(user) {
+const now = new Date();
+const expiringCredits = (user.creditBuckets || [])
+.filter(bucket => !bucket.expired && bucket.amount > 0 && bucket.expiresAt > now)
+.sort((a, b) => a.expiresAt - b.expiresAt)
+.map(bucket => ({ amount: bucket.amount, expiresAt: bucket.expiresAt, planId: bucket.planId || null }));
+if (!user.plan) {
+return { plan: null, expiringCredits };
+}
+const plan = PLANS[user.plan.planId];
+const active = user.plan.status === 'active';
+return {
+plan: {
+planId: user.plan.planId,
+displayName: plan?.displayName || user.plan.planId,
+monthlyCredits: plan?.monthlyCredits ?? null,
+status: user.plan.status,
+currentPeriodStart: user.plan.currentPeriodStart,
+nextRenewalAt: active ? user.plan.nextRenewalAt : null
+},
+expiringCredits
+};
+}
+// ========================================
+// ORGANIZACIONES (FONDO DE CRÉDITOS COMPARTIDO)
+// ========================================
+// Una organización tiene su propio saldo (organizations.creditsBalance/creditsHeld,
+// también caché del ledger) y miembros en "org_members" con rol owner/admin/member.
+// Cada usuario pertenece como mucho a una organización; mientras sea miembro sus
+// generaciones se cobran del fondo común y la transacción queda a su nombre.
+// Su saldo personal no se transfiere al unirse y las asignaciones de su plan se siguen
+// abonando a su nombre. Ese saldo solo se usa si la petición lo pide con
+// personalCreditsFallback: true y el fondo no alcanza; el tope mensual del miembro
+// nunca se salta (ver holdGenerationCredits).
+// Las entradas de ledger que mueven el fondo llevan orgId (y userId del miembro si lo hay).
+// monthlyCap limita lo que un miembro puede gastar por mes natural (UTC):
+// org_members.spentByMonth["YYYY-MM"] cuenta lo cobrado y lo apartado.
+const ORG_ROLES = ['owner', 'admin', 'member'];
+const ORG_MANAGER_ROLES = ['owner', 'admin'];
+const ORG_INVITATION_PREFIX = 'inv_';
+const ORG_INVITATION_TTL_DAYS = parseInt(process.env.ORG_INVITATION_TTL_DAYS, 10) || 7;
+function getUsagePeriod(date = new Date()) {
+return date.toISOString().substring(0, 7);
+}
+// Devuelve { member, organization } o null si el usuario no pertenece a ninguna
+async function findOrgMembership(userId) {
+const { organizations, orgMembers } = await connectToDatabase();
+const member = await orgMembers.findOne({ userId });
+if (!member) return null;
+const organization = await organizations.findOne({ _id: member.orgId });
+return organization ? { member, organization } : null;
+}
+// Como findOrgMembership(), pero lanza si el usuario no es miembro o no tiene uno de los roles
+async function getOrgMembershipWithRole(userId, roles = ORG_ROLES) {
+const membership = await findOrgMembership(userId);
+if (!membership) {
+throw new AppError('NOT_ORG_MEMBER');
+}
+if (!roles.includes(membership.member.role)) {
+throw new AppError('ORG_ROLE_REQUIRED', { params: { roles: roles.join('/') } });
+}
+return membership;
+}
+// Suma amount al gasto del mes solo si cabe en el tope del miembro (sin tope, siempre cabe)
+async function reserveMemberCap(member, amount, period, session) {
+const { orgMembers } = await connectToDatabase();
+const spentField = `spentByMonth.${period}`;
+const reserved = await orgMembers.findOneAndUpdate(
+{
+_id: member._id,
+$expr: {
+$or: [
+{ $eq: [{ $ifNull: ['$monthlyCap', null] }, null] },
+{ $lte: [{ $add: [{ $ifNull: [`$${spentField}`, 0] }, amount] }, '$monthlyCap'] }
+]
+}
+},
+{ $inc: { [spentField]: amount } },
+{ returnDocument: 'after', session }
+);
+if (reserved) return;
+const current = await orgMembers.findOne({ _id: member._id }, { session });
+if (!current) {
+throw new AppError('NOT_ORG_MEMBER');
+}
+throw new AppError('MEMBER_CAP_EXCEEDED', {
+params: { cap: current.monthlyCap, spent: current.spentByMonth?.[period] || 0, needed: amount }
+});
+}
+async function releaseMemberCap(orgId, userId, amount, period, session) {
+const { orgMembers } = await connectToDatabase();
+await orgMembers.updateOne({ orgId, userId }, { $inc: { [`spentByMonth.${period}`]: -amount } }, { session });
+}
+// Equivalente a holdCredits() sobre el fondo de la organización. Tope del miembro,
+// saldo y entrada de hold van en una transacción: si algo falla no queda nada apartado.
+async function holdOrgCredits({ member, organization }, amount, metadata = {}) {
+const { organizations } = await connectToDatabase();
+const capPeriod = getUsagePeriod();
+const { updated, entry } = await runInTransaction(async session => {
+await reserveMemberCap(member, amount, capPeriod, session);
+const updated = await organizations.findOneAndUpdate(
+{ _id: organization._id, creditsBalance: { $gte: amount } },
+{ $inc: { creditsBalance: -amount, creditsHeld: amount } },
+{ returnDocument: 'after', session }
+);
+if (!updated) {
+const current = await organizations.findOne({ _id: organization._id }, { projection: { creditsBalance: 1 }, session });
+throw new InsufficientCreditsError(amount, current?.creditsBalance ?? 0);
+}
+const entry = await appendLedgerEntry({
+userId: member.userId,
+orgId: organization._id,
+type: 'hold',
+amount,
+balanceAfter: updated.creditsBalance,
+capPeriod,
+...metadata
+}, { session });
+return { updated, entry };
+});
+console.log(`🔒 Hold ${entry._id.toString()}: ${amount} créditos apartados del fondo de la organización ${organization._id.toString()}. Disponibles: ${updated.creditsBalance}`);
+return { holdId: entry._id, amount, balanceAfter: updated.creditsBalance, orgId: organization._id, capPeriod };
+}
+// Hold de una generación. Sin organización se cobra del saldo personal; un miembro gasta
+// del fondo común. Con personalFallback, si el fondo no alcanza se cobra de su saldo
+// personal; MEMBER_CAP_EXCEEDED siempre llega a quien llama.
+// Devuelve el hold y la membresía que lo paga (null si sale del saldo personal).
+async function holdGenerationCredits(userId, membership, amount, metadata = {}, { personalFallback = false } = {}) {
+if (!membership) {
+return { reserved: await holdCredits(userId, amount, metadata), membership: null };
+}
+try {
+return { reserved: await holdOrgCredits(membership, amount, metadata), membership };
+} catch (orgError) {
+if (!personalFallback || !(orgError instanceof InsufficientCreditsError)) throw orgError;
+try {
+const reserved = await holdCredits(userId, amount, metadata);
+console.log(`👛 Fondo de la organización ${membership.organization._id.toString()} insuficiente: cobrado del saldo personal (personalCreditsFallback)`);
+return { reserved, membership: null };
+} catch (personalError) {
+// Si tampoco alcanza el saldo personal, el motivo que importa es el del fondo
+if (personalError instanceof InsufficientCreditsError) throw orgError;
+throw personalError;
+}
+}
+}
+// Parte de settleHold() para holds del fondo: un release devuelve también el tope del miembro
+async function settleOrgHold(hold, type, session) {
+const { organizations } = await connectToDatabase();
+const inc = type === 'capture'
+? { creditsHeld: -hold.amount }
+: { creditsHeld: -hold.amount, creditsBalance: hold.amount };
+const updated = await organizations.findOneAndUpdate(
+{ _id: hold.orgId },
+{ $inc: inc },
+{ returnDocument: 'after', session }
+);
+if (type === 'release' && hold.capPeriod) {
+await releaseMemberCap(hold.orgId, hold.userId, hold.amount, hold.capPeriod, session);
+}
+return updated;
+}
+// Equivalente a grantCredits() sobre el fondo de la organización
+async function grantOrgCredits(orgId, amount, reason, metadata = {}) {
+if (!Number.isInteger(amount) || amount === 0) {
+throw new Error('La cantidad de créditos debe ser un entero distinto de cero');
+}
+const { organizations } = await connectToDatabase();
+const { updated, entry } = await runInTransaction(async session => {
+const updated = await organizations.findOneAndUpdate(
+{ _id: orgId, ...(amount < 0 ? { creditsBalance: { $gte: -amount } } : {}) },
+{ $inc: { creditsBalance: amount } },
+{ returnDocument: 'after', session }
+);
+if (!updated) {
+const current = await organizations.findOne({ _id: orgId }, { projection: { creditsBalance: 1 }, session });
+if (!current) {
+throw new AppError('ORG_NOT_FOUND');
+}
+throw new InsufficientCreditsError(-amount, current.creditsBalance || 0);
+}
+const entry = await appendLedgerEntry({
+orgId,
+type: metadata.type || 'grant',
+amount,
+reason: reason || null,
+balanceAfter: updated.creditsBalance,
+...metadata
+}, { session });
+return { updated, entry };
+});
+console.log(`🎁 ${entry.type} de ${amount} créditos para la organización ${orgId.toString()}. Saldo: ${updated.creditsBalance}`);
+return { entryId: entry._id, balanceAfter: updated.creditsBalance };
+}
+async function createOrganization({ name, owner }) {
+const { organizations, orgMembers } = await connectToDatabase();
+const now = new Date();
+const organization = {
+name,
+creditsBalance: 0,
+creditsHeld: 0,
+createdAt: now
+};
+// La organización y su propietario se crean juntos: nunca queda una organización sin owner
+try {
+await runInTransaction(async session => {
+const result = await organizations.insertOne({ ...organization }, { session });
+organization._id = result.insertedId;
+await orgMembers.insertOne({
+orgId: organization._id,
+userId: owner._id,
+role: 'owner',
+monthlyCap: null,
+spentByMonth: {},
+createdAt: now
+}, { session });
+});
+} catch (error) {
+if (error.code === 11000) throw new AppError('ALREADY_IN_ORG');
+throw error;
+}
+console.log(`🏢 Organización ${organization._id.toString()} creada con propietario ${owner._id.toString()}`);
+return organization;
+}
+function generateInvitationCode() {
+return ORG_INVITATION_PREFIX + crypto.randomBytes(16).toString('hex');
+}
+// Como los tokens, solo se guarda el hash del código: se muestra una única vez
+async function createOrgInvitation(organization, invitedBy, { role, monthlyCap, email }) {
+const { orgInvitations } = await connectToDatabase();
+const code = generateInvitationCode();
+const now = new Date();
+const invitation = {
+orgId: organization._id,
+codeHash: hashToken(code),
+role,
+monthlyCap,
+email: email || null,
+invitedBy,
+status: 'pending',
+createdAt: now,
+expiresAt: new Date(now.getTime() + ORG_INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+};
+const result = await orgInvitations.insertOne(invitation);
+console.log(`✉️ Invitación ${result.insertedId.toString()} (${role}) creada para la organización ${organization._id.toString()}`);
+return { code, invitation: { ...invitation, _id: result.insertedId } };
+}
+// Canjea el código: la invitación se reclama antes de añadir al miembro para que
+// solo pueda usarse una vez, y se restaura si el usuario ya está en otra organización
+async function acceptOrgInvitation(user, code) {
+const { orgInvitations, orgMembers } = await connectToDatabase();
+const now = new Date();
+const pending = await orgInvitations.findOne({ codeHash: hashToken(code), status: 'pending', expiresAt: { $gt: now } });
+if (!pending || (pending.email && pending.email !== user.email)) {
+throw new AppError('INVITATION_INVALID');
+}
+const invitation = await orgInvitations.findOneAndUpdate(
+{ _id: pending._id, status: 'pending' },
+{ $set: { status: 'accepted', acceptedBy: user._id, acceptedAt: now } },
+{ returnDocument: 'after' }
+);
+if (!invitation) {
+throw new AppError('INVITATION_INVALID');
+}
+const member = {
+orgId: invitation.orgId,
+userId: user._id,
+role: invitation.role,
+monthlyCap: invitation.monthlyCap ?? null,
+spentByMonth: {},
+invitedBy: invitation.invitedBy,
+createdAt: now
+};
+try {
+const result = await orgMembers.insertOne(member);
+member._id = result.insertedId;
+} catch (error) {
+await orgInvitations.updateOne(
+{ _id: invitation._id },
+{ $set: { status: 'pending' }, $unset: { acceptedBy: '', acceptedAt: '' } }
+);
+if (error.code === 11000) throw new AppError('ALREADY_IN_ORG');
+throw error;
+}
+console.log(`🤝 Usuario ${user._id.toString()} se unió a la organización ${invitation.orgId.toString()} como ${invitation.role}`);
+return member;
+}
+// Reparto del gasto del mes entre miembros, a partir de las transacciones de la organización
+async function summarizeOrgUsage(orgId, period) {
+const { transactions, orgMembers, users } = await connectToDatabase();
+const from = new Date(`${period}-01T00:00:00.000Z`);
+const to = addMonthsUTC(from, 1);
+const [rows, members] = await Promise.all([
+transactions.aggregate([
+{ $match: { orgId, timestamp: { $gte: from, $lt: to } } },
+{
+$group: {
+_id: '$userId',
+creditsUsed: { $sum: '$creditsUsed' },
+generations: { $sum: { $cond: ['$success', 1, 0] } },
+failed: { $sum: { $cond: ['$success', 0, 1] } }
+}
+}
+]).toArray(),
+orgMembers.find({ orgId }).toArray()
+]);
+const usageByUser = new Map(rows.map(row => [row._id.toString(), row]));
+// Los miembros que ya salieron de la organización también aparecen si gastaron ese mes
+const userIds = [...new Set([...members.map(member => member.userId.toString()), ...usageByUser.keys()])];
+const profiles = await users.find(
+{ _id: { $in: userIds.map(id => new ObjectId(id)) } },
+{ projection: { name: 1, email: 1 } }
+).toArray();
+const profileById = new Map(profiles.map(profile => [profile._id.toString(), profile]));
+const memberById = new Map(members.map(member => [member.userId.toString(), member]));
+const breakdown = userIds.map(userId => {
+const usage = usageByUser.get(userId);
+const member = memberById.get(userId);
+return {
+userId,
+name: profileById.get(userId)?.name || null,
+email: profileById.get(userId)?.email || null,
+role: member?.role || null,
+active: Boolean(member),
+monthlyCap: member ? member.monthlyCap ?? null : null,
+creditsUsed: usage?.creditsUsed || 0,
+generations: usage?.generations || 0,
+failed: usage?.failed || 0
+};
+}).sort((a, b) => b.creditsUsed - a.creditsUsed);
+return {
+period,
+totalCreditsUsed: breakdown.reduce((sum, entry) => sum + entry.creditsUsed, 0),
+members: breakdown
+};
+}
+function serializeOrganization(organization) {
+return {
+orgId: organization._id.toString(),
+name: organization.name,
+creditsBalance: organization.creditsBalance || 0,
+creditsHeld: organization.creditsHeld || 0,
+createdAt: organization.createdAt
+};
+}
+function serializeOrgMember(member, profile = null, period = getUsagePeriod()) {
+return {
+userId: member.userId.toString(),
+name: profile?.name || null,
+email: profile?.email || null,
+role: member.role,
+monthlyCap: member.monthlyCap ?? null,
+spentThisMonth: member.spentByMonth?.[period] || 0,
+joinedAt: member.createdAt
+};
+}
+function serializeOrgInvitation(invitation) {
+return {
+invitationId: invitation._id.toString(),
+role: invitation.role,
+monthlyCap: invitation.monthlyCap ?? null,
+email: invitation.email,
+status: invitation.status === 'pending' && invitation.expiresAt <= new Date() ? 'expired' : invitation.status,
+createdAt: invitation.createdAt,
+expiresAt: invitation.expiresAt
+};
+}
+// Resumen para el propio miembro (verify-token, GET /api/org)
+function serializeMembership({ member, organization }) {
+return {
+...serializeOrganization(organization),
+role: member.role,
+monthlyCap: member.monthlyCap ?? null,
+spentThisMonth: member.spentByMonth?.[getUsagePeriod()] || 0
+};
+}
+// ========================================
+// PROVEEDORES DE IMÁGENES
+// ========================================
+// Cada proveedor implementa generateImage(request) (y opcionalmente health() para /health)
+// y recibe una solicitud normalizada:
+//   { model, operation, instruction, prompt, referenceImages, baseImage, maskImage, aspectRatio, resolution, history, baseImageInHistory }
+// history son los turnos anteriores de una sesión de edición: [{ prompt, image, thoughtSignature }].
+// baseImageInHistory indica que baseImage es la imagen del último turno de history: el
+// proveedor puede referirse a ella en lugar de enviarla otra vez.
+// Devuelve { mimeType, data (base64), finishReason, thoughtSignature?, raw } o lanza un ProviderError.
+// Se selecciona con IMAGE_PROVIDER (gemini por defecto, mock para desarrollo y pruebas).
+// message es el detalle técnico para los logs; el cliente recibe el mensaje del código.
+// upstreamStatus es el estado HTTP que devolvió el proveedor (no el de nuestra respuesta).
+class ProviderError extends AppError {
+constructor(message, { code = 'PROVIDER_ERROR', provider = null, upstreamStatus = null, retryable = false, params = {} } = {}) {
+super(code, { params, internalMessage: message });
+this.name = 'ProviderError';
+// SAFETY_BLOCKED | PROVIDER_TIMEOUT | PROVIDER_NO_IMAGE | PROVIDER_UNAVAILABLE | PROVIDER_OVERLOADED | PROVIDER_ERROR
+this.provider = provider;
+this.upstreamStatus = upstreamStatus;
+this.retryable = retryable;
+}
+}
+function normalizeImageRequest(payload, instruction) {
+const image = img => (img?.data && img?.mimeType ? { mimeType: img.mimeType, data: img.data } : null);
+return {
+model: payload.model,
+operation: payload.operation || 'generate',
+instruction,
+prompt: payload.prompt,
+referenceImages: Array.isArray(payload.referenceImages) ? payload.referenceImages.map(image).filter(Boolean) : [],
+baseImage: image(payload.baseImage),
+maskImage: image(payload.maskImage),
+aspectRatio: payload.aspectRatio || null,
+resolution: payload.resolution || null,
+history: Array.isArray(payload.history)
+? payload.history
+.map(turn => ({ prompt: turn.prompt, image: image(turn.image), thoughtSignature: turn.thoughtSignature || null }))
+.filter(turn => turn.image)
+: [],
+baseImageInHistory: payload.baseImageInHistory === true
+};
+}
+// ---------- Gemini ----------
+function buildGeminiParts(request) {
+const { operation, instruction, prompt, referenceImages, baseImage, maskImage } = request;
+// En una sesión, la imagen base ya es la última respuesta del modelo en la conversación
+const baseInHistory = request.baseImageInHistory && request.history.length > 0;
+const parts = [];
+// Instrucciones forzadas
+parts.push({ text: instruction });
+// Imágenes de referencia
+for (let i = 0; i < referenceImages.length; i++) {
+const ref = referenceImages[i];
+parts.push({
+text: `REFERENCE_${i + 1}: guía SOLO de estilo/continuidad. Usa su paleta de color, iluminación y textura, pero NO copies su geometría ni encuadre 1:1.`
+});
+parts.push({
+inline_data: {
+mime_type: ref.mimeType,
+data: ref.data
+}
+});
+}
+// Imágenes específicas según operación
+if (operation === 'inpaint' && maskImage && baseImage) {
+// Máscara
+parts.push({ text: "MASK: Define el área a modificar. BLANCO = zona a modificar, NEGRO = zona a conservar intacta." });
+parts.push({
+inline_data: {
+mime_type: maskImage.mimeType,
+data: maskImage.data
+}
+});
+// Imagen base
+if (baseInHistory) {
+parts.push({ text: "BASE_CROP: La imagen principal que DEBES editar es tu última respuesta en esta conversación; la máscara tiene sus mismas dimensiones." });
+} else {
+parts.push({ text: "BASE_CROP: La imagen principal que DEBES editar. Es la última imagen antes de este texto." });
+parts.push({
+inline_data: {
+mime_type: baseImage.mimeType,
+data: baseImage.data
+}
+});
+}
+}
+else if (operation === 'edit' && baseImage) {
+if (baseInHistory) {
+parts.push({ text: "BASE_IMAGE: imagen a editar sin selección activa: es tu última respuesta en esta conversación." });
+} else {
+parts.push({ text: "BASE_IMAGE: imagen a editar sin selección activa." });
+parts.push({
+inline_data: {
+mime_type: baseImage.mimeType,
+data: baseImage.data
+}
+});
+}
+}
+else if (operation === 'outpaint' && maskImage && baseImage) {
+parts.push({ text: "MASK: BLANCO = zona nueva del lienzo a rellenar, NEGRO = imagen original que debe conservarse." });
+parts.push({
+inline_data: {
+mime_type: maskImage.mimeType,
+data: maskImage.data
+}
+});
+parts.push({ text: "BASE_CANVAS: lienzo ampliado con la imagen original; la zona nueva es transparente. Es la última imagen antes de este texto." });
+parts.push({
+inline_data: {
+mime_type: baseImage.mimeType,
+data: baseImage.data
+}
+});
+}
+else if ((operation === 'upscale' || operation === 'variations') && baseImage) {
+parts.push({ text: operation === 'upscale'
+? "BASE_IMAGE: imagen a escalar a mayor resolución."
+: "BASE_IMAGE: imagen original de la que crear una variación." });
+parts.push({
+inline_data: {
+mime_type: baseImage.mimeType,
+data: baseImage.data
+}
+});
+}
+// Prompt del usuario
+parts.push({ text: `PROMPT_USUARIO:
+${prompt}` });
+return parts;
+}
+// Sin historial es un único mensaje; en una sesión, cada turno anterior es un par
+// usuario (prompt) → modelo (imagen) y la petición actual va en el último mensaje
+function buildGeminiContents(request) {
+const parts = buildGeminiParts(request);
+if (request.history.length === 0) {
+return [{ parts }];
+}
+const contents = [];
+for (const turn of request.history) {
+contents.push({ role: 'user', parts: [{ text: `PROMPT_USUARIO:\n${turn.prompt}` }] });
+contents.push({
+role: 'model',
+parts: [{
+inline_data: { mime_type: turn.image.mimeType, data: turn.image.data },
+// Gemini valida la continuidad de la conversación con la firma de su propia respuesta
+...(turn.thoughtSignature ? { thoughtSignature: turn.thoughtSignature } : {})
+}]
+});
+}
+contents.push({ role: 'user', parts });
+return contents;
+}
+function buildGeminiGenerationConfig(request) {
+const { model, aspectRatio, resolution } = request;
+const genConfig = {
+responseModalities: ["IMAGE"],
+candidateCount: 1 // Siempre 1 imagen por solicitud
+};
+// Solo se envían las opciones que el modelo admite según el catálogo
+const catalogModel = MODEL_CATALOG[model];
+const imgCfg = {};
+if (aspectRatio && catalogModel?.aspectRatios.length > 0) imgCfg.aspectRatio = aspectRatio;
+if (resolution && catalogModel?.resolutions.length > 0) imgCfg.imageSize = resolution;
+if (Object.keys(imgCfg).length > 0) {
+genConfig.imageConfig = imgCfg;
+}
+return genConfig;
+}
+// Un único intento contra Gemini con una clave concreta
+async function callGemini(request, apiKey) {
+const { model } = request;
+const contents = buildGeminiContents(request);
+const genConfig = buildGeminiGenerationConfig(request);
+// Llamada a API con timeout
+const controller = new AbortController();
+const timeoutId = setTimeout(() => controller.abort(), 90000); // 90 segundos
+try {
+// Asegurarse de que fetch esté disponible
+if (typeof fetch !== 'function') {
+throw new ProviderError('La función fetch no está disponible. Verifica la instalación de node-fetch.', {
+code: 'PROVIDER_UNAVAILABLE', provider: 'gemini'
+});
+}
+const response = await fetch(
+`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`,
+{
+method: 'POST',
+headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey.key },
+body: JSON.stringify({
+contents,
+generationConfig: genConfig
+}),
+signal: controller.signal
+}
+);
+clearTimeout(timeoutId);
+if (!response.ok) {
+let errorData;
+try {
+errorData = await response.json();
+} catch (parseError) {
+errorData = { error: { message: `Error ${response.status}: ${response.statusText}` } };
+}
+const errorMessage = errorData.error?.message || `Error ${response.status}: ${response.statusText}`;
+console.error(`❌ Error de Gemini API (${response.status}):`, errorMessage);
+// Errores específicos de contenido inseguro
+if (errorMessage.includes('unsafe content') || errorMessage.includes('safety')) {
+throw new ProviderError('Contenido rechazado por políticas de seguridad. Intenta con un prompt diferente.', {
+code: 'SAFETY_BLOCKED', provider: 'gemini', upstreamStatus: response.status
+});
+}
+const retryable = response.status === 429 || response.status >= 500;
+const providerError = new ProviderError(`Error de Gemini API: ${errorMessage}`, {
+code: response.status === 429 ? 'PROVIDER_OVERLOADED' : retryable ? 'PROVIDER_UNAVAILABLE' : 'PROVIDER_ERROR',
+provider: 'gemini',
+upstreamStatus: response.status,
+retryable,
+params: { reason: errorMessage }
+});
+const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+providerError.retryAfterMs = Number.isFinite(retryAfter) ? retryAfter * 1000 : null;
+throw providerError;
+}
+const data = await response.json();
+console.log('✅ Respuesta exitosa de Gemini API');
+const candidate = data.candidates?.[0];
+if (!candidate) {
+throw new ProviderError('No se obtuvo candidato en la respuesta de Gemini', { code: 'PROVIDER_NO_IMAGE', provider: 'gemini' });
+}
+if (candidate.finishReason === 'IMAGE_SAFETY') {
+console.warn('⚠️ Imagen rechazada por motivos de seguridad');
+throw new ProviderError('La imagen fue rechazada por políticas de seguridad. Modifica tu prompt.', {
+code: 'SAFETY_BLOCKED', provider: 'gemini'
+});
+}
+const imagePart = candidate.content?.parts?.find(p => p.inlineData?.data);
+if (!imagePart) {
+throw new ProviderError('No se encontró imagen en la respuesta de Gemini', { code: 'PROVIDER_NO_IMAGE', provider: 'gemini' });
+}
+return {
+mimeType: imagePart.inlineData.mimeType,
+data: imagePart.inlineData.data,
+finishReason: candidate.finishReason || null,
+thoughtSignature: imagePart.thoughtSignature || null,
+raw: candidate
+};
+} catch (error) {
+clearTimeout(timeoutId);
+if (error.name === 'AbortError') {
+console.error('⏰ Timeout excedido en llamada a Gemini API (90 segundos)');
+throw new ProviderError('La generación de imagen tardó demasiado. Intenta con un prompt más simple.', {
+code: 'PROVIDER_TIMEOUT', provider: 'gemini', retryable: false
+});
+}
+if (!(error instanceof ProviderError)) {
+// Fallo de red (DNS, conexión reiniciada...): se puede reintentar
+throw new ProviderError(`No se pudo conectar con Gemini API: ${error.message}`, {
+code: 'PROVIDER_UNAVAILABLE', provider: 'gemini', retryable: true
+});
+}
+throw error;
+}
+}
+// ---------- Resiliencia de Gemini: pool de claves, reintentos y circuit breaker ----------
+// GEMINI_API_KEYS (separadas por comas) forma un pool que rota en cada llamada; una clave
+// que devuelve 429 descansa GEMINI_KEY_COOLDOWN_MS (o lo que indique Retry-After) y una
+// clave rechazada (401/403) se aparta durante una hora.
+// Los 429/5xx y fallos de red se reintentan con backoff exponencial con jitter.
+// Los timeouts no se reintentan: el usuario ya esperó 90 segundos.
+// Tras GEMINI_BREAKER_THRESHOLD fallos seguidos el circuito se abre y las llamadas fallan
+// al instante con 503 durante GEMINI_BREAKER_COOLDOWN_MS; después se deja pasar una prueba.
+const GEMINI_MAX_RETRIES = parseInt(process.env.GEMINI_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.GEMINI_MAX_RETRIES, 10) : 2;
+const GEMINI_RETRY_BASE_MS = parseInt(process.env.GEMINI_RETRY_BASE_MS, 10) || 500;
+const GEMINI_RETRY_MAX_MS = 8000;
+const GEMINI_KEY_COOLDOWN_MS = parseInt(process.env.GEMINI_KEY_COOLDOWN_MS, 10) || 60000;
+const GEMINI_INVALID_KEY_COOLDOWN_MS = 60 * 60 * 1000;
+const GEMINI_BREAKER_THRESHOLD = parseInt(process.env.GEMINI_BREAKER_THRESHOLD, 10) || 5;
+const GEMINI_BREAKER_COOLDOWN_MS = parseInt(process.env.GEMINI_BREAKER_COOLDOWN_MS, 10) || 30000;
+const geminiKeyPool = (process.env.GEMINI_API_KEYS || process.env.GEMINI_API_KEY || '')
+.split(',')
+.map(key => key.trim())
+.filter(Boolean)
+.map((key, index) => ({ id: `key-${index + 1}`, key, cooldownUntil: 0, lastError: null }));
+let geminiKeyCursor = 0;
+// Siguiente clave disponible en round-robin; si todas descansan, la que antes se libera
+function pickGeminiKey(excludedIds = []) {
+const now = Date.now();
+const candidates = geminiKeyPool.filter(apiKey => !excludedIds.includes(apiKey.id));
+if (candidates.length === 0) return null;
+for (let i = 0; i < geminiKeyPool.length; i++) {
+const apiKey = geminiKeyPool[(geminiKeyCursor + i) % geminiKeyPool.length];
+if (candidates.includes(apiKey) && apiKey.cooldownUntil <= now) {
+geminiKeyCursor = (geminiKeyCursor + i + 1) % geminiKeyPool.length;
+return apiKey;
+}
+}
+return candidates.reduce((soonest, apiKey) => (apiKey.cooldownUntil < soonest.cooldownUntil ? apiKey : soonest));
+}
+function coolDownGeminiKey(apiKey, error) {
+const invalidKey = error.upstreamStatus === 401 || error.upstreamStatus === 403;
+const cooldownMs = invalidKey ? GEMINI_INVALID_KEY_COOLDOWN_MS : (error.retryAfterMs || GEMINI_KEY_COOLDOWN_MS);
+apiKey.cooldownUntil = Date.now() + cooldownMs;
+apiKey.lastError = `${error.upstreamStatus}: ${error.message.substring(0, 100)}`;
+console.warn(`🔑 Clave Gemini ${apiKey.id} en pausa ${Math.round(cooldownMs / 1000)}s (HTTP ${error.upstreamStatus})`);
+}
+// Backoff exponencial con "full jitter"
+function getRetryDelayMs(attempt, retryAfterMs) {
+const exponential = Math.min(GEMINI_RETRY_MAX_MS, GEMINI_RETRY_BASE_MS * 2 ** attempt);
+const jittered = Math.floor(Math.random() * exponential);
+return retryAfterMs ? Math.min(GEMINI_RETRY_MAX_MS, Math.max(jittered, retryAfterMs)) : jittered;
+}
+function createCircuitBreaker(name, { threshold, cooldownMs }) {
+const breaker = {
+name,
+state: 'closed', // closed | open | half_open
+consecutiveFailures: 0,
+openedAt: null,
+probeInFlight: false,
+// Lanza si el circuito no admite llamadas; en half_open solo pasa una prueba a la vez
+beforeCall() {
+if (breaker.state === 'open' && Date.now() - breaker.openedAt >= cooldownMs) {
+breaker.state = 'half_open';
+console.log(`🔌 Circuito ${name} semiabierto: probando el proveedor`);
+}
+if (breaker.state === 'open' || (breaker.state === 'half_open' && breaker.probeInFlight)) {
+const error = new ProviderError(`Circuito de ${name} abierto: el proveedor no está respondiendo`, {
+code: 'PROVIDER_UNAVAILABLE', provider: name
+});
+error.retryAfterSeconds = Math.max(1, Math.ceil((breaker.openedAt + cooldownMs - Date.now()) / 1000));
+throw error;
+}
+if (breaker.state === 'half_open') breaker.probeInFlight = true;
+},
+onSuccess() {
+if (breaker.state !== 'closed') {
+console.log(`🔌 Circuito ${name} cerrado: el proveedor se ha recuperado`);
+}
+breaker.state = 'closed';
+breaker.consecutiveFailures = 0;
+breaker.openedAt = null;
+breaker.probeInFlight = false;
+},
+onFailure() {
+breaker.consecutiveFailures++;
+breaker.probeInFlight = false;
+if (breaker.state === 'half_open' || breaker.consecutiveFailures >= threshold) {
+if (breaker.state !== 'open') {
+console.error(`🔌 Circuito ${name} abierto tras ${breaker.consecutiveFailures} fallos seguidos`);
+}
+breaker.state = 'open';
+breaker.openedAt = Date.now();
+}
+},
+snapshot() {
+return {
+state: breaker.state,
+consecutiveFailures: breaker.consecutiveFailures,
+openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+retryAt: breaker.state === 'open' ? new Date(breaker.openedAt + cooldownMs).toISOString() : null
+};
+}
+};
+return breaker;
+}
+const geminiBreaker = createCircuitBreaker('gemini', {
+threshold: GEMINI_BREAKER_THRESHOLD,
+cooldownMs: GEMINI_BREAKER_COOLDOWN_MS
+});
+// Motivo del error para la métrica gemini_errors_total
+function getGeminiErrorReason(error) {
+if (error.upstreamStatus === 429) return 'quota';
+if (error.code === 'SAFETY_BLOCKED') return 'safety';
+if (error.code === 'PROVIDER_TIMEOUT') return 'timeout';
+if (error.code === 'PROVIDER_NO_IMAGE') return 'no_image';
+if (error.code === 'PROVIDER_UNAVAILABLE' || error.upstreamStatus >= 500) return 'unavailable';
+return 'other';
+}
+// Errores que indican que el proveedor (no la solicitud) tiene un problema
+function isProviderHealthFailure(error) {
+return error instanceof ProviderError && (error.retryable || error.code === 'PROVIDER_UNAVAILABLE' || error.code === 'PROVIDER_TIMEOUT');
+}
+const geminiProvider = {
+name: 'gemini',
+async generateImage(request) {
+const { model, operation, prompt } = request;
+console.log(`🚀 Llamando a Gemini API con modelo: ${model}, operación: ${operation}`);
+console.log(`📝 Prompt: ${describePromptForLog(prompt)}`);
+try {
+geminiBreaker.beforeCall();
+} catch (error) {
+geminiErrorsTotal.inc({ reason: 'circuit_open' });
+throw error;
+}
+const exhaustedKeys = [];
+let attempt = 0;
+while (true) {
+const apiKey = pickGeminiKey(exhaustedKeys);
+const startedAt = Date.now();
+try {
+const result = await callGemini(request, apiKey);
+geminiRequestDuration.observe({ model, outcome: 'success' }, (Date.now() - startedAt) / 1000);
+geminiBreaker.onSuccess();
+return result;
+} catch (error) {
+geminiRequestDuration.observe({ model, outcome: 'error' }, (Date.now() - startedAt) / 1000);
+geminiErrorsTotal.inc({ reason: getGeminiErrorReason(error) });
+const keyProblem = error.upstreamStatus === 429 || error.upstreamStatus === 401 || error.upstreamStatus === 403;
+if (keyProblem) {
+coolDownGeminiKey(apiKey, error);
+exhaustedKeys.push(apiKey.id);
+// Con otra clave disponible se reintenta al momento, sin consumir reintentos
+if (error.upstreamStatus !== 429 || geminiKeyPool.length > exhaustedKeys.length) {
+if (pickGeminiKey(exhaustedKeys)) continue;
+}
+}
+const retryable = error instanceof ProviderError && error.retryable;
+if (!retryable || attempt >= GEMINI_MAX_RETRIES) {
+if (isProviderHealthFailure(error)) {
+geminiBreaker.onFailure();
+} else {
+// Rechazos de la solicitud (seguridad, 400...) no indican un proveedor caído
+geminiBreaker.onSuccess();
+}
+throw error;
+}
+const delayMs = getRetryDelayMs(attempt, error.retryAfterMs);
+attempt++;
+console.warn(`🔁 Reintento ${attempt}/${GEMINI_MAX_RETRIES} de Gemini en ${delayMs}ms (${error.message.substring(0, 80)})`);
+await new Promise(resolve => setTimeout(resolve, delayMs));
+// Tras esperar, las claves en pausa vuelven a ser candidatas
+exhaustedKeys.length = 0;
+}
+}
+},
+health() {
+const now = Date.now();
+return {
+circuit: geminiBreaker.snapshot(),
+apiKeys: {
+total: geminiKeyPool.length,
+available: geminiKeyPool.filter(apiKey => apiKey.cooldownUntil <= now).length
+}
+};
+}
+};
+// ---------- Mock (offline, determinista) ----------
+// Devuelve un PNG de color sólido derivado del hash de la solicitud: la misma
+// solicitud produce siempre los mismos bytes. Para simular fallos, incluir en el
+// prompt [mock:safety], [mock:timeout], [mock:no-image] o [mock:error].
+const MOCK_PROVIDER_DELAY_MS = parseInt(process.env.MOCK_PROVIDER_DELAY_MS, 10) || 0;
+const PNG_CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+let c = n;
+for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+return c >>> 0;
+});
+function pngChunk(type, data) {
+const typeBuffer = Buffer.from(type, 'ascii');
+const length = Buffer.alloc(4);
+length.writeUInt32BE(data.length);
+let crc = 0xffffffff;
+for (const byte of Buffer.concat([typeBuffer, data])) crc = PNG_CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+const crcBuffer = Buffer.alloc(4);
+crcBuffer.writeUInt32BE((crc ^ 0xffffffff) >>> 0);
+return Buffer.concat([length, typeBuffer, data, crcBuffer]);
+}
+function encodeSolidPng(width, height, [r, g, b]) {
+const header = Buffer.alloc(13);
+header.writeUInt32BE(width, 0);
+header.writeUInt32BE(height, 4);
+header[8] = 8; // bits por canal
+header[9] = 2; // RGB
+const row = Buffer.alloc(1 + width * 3);
+for (let x = 0; x < width; x++) row.set([r, g, b], 1 + x * 3);
+const pixels = Buffer.concat(Array.from({ length: height }, () => row));
+return Buffer.concat([
+Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+pngChunk('IHDR', header),
+pngChunk('IDAT', zlib.deflateSync(pixels)),
+pngChunk('IEND', Buffer.alloc(0))
+]);
+}
+function getMockImageSize(aspectRatio) {
+const base = 64;
+const [w, h] = (aspectRatio || '1:1').split(':').map(Number);
+if (!w || !h) return { width: base, height: base };
+return w >= h
+? { width: Math.round(base * w / h), height: base }
+: { width: base, height: Math.round(base * h / w) };
+}
+const mockProvider = {
+name: 'mock',
+async generateImage(request) {
+const { model, operation, prompt } = request;
+console.log(`🧪 Proveedor mock: modelo ${model}, operación ${operation}`);
+if (MOCK_PROVIDER_DELAY_MS > 0) {
+await new Promise(resolve => setTimeout(resolve, MOCK_PROVIDER_DELAY_MS));
+}
+if (prompt.includes('[mock:safety]')) {
+throw new ProviderError('La imagen fue rechazada por políticas de seguridad. Modifica tu prompt.', {
+code: 'SAFETY_BLOCKED', provider: 'mock'
+});
+}
+if (prompt.includes('[mock:timeout]')) {
+throw new ProviderError('La generación de imagen tardó demasiado. Intenta con un prompt más simple.', {
+code: 'PROVIDER_TIMEOUT', provider: 'mock', retryable: false
+});
+}
+if (prompt.includes('[mock:no-image]')) {
+throw new ProviderError('No se encontró imagen en la respuesta del proveedor', { code: 'PROVIDER_NO_IMAGE', provider: 'mock' });
+}
+if (prompt.includes('[mock:error]')) {
+throw new ProviderError('Error del proveedor: error simulado por el proveedor mock', {
+code: 'PROVIDER_UNAVAILABLE', provider: 'mock', upstreamStatus: 500, retryable: true
+});
+}
+const digest = crypto.createHash('sha256')
+.update(JSON.stringify([model, operation, prompt, request.aspectRatio, request.resolution]))
+.digest();
+const { width, height } = getMockImageSize(request.aspectRatio);
+return {
+mimeType: 'image/png',
+data: encodeSolidPng(width, height, [digest[0], digest[1], digest[2]]).toString('base64'),
+finishReason: 'STOP',
+raw: { mock: true, width, height }
+};
+}
+};
+const imageProviders = {
+gemini: geminiProvider,
+mock: mockProvider
+};
+const IMAGE_PROVIDER = (process.env.IMAGE_PROVIDER || 'gemini').toLowerCase();
+function getImageProvider() {
+const provider = imageProviders[IMAGE_PROVIDER];
+if (!provider) {
+throw new Error(`Proveedor de imágenes desconocido: ${IMAGE_PROVIDER}. Disponibles: ${Object.keys(imageProviders).join(', ')}`);
+}
+return provider;
+}
+async function generateImage(payload, instruction) {
+try {
+// Validar parámetros críticos
+if (!payload.model || !payload.prompt) {
+throw new Error('Modelo y prompt son requeridos para generar imagen');
+}
+const provider = getImageProvider();
+const result = await provider.generateImage(normalizeImageRequest(payload, instruction));
+return {
+dataUrl: `data:${result.mimeType};base64,${result.data}`,
+mimeType: result.mimeType,
+data: result.data,
+provider: provider.name,
+thoughtSignature: result.thoughtSignature || null,
+candidate: result.raw
+};
+} catch (error) {
+console.error('❌ Error generando imagen:', error.message);
+throw error;
+}
+}
+// ========================================
+// ENDPOINTS
+// ========================================
+app.post('/api/auth/verify-token', async (req, res) => {
+const { token } = req.body;
+console.log(`🔐 Solicitud de verificación de token recibida${token ? ` (token: ${token.substring(0, 10)}...)` : ''}`);
+try {
+if (!token) {
+return sendError(res, new ValidationError(
+localizedText('Token requerido en el cuerpo de la solicitud', 'Token required in the request body'),
+{ code: 'TOKEN_REQUIRED' }
+));
+}
+const user = await verifyUserToken(token);
+console.log(`✅ Token verificado para usuario ID: ${user._id.toString()}, créditos: ${user.creditsBalance}`);
+const membership = await findOrgMembership(user._id);
+res.json({
+success: true,
+userId: user._id.toString(),
+creditsBalance: user.creditsBalance,
+...serializeUserPlan(user),
+// Si pertenece a una organización, sus generaciones se cobran del fondo común
+// (creditsBalance solo se usa con personalCreditsFallback: true si el fondo no alcanza)
+organization: membership ? serializeMembership(membership) : null,
+token: {
+label: user.currentToken.label,
+expiresAt: user.currentToken.expiresAt
+}
+});
+} catch (error) {
+console.error('❌ Error en /api/auth/verify-token:', error.message);
+sendError(res, error);
+}
+});
+// ========================================
+// VALIDACIÓN Y NORMALIZACIÓN DE IMÁGENES
+// ========================================
+// Antes de cobrar y llamar al proveedor se comprueba que cada imagen sea base64
+// válido, que su contenido real coincida con el mimeType declarado y que la
+// máscara tenga las mismas dimensiones que la imagen base. Las imágenes demasiado
+// grandes se reducen y las máscaras se convierten a blanco/negro puro.
+const ALLOWED_IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const IMAGE_MAX_BYTES = parseInt(process.env.IMAGE_MAX_BYTES, 10) || 15 * 1024 * 1024;
+const IMAGE_MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || 2048;
+// messages: { es, en } creado con localizedText()
+class ImageValidationError extends ValidationError {
+constructor(messages, statusCode = 400) {
+super(messages, { code: 'INVALID_IMAGE', statusCode });
+this.name = 'ImageValidationError';
+}
+}
+// Tipo real según la firma de los primeros bytes
+function detectImageMimeType(buffer) {
+if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+return 'image/png';
+}
+if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+return 'image/jpeg';
+}
+if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+return 'image/webp';
+}
+return null;
+}
+function decodeBase64Image(image, label) {
+if (!image || typeof image !== 'object' || typeof image.data !== 'string' || typeof image.mimeType !== 'string') {
+throw new ImageValidationError(localizedText(
+`${label}: se esperaba un objeto { data, mimeType }`,
+`${label}: expected an object { data, mimeType }`
+));
+}
+const mimeType = image.mimeType.toLowerCase();
+if (!ALLOWED_IMAGE_MIME_TYPES.includes(mimeType)) {
+throw new ImageValidationError(localizedText(
+`${label}: mimeType no soportado (${image.mimeType}). Permitidos: ${ALLOWED_IMAGE_MIME_TYPES.join(', ')}`,
+`${label}: unsupported mimeType (${image.mimeType}). Allowed: ${ALLOWED_IMAGE_MIME_TYPES.join(', ')}`
+));
+}
+// Se acepta también un data URL completo
+const base64 = image.data.replace(/^data:[^;]+;base64,/, '').replace(/\s/g, '');
+if (base64.length === 0 || base64.length % 4 !== 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+throw new ImageValidationError(localizedText(`${label}: los datos no son base64 válido`, `${label}: the data is not valid base64`));
+}
+const buffer = Buffer.from(base64, 'base64');
+if (buffer.length > IMAGE_MAX_BYTES) {
+throw new ImageValidationError(localizedText(
+`${label}: la imagen supera el máximo de ${Math.round(IMAGE_MAX_BYTES / 1024 / 1024)} MB`,
+`${label}: the image exceeds the ${Math.round(IMAGE_MAX_BYTES / 1024 / 1024)} MB limit`
+), 413);
+}
+const detected = detectImageMimeType(buffer);
+if (!detected) {
+throw new ImageValidationError(localizedText(
+`${label}: el contenido no es una imagen PNG, JPEG o WebP`,
+`${label}: the content is not a PNG, JPEG or WebP image`
+));
+}
+if (detected !== mimeType) {
+throw new ImageValidationError(localizedText(
+`${label}: el mimeType declarado (${image.mimeType}) no coincide con el contenido real (${detected})`,
+`${label}: the declared mimeType (${image.mimeType}) does not match the actual content (${detected})`
+));
+}
+return { buffer, mimeType };
+}
+async function readImageMetadata(buffer, label) {
+try {
+const metadata = await sharp(buffer).metadata();
+if (!metadata.width || !metadata.height) throw new Error('sin dimensiones');
+return metadata;
+} catch (error) {
+throw new ImageValidationError(localizedText(
+`${label}: la imagen está dañada o no se puede leer`,
+`${label}: the image is corrupted or cannot be read`
+));
+}
+}
+function encodeImage(pipeline, mimeType, quality = 90) {
+if (mimeType === 'image/jpeg') return pipeline.jpeg({ quality });
+if (mimeType === 'image/webp') return pipeline.webp({ quality });
+return pipeline.png();
+}
+// Reduce la imagen si algún lado supera IMAGE_MAX_DIMENSION
+async function normalizeImage({ buffer, mimeType }, metadata, { isMask = false } = {}) {
+const oversized = Math.max(metadata.width, metadata.height) > IMAGE_MAX_DIMENSION;
+if (!oversized && !isMask) {
+return { data: buffer.toString('base64'), mimeType, width: metadata.width, height: metadata.height };
+}
+let pipeline = sharp(buffer);
+if (oversized) {
+pipeline = pipeline.resize({ width: IMAGE_MAX_DIMENSION, height: IMAGE_MAX_DIMENSION, fit: 'inside' });
+}
+if (isMask) {
+// Zonas transparentes cuentan como negro (conservar); umbral para eliminar grises
+pipeline = pipeline.flatten({ background: '#000000' }).grayscale().threshold(128).toColourspace('b-w');
+}
+const { data, info } = await encodeImage(pipeline, isMask ? 'image/png' : mimeType).toBuffer({ resolveWithObject: true });
+return {
+data: data.toString('base64'),
+mimeType: isMask ? 'image/png' : mimeType,
+width: info.width,
+height: info.height
+};
+}
+async function validateImage(image, label, options) {
+const decoded = decodeBase64Image(image, label);
+const metadata = await readImageMetadata(decoded.buffer, label);
+return { decoded, metadata, normalize: () => normalizeImage(decoded, metadata, options) };
+}
+// Devuelve una copia del payload con las imágenes validadas y normalizadas y los
+// parámetros derivados de la operación (lienzo de outpaint, resolución de upscale,
+// prompt por defecto). Lanza ImageValidationError con un mensaje claro para el cliente.
+// Con sessionId hace falta el usuario para resolver el turno de partida de la sesión.
+async function prepareGenerationPayload(payload, { user = null } = {}) {
+if (payload.sessionId) {
+payload = { ...payload, ...(await resolveSessionBase(user, payload)) };
+}
+const operation = payload.operation || 'generate';
+const prepared = { ...payload };
+// Compatibilidad: antes los modelos sin resoluciones aceptaban (e ignoraban) resolution
+if (prepared.resolution && MODEL_CATALOG[payload.model]?.resolutions.length === 0) {
+console.warn(`⚠️ resolution "${prepared.resolution}" ignorada: el modelo ${payload.model} no tiene resoluciones`);
+delete prepared.resolution;
+}
+if (['edit', 'outpaint', 'upscale', 'variations'].includes(operation) && !payload.baseImage) {
+throw new ImageValidationError(localizedText(
+`La operación ${operation} requiere baseImage`,
+`The ${operation} operation requires baseImage`
+));
+}
+if (operation === 'inpaint' && (!payload.baseImage || !payload.maskImage)) {
+throw new ImageValidationError(localizedText(
+'La operación inpaint requiere baseImage y maskImage',
+'The inpaint operation requires baseImage and maskImage'
+));
+}
+if (operation === 'outpaint' && payload.maskImage) {
+throw new ImageValidationError(localizedText(
+'La operación outpaint genera su propia máscara: no envíes maskImage',
+'The outpaint operation builds its own mask: do not send maskImage'
+));
+}
+if (payload.referenceImages !== undefined && !Array.isArray(payload.referenceImages)) {
+throw new ImageValidationError(localizedText('referenceImages debe ser un array', 'referenceImages must be an array'));
+}
+if (Array.isArray(payload.referenceImages)) {
+prepared.referenceImages = [];
+for (let i = 0; i < payload.referenceImages.length; i++) {
+const reference = await validateImage(payload.referenceImages[i], `referenceImages[${i}]`);
+prepared.referenceImages.push(await reference.normalize());
+}
+}
+let base = null;
+if (payload.baseImage) {
+base = await validateImage(payload.baseImage, 'baseImage');
+prepared.baseImage = await base.normalize();
+}
+if (payload.maskImage) {
+if (!base) {
+throw new ImageValidationError(localizedText('maskImage requiere baseImage', 'maskImage requires baseImage'));
+}
+const mask = await validateImage(payload.maskImage, 'maskImage', { isMask: true });
+if (mask.metadata.width !== base.metadata.width || mask.metadata.height !== base.metadata.height) {
+throw new ImageValidationError(localizedText(
+`maskImage (${mask.metadata.width}x${mask.metadata.height}) debe tener las mismas dimensiones que baseImage (${base.metadata.width}x${base.metadata.height})`,
+`maskImage (${mask.metadata.width}x${mask.metadata.height}) must have the same dimensions as baseImage (${base.metadata.width}x${base.metadata.height})`
+));
+}
+prepared.maskImage = await mask.normalize();
+}
+if (operation === 'outpaint') {
+Object.assign(prepared, await buildOutpaintCanvas(prepared.baseImage, resolveOutpaintPadding(payload)));
+}
+if (operation === 'upscale') {
+const { width, height } = payload.targetSize;
+if (width < prepared.baseImage.width || height < prepared.baseImage.height) {
+throw new ImageValidationError(localizedText(
+`targetSize (${width}x${height}) no puede ser menor que baseImage (${prepared.baseImage.width}x${prepared.baseImage.height})`,
+`targetSize (${width}x${height}) cannot be smaller than baseImage (${prepared.baseImage.width}x${prepared.baseImage.height})`
+));
+}
+if (!matchesAspectRatio(payload.targetSize, prepared.baseImage)) {
+throw new ImageValidationError(localizedText(
+`targetSize (${width}x${height}) debe conservar la proporción de baseImage (${prepared.baseImage.width}x${prepared.baseImage.height})`,
+`targetSize (${width}x${height}) must keep the aspect ratio of baseImage (${prepared.baseImage.width}x${prepared.baseImage.height})`
+));
+}
+prepared.resolution = prepared.resolution || pickUpscaleResolution(MODEL_CATALOG[payload.model], payload.targetSize);
+}
+if (!prepared.prompt && DEFAULT_OPERATION_PROMPTS[operation]) {
+prepared.prompt = DEFAULT_OPERATION_PROMPTS[operation];
+}
+return prepared;
+}
+// ========================================
+// COMPOSICIÓN DE INPAINTING
+// ========================================
+// El modelo no siempre respeta la máscara: cambia colores o la resolución de
+// BASE_CROP. Tras generar, el resultado se escala al tamaño de la imagen base y se
+// mezcla con ella a través de la máscara (difuminada maskFeather píxeles), de modo
+// que todo lo que queda fuera de la zona blanca es idéntico al original.
+const INPAINT_FEATHER_PX = parseInt(process.env.INPAINT_FEATHER_PX, 10) >= 0 ? parseInt(process.env.INPAINT_FEATHER_PX, 10) : 4;
+const MAX_MASK_FEATHER_PX = 64;
+async function compositeInpaintResult(baseImage, maskImage, generated, featherPx = INPAINT_FEATHER_PX) {
+const baseBuffer = Buffer.from(baseImage.data, 'base64');
+const { width, height } = await sharp(baseBuffer).metadata();
+const maskPipeline = () => sharp(Buffer.from(maskImage.data, 'base64')).resize(width, height, { fit: 'fill' });
+const [base, output, hardMask, softMask] = await Promise.all([
+sharp(baseBuffer).ensureAlpha().raw().toBuffer(),
+sharp(Buffer.from(generated.data, 'base64'))
+.resize(width, height, { fit: 'fill' })
+.ensureAlpha()
+.raw()
+.toBuffer(),
+maskPipeline().toColourspace('b-w').raw().toBuffer(),
+featherPx > 0
+? maskPipeline().blur(Math.max(0.3, featherPx / 2)).toColourspace('b-w').raw().toBuffer()
+: null
+]);
+const composite = Buffer.alloc(base.length);
+for (let i = 0, p = 0; p < hardMask.length; p++, i += 4) {
+// El difuminado solo actúa hacia dentro: fuera de la máscara el peso es siempre 0
+const weight = (softMask ? Math.min(softMask[p], hardMask[p]) : hardMask[p]) / 255; // 1 = zona generada, 0 = original intacto
+for (let c = 0; c < 4; c++) {
+composite[i + c] = Math.round(output[i + c] * weight + base[i + c] * (1 - weight));
+}
+}
+const png = await sharp(composite, { raw: { width, height, channels: 4 } }).png().toBuffer();
+console.log(`🧩 Inpainting compuesto sobre la imagen base (${width}x${height}, feather ${featherPx}px)`);
+return { mimeType: 'image/png', data: png.toString('base64'), width, height };
+}
+// ========================================
+// OUTPAINT, UPSCALE Y VARIACIONES
+// ========================================
+// outpaint se resuelve como un inpainting sobre un lienzo ampliado: la imagen base
+// se coloca en el lienzo y la máscara marca en blanco solo la zona nueva.
+// upscale pide al modelo la resolución adecuada y entrega exactamente targetSize, que debe
+// conservar la proporción de baseImage (salvo el redondeo a píxeles enteros).
+const OPTIONAL_PROMPT_OPERATIONS = ['outpaint', 'upscale', 'variations'];
+const DEFAULT_OPERATION_PROMPTS = {
+outpaint: 'Extiende la escena de forma natural y coherente con la imagen original.',
+upscale: 'Aumenta la resolución y el detalle de la imagen sin cambiar su contenido.',
+variations: 'Crea una variación de la imagen manteniendo su sujeto y estilo.'
+};
+const OUTPAINT_ANCHORS = ['center', 'top', 'bottom', 'left', 'right', 'top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const OUTPAINT_MAX_EXPAND_PX = 2048;
+const UPSCALE_MAX_DIMENSION = parseInt(process.env.UPSCALE_MAX_DIMENSION, 10) || 4096;
+// Tamaño nominal de cada resolución del catálogo, para elegirla según targetSize
+const RESOLUTION_PIXELS = { '1K': 1024, '2K': 2048, '4K': 4096 };
+function validateOutpaintOptions(payload) {
+const { expand, anchor } = payload;
+if (typeof expand === 'number') {
+if (!Number.isInteger(expand) || expand <= 0 || expand > OUTPAINT_MAX_EXPAND_PX) {
+return localizedText(
+`expand debe ser un entero entre 1 y ${OUTPAINT_MAX_EXPAND_PX}`,
+`expand must be an integer between 1 and ${OUTPAINT_MAX_EXPAND_PX}`
+);
+}
+if (anchor !== undefined && !OUTPAINT_ANCHORS.includes(anchor)) {
+return localizedText(
+`anchor no válido: ${anchor}. Valores: ${OUTPAINT_ANCHORS.join(', ')}`,
+`Invalid anchor: ${anchor}. Values: ${OUTPAINT_ANCHORS.join(', ')}`
+);
+}
+return null;
+}
+if (!expand || typeof expand !== 'object') {
+return localizedText(
+'La operación outpaint requiere expand (número de píxeles o { top, right, bottom, left })',
+'The outpaint operation requires expand (number of pixels or { top, right, bottom, left })'
+);
+}
+if (anchor !== undefined) {
+return localizedText('anchor solo se usa cuando expand es un número', 'anchor is only used when expand is a number');
+}
+let total = 0;
+for (const side of ['top', 'right', 'bottom', 'left']) {
+const value = expand[side] ?? 0;
+if (!Number.isInteger(value) || value < 0 || value > OUTPAINT_MAX_EXPAND_PX) {
+return localizedText(
+`expand.${side} debe ser un entero entre 0 y ${OUTPAINT_MAX_EXPAND_PX}`,
+`expand.${side} must be an integer between 0 and ${OUTPAINT_MAX_EXPAND_PX}`
+);
+}
+total += value;
+}
+return total > 0 ? null : localizedText('expand debe ampliar al menos un lado', 'expand must grow at least one side');
+}
+// Con expand numérico, el lienzo crece expand píxeles en ancho y alto y el anchor
+// indica dónde queda la imagen original (como el ancla de "Tamaño de lienzo")
+function resolveOutpaintPadding({ expand, anchor = 'center' }) {
+if (typeof expand === 'object') {
+return { top: expand.top || 0, right: expand.right || 0, bottom: expand.bottom || 0, left: expand.left || 0 };
+}
+const split = (before, after) => (before && after ? [Math.floor(expand / 2), Math.ceil(expand / 2)] : before ? [expand, 0] : [0, expand]);
+const [top, bottom] = split(!anchor.startsWith('top'), !anchor.startsWith('bottom'));
+const [left, right] = split(!anchor.endsWith('left'), !anchor.endsWith('right'));
+return { top, right, bottom, left };
+}
+function validateUpscaleOptions(payload) {
+const { targetSize } = payload;
+if (!targetSize || typeof targetSize !== 'object') {
+return localizedText('La operación upscale requiere targetSize { width, height }', 'The upscale operation requires targetSize { width, height }');
+}
+for (const side of ['width', 'height']) {
+if (!Number.isInteger(targetSize[side]) || targetSize[side] <= 0 || targetSize[side] > UPSCALE_MAX_DIMENSION) {
+return localizedText(
+`targetSize.${side} debe ser un entero entre 1 y ${UPSCALE_MAX_DIMENSION}`,
+`targetSize.${side} must be an integer between 1 and ${UPSCALE_MAX_DIMENSION}`
+);
+}
+}
+return null;
+}
+// La resolución más pequeña del modelo que cubre el lado mayor de targetSize
+function pickUpscaleResolution(model, targetSize) {
+if (model.resolutions.length === 0) return null;
+const longest = Math.max(targetSize.width, targetSize.height);
+const sorted = [...model.resolutions].sort((a, b) => (RESOLUTION_PIXELS[a] || 0) - (RESOLUTION_PIXELS[b] || 0));
+return sorted.find(resolution => (RESOLUTION_PIXELS[resolution] || 0) >= longest) || sorted[sorted.length - 1];
+}
+async function buildOutpaintCanvas(baseImage, padding) {
+const width = baseImage.width + padding.left + padding.right;
+const height = baseImage.height + padding.top + padding.bottom;
+if (Math.max(width, height) > IMAGE_MAX_DIMENSION) {
+throw new ImageValidationError(localizedText(
+`El lienzo ampliado (${width}x${height}) supera el máximo de ${IMAGE_MAX_DIMENSION}px por lado`,
+`The expanded canvas (${width}x${height}) exceeds the ${IMAGE_MAX_DIMENSION}px limit per side`
+));
+}
+const canvas = await sharp(Buffer.from(baseImage.data, 'base64'))
+.ensureAlpha()
+.extend({ ...padding, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+.png()
+.toBuffer();
+// Máscara: blanco en la zona nueva, negro sobre la imagen original
+const maskPixels = Buffer.alloc(width * height, 255);
+for (let y = padding.top; y < padding.top + baseImage.height; y++) {
+maskPixels.fill(0, y * width + padding.left, y * width + padding.left + baseImage.width);
+}
+const mask = await sharp(maskPixels, { raw: { width, height, channels: 1 } }).png().toBuffer();
+return {
+baseImage: { data: canvas.toString('base64'), mimeType: 'image/png', width, height },
+maskImage: { data: mask.toString('base64'), mimeType: 'image/png', width, height }
+};
+}
+// Se admite un píxel de diferencia en cualquiera de los dos lados por el redondeo
+function matchesAspectRatio(size, reference) {
+return Math.abs(size.width - Math.round(size.height * reference.width / reference.height)) <= 1 ||
+Math.abs(size.height - Math.round(size.width * reference.height / reference.width)) <= 1;
+}
+// targetSize ya tiene la proporción de la base; si el modelo devolvió otra, se recorta
+// el sobrante centrado en lugar de deformar la imagen
+async function resizeToTargetSize(generated, targetSize) {
+const buffer = await sharp(Buffer.from(generated.data, 'base64'))
+.resize(targetSize.width, targetSize.height, { fit: 'cover', position: 'centre', kernel: 'lanczos3' })
+.png()
+.toBuffer();
+console.log(`🔍 Resultado escalado a ${targetSize.width}x${targetSize.height}`);
+return { mimeType: 'image/png', data: buffer.toString('base64'), width: targetSize.width, height: targetSize.height };
+}
+// ========================================
+// FORMATO DE SALIDA Y PROCEDENCIA
+// ========================================
+// Cada imagen entregada lleva dentro cómo se generó: modelo, operación, hash del
+// prompt, transacción y fecha. En PNG se escribe como chunks tEXt y en JPEG/WebP
+// como un paquete XMP. Con outputFormat (y outputQuality para jpeg/webp) el
+// servidor transcodifica la salida del proveedor antes de incrustar los metadatos.
+const OUTPUT_FORMATS = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' };
+const DEFAULT_OUTPUT_QUALITY = 90;
+const PROVENANCE_FIELDS = ['model', 'operation', 'promptHash', 'transactionId', 'generatedAt'];
+const PROVENANCE_PNG_PREFIX = 'provenance:';
+const PROVENANCE_XMP_NS = 'urn:nano-banana:provenance:1.0';
+const XMP_JPEG_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'ascii');
+function validateOutputOptions(payload) {
+const { outputFormat, outputQuality } = payload;
+if (outputFormat !== undefined && !Object.hasOwn(OUTPUT_FORMATS, outputFormat)) {
+return localizedText(
+`outputFormat no válido: ${outputFormat}. Valores: ${Object.keys(OUTPUT_FORMATS).join(', ')}`,
+`Invalid outputFormat: ${outputFormat}. Values: ${Object.keys(OUTPUT_FORMATS).join(', ')}`
+);
+}
+if (outputQuality !== undefined) {
+if (!Number.isInteger(outputQuality) || outputQuality < 1 || outputQuality > 100) {
+return localizedText('outputQuality debe ser un entero entre 1 y 100', 'outputQuality must be an integer between 1 and 100');
+}
+if (outputFormat !== 'jpeg' && outputFormat !== 'webp') {
+return localizedText(
+'outputQuality solo se admite con outputFormat jpeg o webp',
+'outputQuality is only supported with outputFormat jpeg or webp'
+);
+}
+}
+return null;
+}
+function buildProvenance({ model, operation, prompt, transactionId, generatedAt }) {
+return {
+model,
+operation,
+promptHash: crypto.createHash('sha256').update(prompt || '').digest('hex'),
+transactionId: transactionId.toString(),
+generatedAt: generatedAt.toISOString()
+};
+}
+// ---------- PNG: chunks tEXt justo antes de IEND ----------
+function listPngChunks(buffer) {
+const chunks = [];
+let offset = 8;
+while (offset + 12 <= buffer.length) {
+const length = buffer.readUInt32BE(offset);
+const type = buffer.toString('ascii', offset + 4, offset + 8);
+const end = offset + 12 + length;
+if (end > buffer.length) break;
+chunks.push({ type, start: offset, end, data: buffer.subarray(offset + 8, offset + 8 + length) });
+if (type === 'IEND') break;
+offset = end;
+}
+return chunks;
+}
+function isProvenancePngText(chunk) {
+return chunk.type === 'tEXt' && chunk.data.toString('latin1').startsWith(PROVENANCE_PNG_PREFIX);
+}
+function embedPngProvenance(buffer, provenance) {
+const chunks = listPngChunks(buffer);
+const iend = chunks.find(chunk => chunk.type === 'IEND');
+if (!iend) throw new Error('PNG sin chunk IEND');
+// Una procedencia anterior (p. ej. de una imagen base reutilizada) se sustituye
+const kept = chunks.filter(chunk => chunk !== iend && !isProvenancePngText(chunk));
+const textChunks = PROVENANCE_FIELDS.map(field =>
+pngChunk('tEXt', Buffer.from(`${PROVENANCE_PNG_PREFIX}${field}\0${provenance[field]}`, 'latin1'))
+);
+return Buffer.concat([
+buffer.subarray(0, 8),
+...kept.map(chunk => buffer.subarray(chunk.start, chunk.end)),
+...textChunks,
+buffer.subarray(iend.start, iend.end)
+]);
+}
+function readPngProvenance(buffer) {
+const fields = {};
+for (const chunk of listPngChunks(buffer).filter(isProvenancePngText)) {
+const text = chunk.data.toString('latin1');
+const separator = text.indexOf('\0');
+if (separator < 0) continue;
+fields[text.slice(PROVENANCE_PNG_PREFIX.length, separator)] = text.slice(separator + 1);
+}
+return fields;
+}
+// ---------- XMP (JPEG y WebP) ----------
+function escapeXmlAttribute(value) {
+return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+function buildProvenanceXmp(provenance) {
+const attributes = PROVENANCE_FIELDS.map(field => ` prov:${field}="${escapeXmlAttribute(provenance[field])}"`).join('');
+return Buffer.from(
+'<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+'<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+`<rdf:Description rdf:about="" xmlns:prov="${PROVENANCE_XMP_NS}"${attributes}/>` +
+'</rdf:RDF></x:xmpmeta><?xpacket end="w"?>',
+'utf8'
+);
+}
+function parseProvenanceXmp(xmp) {
+const fields = {};
+for (const [, field, value] of xmp.toString('utf8').matchAll(/prov:(\w+)="([^"]*)"/g)) {
+if (!PROVENANCE_FIELDS.includes(field)) continue;
+fields[field] = value.replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+return fields;
+}
+// JPEG: segmento APP1 con el XMP tras el APP0 (JFIF), descartando un XMP previo
+function embedJpegProvenance(buffer, provenance) {
+const xmp = buildProvenanceXmp(provenance);
+const length = Buffer.alloc(2);
+length.writeUInt16BE(2 + XMP_JPEG_HEADER.length + xmp.length);
+const xmpSegment = Buffer.concat([Buffer.from([0xff, 0xe1]), length, XMP_JPEG_HEADER, xmp]);
+// Segmentos de cabecera hasta el inicio de los datos de imagen (SOS)
+const segments = [];
+let offset = 2;
+while (offset + 4 <= buffer.length && buffer[offset] === 0xff && buffer[offset + 1] !== 0xda) {
+const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+segments.push({ marker: buffer[offset + 1], start: offset, end });
+offset = end;
+}
+const isXmp = segment => segment.marker === 0xe1 &&
+buffer.subarray(segment.start + 4, segment.start + 4 + XMP_JPEG_HEADER.length).equals(XMP_JPEG_HEADER);
+const slice = segment => buffer.subarray(segment.start, segment.end);
+return Buffer.concat([
+buffer.subarray(0, 2),
+...segments.filter(segment => segment.marker === 0xe0).map(slice),
+xmpSegment,
+...segments.filter(segment => segment.marker !== 0xe0 && !isXmp(segment)).map(slice),
+buffer.subarray(offset)
+]);
+}
+// WebP: chunk "XMP " del formato extendido; un WebP simple se convierte en VP8X
+function riffChunk(fourcc, data) {
+const header = Buffer.alloc(8);
+header.write(fourcc, 0, 'ascii');
+header.writeUInt32LE(data.length, 4);
+return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+function embedWebpProvenance(buffer, provenance, { width, height, hasAlpha }) {
+const chunks = [];
+let offset = 12;
+while (offset + 8 <= buffer.length) {
+const size = buffer.readUInt32LE(offset + 4);
+chunks.push({ fourcc: buffer.toString('ascii', offset, offset + 4), data: buffer.subarray(offset + 8, offset + 8 + size) });
+offset += 8 + size + (size % 2);
+}
+const extended = chunks.find(chunk => chunk.fourcc === 'VP8X');
+let header;
+if (extended) {
+header = Buffer.from(extended.data);
+} else {
+header = Buffer.alloc(10);
+header.writeUIntLE(width - 1, 4, 3);
+header.writeUIntLE(height - 1, 7, 3);
+if (hasAlpha) header[0] |= 0x10;
+}
+header[0] |= 0x04; // bandera XMP
+const body = Buffer.concat([
+Buffer.from('WEBP', 'ascii'),
+riffChunk('VP8X', header),
+...chunks.filter(chunk => chunk.fourcc !== 'VP8X' && chunk.fourcc !== 'XMP ').map(chunk => riffChunk(chunk.fourcc, chunk.data)),
+riffChunk('XMP ', buildProvenanceXmp(provenance))
+]);
+const riffHeader = Buffer.alloc(8);
+riffHeader.write('RIFF', 0, 'ascii');
+riffHeader.writeUInt32LE(body.length, 4);
+return Buffer.concat([riffHeader, body]);
+}
+// Transcodifica al formato pedido (si hace falta) e incrusta la procedencia.
+// Devuelve el resultado con data, mimeType y un data URL bien formado.
+async function finalizeOutputImage(result, payload, provenance) {
+const mimeType = payload.outputFormat
+? OUTPUT_FORMATS[payload.outputFormat]
+: (ALLOWED_IMAGE_MIME_TYPES.includes(result.mimeType) ? result.mimeType : 'image/png');
+let buffer = Buffer.from(result.data, 'base64');
+if (mimeType !== result.mimeType || payload.outputQuality !== undefined) {
+// JPEG no tiene transparencia: se aplana sobre blanco en lugar de negro
+const pipeline = mimeType === 'image/jpeg' ? sharp(buffer).flatten({ background: '#ffffff' }) : sharp(buffer);
+buffer = await encodeImage(pipeline, mimeType, payload.outputQuality ?? DEFAULT_OUTPUT_QUALITY).toBuffer();
+console.log(`🎞️ Salida transcodificada: ${result.mimeType} → ${mimeType}`);
+}
+if (mimeType === 'image/png') {
+buffer = embedPngProvenance(buffer, provenance);
+} else if (mimeType === 'image/jpeg') {
+buffer = embedJpegProvenance(buffer, provenance);
+} else {
+buffer = embedWebpProvenance(buffer, provenance, await sharp(buffer).metadata());
+}
+const data = buffer.toString('base64');
+return { ...result, mimeType, data, dataUrl: `data:${mimeType};base64,${data}` };
+}
+async function readImageProvenance(buffer, mimeType) {
+if (mimeType === 'image/png') return readPngProvenance(buffer);
+const { xmp } = await sharp(buffer).metadata();
+return xmp ? parseProvenanceXmp(xmp) : {};
+}
+// ========================================
+// PLANTILLAS DE INSTRUCCIONES
+// ========================================
+// Las instrucciones que se envían al modelo son plantillas versionadas por
+// operación e idioma en la colección "instruction_templates" (templateId = "<operación>.<idioma>").
+// Solo una versión está activa por templateId; crear una versión nueva no requiere
+// redeploy. Placeholders: {{referenceCount}}, {{operation}}, {{aspectRatio}}, {{resolution}}.
+// Cada transacción guarda el templateId y la versión usados para comparar redacciones.
+const SUPPORTED_INSTRUCTION_LANGUAGES = ['es', 'en'];
+const DEFAULT_INSTRUCTION_LANGUAGE = SUPPORTED_INSTRUCTION_LANGUAGES.includes(process.env.DEFAULT_INSTRUCTION_LANGUAGE)
+? process.env.DEFAULT_INSTRUCTION_LANGUAGE
+: 'es';
+const TEMPLATE_PLACEHOLDERS = ['referenceCount', 'operation', 'aspectRatio', 'resolution'];
+const TEMPLATE_CACHE_MS = parseInt(process.env.TEMPLATE_CACHE_MS, 10) || 60 * 1000;
+// Versión 1 de cada plantilla; se siembra en Mongo al arrancar si no existe
+const DEFAULT_INSTRUCTION_TEMPLATES = {
+es: {
+generate: `
+ROL: Eres un generador de imágenes de IA que sintetiza ideas visuales.
+ENTRADAS: 1. Prompt de usuario (la idea principal). 2. Imágenes de Referencia (opcionales, {{referenceCount}} recibidas, la base visual).
+REGLA PRINCIPAL: Genera una imagen nueva que represente la idea descrita en el Prompt.
+REGLA DE REFERENCIA: Si se proporcionan Imágenes de Referencia, la nueva imagen DEBE ser una fusión coherente de sus características más importantes (estilo, sujeto, colores, composición). El Prompt tiene la última palabra sobre cómo combinarlas. Trátalas como la principal fuente de inspiración visual.
+SALIDA: Exclusivamente la imagen resultante debe ser de la más alta calidad en formato inlineData/base64. Cero texto, descripciones o confirmaciones.
+`.trim(),
+edit: `
+ROL: Eres un editor de imágenes de Photoshop preciso y literal.
+ENTRADAS: 1. Imagen Base (primera imagen). 2. Imágenes de Referencia (siguientes, {{referenceCount}} recibidas). 3. Prompt de usuario (la orden de edición).
+REGLA PRINCIPAL: Modifica la Imagen Base aplicando única y literalmente los cambios del Prompt. No realices ninguna alteración creativa o no solicitada.
+REGLA DE CONSERVACIÓN: Todos los aspectos de la Imagen Base (composición, objetos, colores, texturas, el estilo de iluminación y la atmósfera visual, etc.) deben permanecer 100% idénticos a menos que el prompt ordene explícitamente su modificación.
+REGLA DE REFERENCIA: Usa las Imágenes de Referencia solo para guiar la ejecución de la orden del Prompt, no para alterar el estilo general de la Imagen Base.
+SALIDA: Exclusivamente la imagen resultante debe ser de la más alta calidad en formato inlineData/base64. Cero texto.
+`.trim(),
+inpaint: `
+MODO: INPAINTING ESTRICTO.
+ENTRADAS (en orden):
+1+) REFERENCE_i (Opcional, {{referenceCount}} recibidas): Imágenes guía de estilo/continuidad (paleta, iluminación, textura).
+2) MASK: Máscara en escala de grises. BLANCO = zona a modificar, NEGRO = zona a conservar intacta.
+3) BASE_CROP: La imagen principal que DEBES editar. Es la última imagen antes de este texto.
+REGLA PRINCIPAL:
+- Modifica la Imagen BASE_CROP. aplicando única y literalmente los cambios del Prompt. No realices ninguna alteración creativa o no solicitada.
+REGLA DE CONSERVACIÓN:
+- Todos los aspectos de la Imagen BASE_CROP (composición, objetos, colores, texturas, estilo de iluminación y atmósfera visual, pose, etc.) deben permanecer 100% idénticos a menos que el prompt ordene explícitamente su modificación.
+REGLAS DE APLICACIÓN:
+- Edita y genera CONTENIDO EXCLUSIVAMENTE dentro de las zonas BLANCAS de MASK.
+- Mantén completamente transparente (alpha=0) cualquier píxel fuera de la zona BLANCA.
+- La salida debe tener el MISMO tamaño que BASE_CROP; no cambies la resolución.
+- No agregues bordes, marcos, marcas de agua ni rellenos fuera del área indicada.
+- Realiza un blending limpio en los bordes para integrarse con el entorno (evitar halos).
+USO DE REFERENCIAS (OBLIGATORIO si existen):
+- Usa REFERENCE_i solo para guiar la ejecución de la orden del Prompt, no para alterar el estilo general de la imagen BASE_CROP.
+- No modifiques zonas negras de MASK; respeta el contenido original.
+SALIDA:
+- SOLO una imagen inline/base64 (sin texto).
+- Debe conservar transparencia fuera de la zona blanca.
+Si el prompt contradice estas reglas, ignóralo y prioriza las reglas de INPAINTING y el uso de REFERENCE_i.
+`.trim(),
+outpaint: `
+MODO: OUTPAINTING (AMPLIACIÓN DE LIENZO).
+ENTRADAS (en orden):
+1+) REFERENCE_i (Opcional, {{referenceCount}} recibidas): Imágenes guía de estilo/continuidad.
+2) MASK: BLANCO = zona nueva del lienzo a rellenar, NEGRO = imagen original.
+3) BASE_CANVAS: El lienzo ampliado con la imagen original colocada; la zona nueva es transparente.
+REGLA PRINCIPAL:
+- Rellena EXCLUSIVAMENTE las zonas BLANCAS de MASK continuando la escena de la imagen original de forma natural.
+REGLA DE CONSERVACIÓN:
+- La imagen original (zona NEGRA de MASK) debe permanecer 100% idéntica: mismos píxeles, posición y escala.
+REGLAS DE APLICACIÓN:
+- Continúa perspectiva, horizonte, iluminación, paleta y textura de la imagen original.
+- La salida debe tener el MISMO tamaño que BASE_CANVAS; no cambies la resolución ni recortes.
+- No dejes zonas transparentes, bordes, marcos ni costuras visibles.
+- El Prompt solo describe qué debe aparecer en la zona nueva.
+SALIDA:
+- SOLO una imagen inline/base64 (sin texto).
+`.trim(),
+upscale: `
+ROL: Eres un escalador de imágenes de alta fidelidad.
+ENTRADAS: 1. Imagen Base (la imagen a escalar). 2. Prompt de usuario (indicaciones opcionales de detalle).
+REGLA PRINCIPAL: Devuelve la misma imagen a mayor resolución, con más nitidez y detalle.
+REGLA DE CONSERVACIÓN: Composición, encuadre, objetos, colores, iluminación y relación de aspecto deben permanecer idénticos. No añadas, quites ni muevas elementos.
+REGLA DE CALIDAD: Reconstruye texturas y bordes finos sin artefactos, halos ni ruido añadido.
+SALIDA: Exclusivamente la imagen resultante en formato inlineData/base64. Cero texto.
+`.trim(),
+variations: `
+ROL: Eres un generador de variaciones de imágenes.
+ENTRADAS: 1. Imagen Base (la imagen original). 2. Imágenes de Referencia (opcionales, {{referenceCount}} recibidas). 3. Prompt de usuario (indicaciones opcionales de la variación).
+REGLA PRINCIPAL: Genera una imagen nueva que sea una variación reconocible de la Imagen Base: mismo sujeto, estilo y paleta, con cambios de composición, pose o detalle.
+REGLA DE REFERENCIA: Usa las Imágenes de Referencia y el Prompt solo para orientar la variación.
+SALIDA: Exclusivamente la imagen resultante debe ser de la más alta calidad en formato inlineData/base64. Cero texto.
+`.trim()
+},
+en: {
+generate: `
+ROLE: You are an AI image generator that synthesizes visual ideas.
+INPUTS: 1. User prompt (the main idea). 2. Reference Images (optional, {{referenceCount}} received, the visual basis).
+MAIN RULE: Generate a new image that represents the idea described in the Prompt.
+REFERENCE RULE: If Reference Images are provided, the new image MUST be a coherent fusion of their most important features (style, subject, colors, composition). The Prompt has the final word on how to combine them. Treat them as the main source of visual inspiration.
+OUTPUT: Only the resulting image, at the highest quality, in inlineData/base64 format. Zero text, descriptions or confirmations.
+`.trim(),
+edit: `
+ROLE: You are a precise and literal Photoshop image editor.
+INPUTS: 1. Base Image (first image). 2. Reference Images (following, {{referenceCount}} received). 3. User prompt (the edit order).
+MAIN RULE: Modify the Base Image applying only and literally the changes in the Prompt. Do not make any creative or unrequested alteration.
+PRESERVATION RULE: Every aspect of the Base Image (composition, objects, colors, textures, lighting style and visual mood, etc.) must remain 100% identical unless the prompt explicitly orders its modification.
+REFERENCE RULE: Use the Reference Images only to guide the execution of the Prompt, not to alter the overall style of the Base Image.
+OUTPUT: Only the resulting image, at the highest quality, in inlineData/base64 format. Zero text.
+`.trim(),
+inpaint: `
+MODE: STRICT INPAINTING.
+INPUTS (in order):
+1+) REFERENCE_i (Optional, {{referenceCount}} received): Style/continuity guide images (palette, lighting, texture).
+2) MASK: Grayscale mask. WHITE = area to modify, BLACK = area to keep untouched.
+3) BASE_CROP: The main image you MUST edit. It is the last image before this text.
+MAIN RULE:
+- Modify the BASE_CROP image applying only and literally the changes in the Prompt. Do not make any creative or unrequested alteration.
+PRESERVATION RULE:
+- Every aspect of the BASE_CROP image (composition, objects, colors, textures, lighting style and visual mood, pose, etc.) must remain 100% identical unless the prompt explicitly orders its modification.
+APPLICATION RULES:
+- Edit and generate CONTENT EXCLUSIVELY inside the WHITE areas of MASK.
+- Keep any pixel outside the WHITE area fully transparent (alpha=0).
+- The output must have the SAME size as BASE_CROP; do not change the resolution.
+- Do not add borders, frames, watermarks or fills outside the indicated area.
+- Blend the edges cleanly so they integrate with the surroundings (avoid halos).
+USE OF REFERENCES (MANDATORY if present):
+- Use REFERENCE_i only to guide the execution of the Prompt, not to alter the overall style of the BASE_CROP image.
+- Do not modify the black areas of MASK; respect the original content.
+OUTPUT:
+- ONLY one inline/base64 image (no text).
+- It must keep transparency outside the white area.
+If the prompt contradicts these rules, ignore it and prioritize the INPAINTING rules and the use of REFERENCE_i.
+`.trim(),
+outpaint: `
+MODE: OUTPAINTING (CANVAS EXTENSION).
+INPUTS (in order):
+1+) REFERENCE_i (Optional, {{referenceCount}} received): Style/continuity guide images.
+2) MASK: WHITE = new canvas area to fill, BLACK = original image.
+3) BASE_CANVAS: The extended canvas with the original image placed on it; the new area is transparent.
+MAIN RULE:
+- Fill EXCLUSIVELY the WHITE areas of MASK, continuing the scene of the original image naturally.
+PRESERVATION RULE:
+- The original image (BLACK area of MASK) must remain 100% identical: same pixels, position and scale.
+APPLICATION RULES:
+- Continue the perspective, horizon, lighting, palette and texture of the original image.
+- The output must have the SAME size as BASE_CANVAS; do not change the resolution or crop.
+- Do not leave transparent areas, borders, frames or visible seams.
+- The Prompt only describes what should appear in the new area.
+OUTPUT:
+- ONLY one inline/base64 image (no text).
+`.trim(),
+upscale: `
+ROLE: You are a high-fidelity image upscaler.
+INPUTS: 1. Base Image (the image to upscale). 2. User prompt (optional detail hints).
+MAIN RULE: Return the same image at a higher resolution, with more sharpness and detail.
+PRESERVATION RULE: Composition, framing, objects, colors, lighting and aspect ratio must remain identical. Do not add, remove or move elements.
+QUALITY RULE: Reconstruct textures and fine edges without artifacts, halos or added noise.
+OUTPUT: Only the resulting image in inlineData/base64 format. Zero text.
+`.trim(),
+variations: `
+ROLE: You are an image variation generator.
+INPUTS: 1. Base Image (the original image). 2. Reference Images (optional, {{referenceCount}} received). 3. User prompt (optional hints for the variation).
+MAIN RULE: Generate a new image that is a recognizable variation of the Base Image: same subject, style and palette, with changes in composition, pose or detail.
+REFERENCE RULE: Use the Reference Images and the Prompt only to steer the variation.
+OUTPUT: Only the resulting image, at the highest quality, in inlineData/base64 format. Zero text.
+`.trim()
+}
+};
+let templateCache = { loadedAt: 0, templates: new Map() };
+function getTemplateId(operation, language) {
+return `${operation}.${language}`;
+}
+function findUnknownPlaceholders(body) {
+const used = [...body.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]);
+return used.filter(name => !TEMPLATE_PLACEHOLDERS.includes(name));
+}
+function renderTemplate(body, values) {
+return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+values[name] !== undefined && values[name] !== null ? String(values[name]) : ''
+));
+}
+async function seedInstructionTemplates() {
+const { templates } = await connectToDatabase();
+let seeded = 0;
+for (const [language, bodies] of Object.entries(DEFAULT_INSTRUCTION_TEMPLATES)) {
+for (const [operation, body] of Object.entries(bodies)) {
+const templateId = getTemplateId(operation, language);
+const existing = await templates.findOne({ templateId });
+if (existing) continue;
+await templates.insertOne({
+templateId,
+operation,
+language,
+version: 1,
+body,
+active: true,
+notes: 'Plantilla inicial',
+createdAt: new Date()
+});
+seeded++;
+}
+}
+if (seeded > 0) {
+console.log(`📝 ${seeded} plantillas de instrucciones iniciales creadas`);
+}
+}
+async function getActiveTemplates() {
+if (Date.now() - templateCache.loadedAt < TEMPLATE_CACHE_MS) {
+return templateCache.templates;
+}
+const { templates } = await connectToDatabase();
+const active = await templates.find({ active: true }).toArray();
+templateCache = { loadedAt: Date.now(), templates: new Map(active.map(template => [template.templateId, template])) };
+return templateCache.templates;
+}
+function invalidateTemplateCache() {
+templateCache = { loadedAt: 0, templates: new Map() };
+}
+// Idioma de la instrucción: el de la solicitud, el preferido del usuario o el por defecto
+function resolveInstructionLanguage(user, payload) {
+const candidates = [payload.language, user?.preferredLanguage, DEFAULT_INSTRUCTION_LANGUAGE];
+return candidates.find(language => SUPPORTED_INSTRUCTION_LANGUAGES.includes(language));
+}
+// Devuelve { text, templateId, version, language } para la operación de la solicitud
+async function resolveInstruction(user, payload) {
+const operation = payload.operation || 'generate';
+const language = resolveInstructionLanguage(user, payload);
+const active = await getActiveTemplates();
+let template = active.get(getTemplateId(operation, language)) || active.get(getTemplateId(operation, DEFAULT_INSTRUCTION_LANGUAGE));
+if (!template) {
+// Sin plantilla en Mongo: usar la versión incluida en el código
+console.warn(`⚠️ No hay plantilla activa para ${getTemplateId(operation, language)}, usando la predeterminada`);
+const fallbackLanguage = DEFAULT_INSTRUCTION_TEMPLATES[language]?.[operation] ? language : 'es';
+template = {
+templateId: getTemplateId(operation, fallbackLanguage),
+version: 1,
+language: fallbackLanguage,
+body: DEFAULT_INSTRUCTION_TEMPLATES[fallbackLanguage][operation]
+};
+}
+return {
+text: renderTemplate(template.body, {
+referenceCount: Array.isArray(payload.referenceImages) ? payload.referenceImages.length : 0,
+operation,
+aspectRatio: payload.aspectRatio,
+resolution: payload.resolution
+}),
+templateId: template.templateId,
+version: template.version,
+language: template.language
+};
+}
+async function activateTemplate(template) {
+const { templates } = await connectToDatabase();
+await templates.updateMany({ templateId: template.templateId, _id: { $ne: template._id } }, { $set: { active: false } });
+await templates.updateOne({ _id: template._id }, { $set: { active: true } });
+invalidateTemplateCache();
+}
+function serializeTemplate(template) {
+return {
+id: template._id.toString(),
+templateId: template.templateId,
+operation: template.operation,
+language: template.language,
+version: template.version,
+active: template.active,
+notes: template.notes || null,
+body: template.body,
+createdAt: template.createdAt
+};
+}
+// ========================================
+// ALMACENAMIENTO DE IMÁGENES
+// ========================================
+// Cada resultado se guarda en el servidor y se enlaza con su transacción.
+// IMAGE_STORAGE elige el adaptador: "gridfs" (por defecto) o "disk" (IMAGE_STORAGE_DIR).
+// Un adaptador implementa save(buffer, { filename, mimeType }) → storageKey,
+// createReadStream(storageKey) y delete(storageKey).
+const IMAGE_STORAGE = (process.env.IMAGE_STORAGE || 'gridfs').toLowerCase();
+const IMAGE_STORAGE_DIR = process.env.IMAGE_STORAGE_DIR || path.join(__dirname, 'storage', 'images');
+// Días que se conservan las imágenes; 0 = sin caducidad
+const IMAGE_RETENTION_DAYS = process.env.IMAGE_RETENTION_DAYS !== undefined ? parseInt(process.env.IMAGE_RETENTION_DAYS, 10) || 0 : 30;
+const IMAGE_PURGE_INTERVAL_MS = 60 * 60 * 1000; // Cada hora
+let imagePurgeInterval = null;
+const gridfsImageStorage = {
+name: 'gridfs',
+async save(buffer, { filename, mimeType }) {
+const { imagesBucket } = await connectToDatabase();
+return new Promise((resolve, reject) => {
+const upload = imagesBucket.openUploadStream(filename, { metadata: { mimeType } });
+upload.on('error', reject);
+upload.on('finish', () => resolve(upload.id.toString()));
+upload.end(buffer);
+});
+},
+async createReadStream(storageKey) {
+const { imagesBucket } = await connectToDatabase();
+return imagesBucket.openDownloadStream(new ObjectId(storageKey));
+},
+async delete(storageKey) {
+const { imagesBucket } = await connectToDatabase();
+try {
+await imagesBucket.delete(new ObjectId(storageKey));
+} catch (error) {
+// Ya borrado: no es un error
+if (!error.message.includes('File not found')) throw error;
+}
+}
+};
+const diskImageStorage = {
+name: 'disk',
+async save(buffer, { filename }) {
+await fs.promises.mkdir(IMAGE_STORAGE_DIR, { recursive: true });
+await fs.promises.writeFile(path.join(IMAGE_STORAGE_DIR, filename), buffer);
+return filename;
+},
+async createReadStream(storageKey) {
+return fs.createReadStream(path.join(IMAGE_STORAGE_DIR, path.basename(storageKey)));
+},
+async delete(storageKey) {
+await fs.promises.rm(path.join(IMAGE_STORAGE_DIR, path.basename(storageKey)), { force: true });
+}
+};
+const imageStorages = {
+gridfs: gridfsImageStorage,
+disk: diskImageStorage
+};
+function getImageStorage(name = IMAGE_STORAGE) {
+const storage = imageStorages[name];
+if (!storage) {
+throw new Error(`Almacenamiento de imágenes desconocido: ${name}. Disponibles: ${Object.keys(imageStorages).join(', ')}`);
+}
+return storage;
+}
+const IMAGE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+function getImageUrl(imageId) {
+return `/api/images/${imageId.toString()}/content`;
+}
+// Guarda el resultado de una generación. Nunca lanza: si falla el almacenamiento
+// la generación ya cobrada sigue devolviéndose como dataUrl.
+// kind: 'reference' guarda una imagen de referencia de una sesión (no aparece en la galería).
+async function storeGeneratedImage({ user, transactionId, result, payload, kind = null, contentHash = null }) {
+try {
+const { images } = await connectToDatabase();
+const imageId = new ObjectId();
+const storage = getImageStorage();
+const buffer = Buffer.from(result.data, 'base64');
+// Las salidas sin componer no traen dimensiones: leerlas de la propia imagen
+const { width, height } = result.width ? result : await sharp(buffer).metadata().catch(() => ({}));
+const storageKey = await storage.save(buffer, {
+filename: `${imageId.toString()}.${IMAGE_EXTENSIONS[result.mimeType] || 'bin'}`,
+mimeType: result.mimeType
+});
+const createdAt = new Date();
+const image = {
+_id: imageId,
+userId: user._id,
+transactionId,
+storage: storage.name,
+storageKey,
+mimeType: result.mimeType,
+size: buffer.length,
+width: width || null,
+height: height || null,
+prompt: (payload.prompt || '').substring(0, 1000),
+model: payload.model,
+operation: payload.operation || 'generate',
+...(kind ? { kind } : {}),
+...(contentHash ? { contentHash } : {}),
+createdAt,
+expiresAt: IMAGE_RETENTION_DAYS > 0 ? new Date(createdAt.getTime() + IMAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000) : null
+};
+await images.insertOne(image);
+console.log(`💾 Imagen ${imageId.toString()} guardada (${storage.name}, ${Math.round(buffer.length / 1024)} KB)`);
+return image;
+} catch (error) {
+console.error('❌ Error guardando la imagen generada:', error.message);
+return null;
+}
+}
+async function deleteStoredImage(image) {
+const { images } = await connectToDatabase();
+await getImageStorage(image.storage).delete(image.storageKey);
+await images.deleteOne({ _id: image._id });
+}
+async function purgeExpiredImages() {
+const { images } = await connectToDatabase();
+const expired = await images.find({ expiresAt: { $ne: null, $lte: new Date() } }).limit(500).toArray();
+for (const image of expired) {
+try {
+await deleteStoredImage(image);
+} catch (error) {
+console.error(`❌ Error eliminando imagen caducada ${image._id.toString()}:`, error.message);
+}
+}
+if (expired.length > 0) {
+console.log(`🧹 ${expired.length} imágenes caducadas eliminadas`);
+}
+}
+function startImagePurge() {
+if (IMAGE_RETENTION_DAYS <= 0) return;
+imagePurgeInterval = setInterval(() => {
+purgeExpiredImages().catch(error => console.error('❌ Error en la limpieza de imágenes:', error.message));
+}, IMAGE_PURGE_INTERVAL_MS);
+}
+function serializeImage(image) {
+return {
+imageId: image._id.toString(),
+url: getImageUrl(image._id),
+transactionId: image.transactionId ? image.transactionId.toString() : null,
+mimeType: image.mimeType,
+size: image.size,
+width: image.width,
+height: image.height,
+prompt: image.prompt,
+model: image.model,
+operation: image.operation,
+operationLabel: OPERATION_LABELS[image.operation] || image.operation,
+createdAt: image.createdAt,
+expiresAt: image.expiresAt
+};
+}
+// ========================================
+// WEBHOOKS DE FINALIZACIÓN
+// ========================================
+// Al terminar (o fallar) una generación se notifica a los webhooks registrados
+// del usuario y al callbackUrl de la petición. Cada entrega se firma con el
+// secreto del usuario: X-Webhook-Signature: t=<unix>,v1=<hex HMAC-SHA256 de "<t>.<body>">
+const WEBHOOK_MAX_PER_USER = 5;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30000; // 30s, 1m, 2m, 4m...
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_POLL_INTERVAL_MS = 5000;
+const WEBHOOK_DELIVERY_LEASE_MS = 60000;
+// Entregas simultáneas por instancia: un endpoint que tarda hasta el timeout solo ocupa una
+const WEBHOOK_DELIVERY_CONCURRENCY = parseInt(process.env.WEBHOOK_DELIVERY_CONCURRENCY, 10) || 5;
+const WEBHOOK_DELIVERY_RETENTION_DAYS = 30;
+let webhookWorkerInterval = null;
+let webhookWorkerRunning = false;
+// Protección SSRF: un webhook nunca puede apuntar a la red interna del servidor
+// (loopback, redes privadas, link-local como 169.254.169.254, ULA). Se comprueba al
+// registrar la URL y otra vez al entregar, sobre la IP ya resuelta por el agente HTTP,
+// para que un DNS que cambie entre medias no sirva de nada. Solo para desarrollo:
+// WEBHOOK_ALLOW_PRIVATE_NETWORKS=1 permite receptores locales.
+const WEBHOOK_ALLOW_PRIVATE_NETWORKS = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === '1';
+const blockedWebhookAddresses = new net.BlockList();
+for (const [network, prefix] of [
+['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+blockedWebhookAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+blockedWebhookAddresses.addSubnet(network, prefix, 'ipv6');
+}
+// Las IPv4 mapeadas en IPv6 (::ffff:127.0.0.1) se comprueban contra las reglas IPv4
+function isBlockedWebhookAddress(address) {
+if (WEBHOOK_ALLOW_PRIVATE_NETWORKS) return false;
+return blockedWebhookAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+// lookup del agente: resuelve como siempre y rechaza la conexión si alguna IP es interna
+function lookupWebhookHost(hostname, options, callback) {
+dns.lookup(hostname, options, (error, address, family) => {
+if (error) return callback(error);
+const addresses = Array.isArray(address) ? address : [{ address, family }];
+const blocked = addresses.find(entry => isBlockedWebhookAddress(entry.address));
+if (blocked) {
+return callback(new Error(`${hostname} resuelve a una dirección no permitida (${blocked.address})`));
+}
+callback(null, address, family);
+});
+}
+const webhookAgents = {
+'http:': new http.Agent({ lookup: lookupWebhookHost }),
+'https:': new https.Agent({ lookup: lookupWebhookHost })
+};
+// Devuelve un mensaje { es, en } o null si la URL es aceptable
+function validateWebhookUrl(url) {
+if (typeof url !== 'string' || url.length === 0 || url.length > 2048) {
+return localizedText('La URL del webhook debe ser texto de hasta 2048 caracteres', 'The webhook URL must be a string of up to 2048 characters');
+}
+let parsed;
+try {
+parsed = new URL(url);
+} catch (error) {
+return localizedText('La URL del webhook no es válida', 'The webhook URL is not valid');
+}
+if (!['http:', 'https:'].includes(parsed.protocol)) {
+return localizedText('La URL del webhook debe usar http o https', 'The webhook URL must use http or https');
+}
+if (process.env.NODE_ENV === 'production' && parsed.protocol !== 'https:') {
+return localizedText('La URL del webhook debe usar https', 'The webhook URL must use https');
+}
+if (parsed.username || parsed.password) {
+return localizedText('La URL del webhook no puede incluir credenciales', 'The webhook URL cannot include credentials');
+}
+// Las IP literales no pasan por el lookup del agente: se comprueban aquí
+const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+const isLocalName = hostname === 'localhost' || hostname.endsWith('.localhost');
+if ((isLocalName && !WEBHOOK_ALLOW_PRIVATE_NETWORKS) || (net.isIP(hostname) && isBlockedWebhookAddress(hostname))) {
+return localizedText(
+'La URL del webhook no puede apuntar a una red local o privada',
+'The webhook URL cannot point to a local or private network'
+);
+}
+return null;
+}
+function generateWebhookSecret() {
+return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+// Crea el secreto de firma del usuario la primera vez que se necesita
+async function ensureWebhookSecret(userId) {
+const { users } = await connectToDatabase();
+await users.updateOne(
+{ _id: userId, webhookSecret: { $exists: false } },
+{ $set: { webhookSecret: generateWebhookSecret() } }
+);
+const user = await users.findOne({ _id: userId }, { projection: { webhookSecret: 1 } });
+return user.webhookSecret;
+}
+async function rotateWebhookSecret(userId) {
+const { users } = await connectToDatabase();
+const webhookSecret = generateWebhookSecret();
+await users.updateOne({ _id: userId }, { $set: { webhookSecret } });
+return webhookSecret;
+}
+function signWebhookPayload(secret, timestamp, body) {
+return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+// Encola una entrega por destino. Nunca lanza: un fallo aquí no debe afectar a la generación.
+async function queueGenerationWebhooks(user, payload, event, data) {
+try {
+const { webhooks, webhookDeliveries } = await connectToDatabase();
+const registered = await webhooks.find({ userId: user._id, active: true }).toArray();
+const targets = registered.map(webhook => ({ webhookId: webhook._id, url: webhook.url }));
+if (payload.callbackUrl && !targets.some(target => target.url === payload.callbackUrl)) {
+targets.push({ webhookId: null, url: payload.callbackUrl });
+}
+if (targets.length === 0) return;
+const now = new Date();
+const deliveries = targets.map(target => {
+const deliveryId = new ObjectId();
+return {
+_id: deliveryId,
+userId: user._id,
+webhookId: target.webhookId,
+url: target.url,
+event,
+// El cuerpo se fija al encolar para que todos los reintentos firmen lo mismo
+body: JSON.stringify({ id: deliveryId.toString(), event, createdAt: now.toISOString(), data }),
+status: 'pending',
+attempts: 0,
+attemptLog: [],
+nextAttemptAt: now,
+createdAt: now,
+expiresAt: new Date(now.getTime() + WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+};
+});
+await webhookDeliveries.insertMany(deliveries);
+console.log(`🔔 ${deliveries.length} webhook(s) encolados (${event})`);
+// Intentar la primera entrega sin esperar al siguiente ciclo del worker
+setImmediate(() => runWebhookDeliveries());
+} catch (error) {
+console.error('❌ Error encolando webhooks:', error.message);
+}
+}
+async function claimNextDelivery() {
+const { webhookDeliveries } = await connectToDatabase();
+const now = new Date();
+// También se recuperan entregas cuyo worker murió a mitad de intento
+return webhookDeliveries.findOneAndUpdate(
+{
+$or: [
+{ status: 'pending', nextAttemptAt: { $lte: now } },
+{ status: 'delivering', leaseExpiresAt: { $lt: now } }
+]
+},
+{ $set: { status: 'delivering', leaseExpiresAt: new Date(now.getTime() + WEBHOOK_DELIVERY_LEASE_MS) } },
+{ sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+);
+}
+async function attemptDelivery(delivery) {
+const { users, webhookDeliveries } = await connectToDatabase();
+const user = await users.findOne({ _id: delivery.userId }, { projection: { webhookSecret: 1 } });
+const secret = user?.webhookSecret || await ensureWebhookSecret(delivery.userId);
+const timestamp = Math.floor(Date.now() / 1000);
+const startedAt = Date.now();
+let statusCode = null;
+let errorMessage = null;
+// Las URLs guardadas antes de la protección SSRF se vuelven a validar: un rechazo no se reintenta
+const urlProblem = validateWebhookUrl(delivery.url);
+const controller = new AbortController();
+const timeout = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+try {
+if (urlProblem) throw new Error(urlProblem.es);
+const response = await fetch(delivery.url, {
+method: 'POST',
+headers: {
+'Content-Type': 'application/json',
+'User-Agent': 'nanobanana-webhooks/1.0',
+'X-Webhook-Id': delivery._id.toString(),
+'X-Webhook-Event': delivery.event,
+'X-Webhook-Signature': `t=${timestamp},v1=${signWebhookPayload(secret, timestamp, delivery.body)}`
+},
+body: delivery.body,
+signal: controller.signal,
+// Sin seguir redirecciones: una 3xx cuenta como fallo
+redirect: 'manual',
+agent: parsedUrl => webhookAgents[parsedUrl.protocol]
+});
+statusCode = response.status;
+if (!response.ok) {
+errorMessage = `HTTP ${response.status}`;
+}
+} catch (error) {
+errorMessage = error.name === 'AbortError' ? `Timeout tras ${WEBHOOK_TIMEOUT_MS}ms` : error.message;
+} finally {
+clearTimeout(timeout);
+}
+const attempts = delivery.attempts + 1;
+const logEntry = { at: new Date(), statusCode, error: errorMessage, durationMs: Date.now() - startedAt };
+if (!errorMessage) {
+await webhookDeliveries.updateOne(
+{ _id: delivery._id },
+{
+$set: { status: 'delivered', attempts, deliveredAt: new Date(), lastStatusCode: statusCode, lastError: null },
+$push: { attemptLog: logEntry },
+$unset: { leaseExpiresAt: '', nextAttemptAt: '' }
+}
+);
+console.log(`🔔 Webhook ${delivery._id.toString()} entregado (${statusCode})`);
+return;
+}
+const exhausted = Boolean(urlProblem) || attempts >= WEBHOOK_MAX_ATTEMPTS;
+await webhookDeliveries.updateOne(
+{ _id: delivery._id },
+{
+$set: {
+status: exhausted ? 'failed' : 'pending',
+attempts,
+lastStatusCode: statusCode,
+lastError: errorMessage.substring(0, 200),
+nextAttemptAt: exhausted ? null : new Date(Date.now() + WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1))
+},
+$push: { attemptLog: logEntry },
+$unset: { leaseExpiresAt: '' }
+}
+);
+console.warn(`⚠️ Webhook ${delivery._id.toString()} falló (intento ${attempts}/${WEBHOOK_MAX_ATTEMPTS}): ${errorMessage}`);
+}
+async function runWebhookDeliveries() {
+if (webhookWorkerRunning) return;
+webhookWorkerRunning = true;
+try {
+// Cada consumidor reclama y entrega hasta vaciar la cola; se espera a todos
+// (allSettled) para que nunca haya más de WEBHOOK_DELIVERY_CONCURRENCY en curso
+const consumers = Array.from({ length: WEBHOOK_DELIVERY_CONCURRENCY }, async () => {
+let delivery;
+while ((delivery = await claimNextDelivery())) {
+await attemptDelivery(delivery);
+}
+});
+for (const outcome of await Promise.allSettled(consumers)) {
+if (outcome.status === 'rejected') {
+console.error('❌ Error entregando webhooks:', outcome.reason.message);
+}
+}
+} finally {
+webhookWorkerRunning = false;
+}
+}
+function startWebhookWorker() {
+webhookWorkerInterval = setInterval(runWebhookDeliveries, WEBHOOK_POLL_INTERVAL_MS);
+}
+function serializeWebhook(webhook) {
+return {
+webhookId: webhook._id.toString(),
+url: webhook.url,
+description: webhook.description || null,
+active: webhook.active,
+createdAt: webhook.createdAt
+};
+}
+function serializeDelivery(delivery) {
+return {
+deliveryId: delivery._id.toString(),
+webhookId: delivery.webhookId ? delivery.webhookId.toString() : null,
+url: delivery.url,
+event: delivery.event,
+status: delivery.status,
+attempts: delivery.attempts,
+lastStatusCode: delivery.lastStatusCode ?? null,
+lastError: delivery.lastError ?? null,
+nextAttemptAt: delivery.nextAttemptAt ?? null,
+deliveredAt: delivery.deliveredAt ?? null,
+createdAt: delivery.createdAt,
+attemptLog: delivery.attemptLog
+};
+}
+// ========================================
+// GENERACIÓN (compartida por /api/generate y los jobs)
+// ========================================
+// Devuelve un ValidationError (sin lanzar) o null si el payload es válido
+function validateGenerationPayload(payload) {
+const problem = findGenerationPayloadProblem(payload);
+return problem ? new ValidationError(problem) : null;
+}
+function findGenerationPayloadProblem(payload) {
+const { model: modelId, prompt, aspectRatio, resolution, referenceImages } = payload || {};
+const operation = payload?.operation || 'generate';
+if (!GENERATION_OPERATIONS.includes(operation)) {
+return localizedText(
+`Operación no válida: ${operation}. Operaciones disponibles: ${GENERATION_OPERATIONS.join(', ')}`,
+`Invalid operation: ${operation}. Available operations: ${GENERATION_OPERATIONS.join(', ')}`
+);
+}
+if (payload.sessionId !== undefined) {
+if (typeof payload.sessionId !== 'string' || !parseObjectId(payload.sessionId)) {
+return localizedText('sessionId no válido', 'Invalid sessionId');
+}
+if (!SESSION_OPERATIONS.includes(operation)) {
+return localizedText(
+`Las sesiones de edición solo admiten: ${SESSION_OPERATIONS.join(', ')}`,
+`Edit sessions only support: ${SESSION_OPERATIONS.join(', ')}`
+);
+}
+}
+if (payload.personalCreditsFallback !== undefined && typeof payload.personalCreditsFallback !== 'boolean') {
+return localizedText('personalCreditsFallback debe ser true o false', 'personalCreditsFallback must be true or false');
+}
+if (payload.fromTurnId !== undefined && (payload.sessionId === undefined || typeof payload.fromTurnId !== 'string' || !parseObjectId(payload.fromTurnId))) {
+return localizedText('fromTurnId no válido (requiere sessionId)', 'Invalid fromTurnId (requires sessionId)');
+}
+if (!modelId || (!prompt && !OPTIONAL_PROMPT_OPERATIONS.includes(operation))) {
+return localizedText('Modelo y prompt son requeridos', 'Model and prompt are required');
+}
+if (prompt !== undefined && typeof prompt !== 'string') {
+return localizedText('prompt debe ser texto', 'prompt must be a string');
+}
+if (payload.language !== undefined && !SUPPORTED_INSTRUCTION_LANGUAGES.includes(payload.language)) {
+return localizedText(
+`Idioma no soportado: ${payload.language}. Disponibles: ${SUPPORTED_INSTRUCTION_LANGUAGES.join(', ')}`,
+`Unsupported language: ${payload.language}. Available: ${SUPPORTED_INSTRUCTION_LANGUAGES.join(', ')}`
+);
+}
+const model = getEnabledModel(modelId);
+if (!model) {
+const available = Object.values(MODEL_CATALOG).filter(m => m.enabled).map(m => m.id);
+return localizedText(
+`Modelo no válido: ${modelId}. Modelos disponibles: ${available.join(', ')}`,
+`Invalid model: ${modelId}. Available models: ${available.join(', ')}`
+);
+}
+if (payload.callbackUrl !== undefined) {
+const callbackError = validateWebhookUrl(payload.callbackUrl);
+if (callbackError) return localizedText(`callbackUrl: ${callbackError.es}`, `callbackUrl: ${callbackError.en}`);
+}
+if (!model.operations.includes(operation)) {
+return localizedText(
+`El modelo ${model.id} no admite la operación ${operation}. Operaciones: ${model.operations.join(', ')}`,
+`Model ${model.id} does not support the ${operation} operation. Operations: ${model.operations.join(', ')}`
+);
+}
+if (operation === 'outpaint') {
+const outpaintError = validateOutpaintOptions(payload);
+if (outpaintError) return outpaintError;
+}
+if (operation === 'upscale') {
+const upscaleError = validateUpscaleOptions(payload);
+if (upscaleError) return upscaleError;
+}
+const outputError = validateOutputOptions(payload);
+if (outputError) return outputError;
+if (aspectRatio && !model.aspectRatios.includes(aspectRatio)) {
+return model.aspectRatios.length > 0
+? localizedText(
+`Relación de aspecto no soportada por ${model.id}: ${aspectRatio}. Disponibles: ${model.aspectRatios.join(', ')}`,
+`Aspect ratio not supported by ${model.id}: ${aspectRatio}. Available: ${model.aspectRatios.join(', ')}`
+)
+: localizedText(`El modelo ${model.id} no admite aspectRatio`, `Model ${model.id} does not support aspectRatio`);
+}
+// En modelos sin resoluciones, resolution se ignora (prepareGenerationPayload lo avisa)
+if (resolution && model.resolutions.length > 0 && !model.resolutions.includes(resolution)) {
+return localizedText(
+`Resolución no soportada por ${model.id}: ${resolution}. Disponibles: ${model.resolutions.join(', ')}`,
+`Resolution not supported by ${model.id}: ${resolution}. Available: ${model.resolutions.join(', ')}`
+);
+}
+if (payload.maskFeather !== undefined &&
+(!Number.isInteger(payload.maskFeather) || payload.maskFeather < 0 || payload.maskFeather > MAX_MASK_FEATHER_PX)) {
+return localizedText(
+`maskFeather debe ser un entero entre 0 y ${MAX_MASK_FEATHER_PX}`,
+`maskFeather must be an integer between 0 and ${MAX_MASK_FEATHER_PX}`
+);
+}
+const referenceCount = Array.isArray(referenceImages) ? referenceImages.length : 0;
+if (referenceCount > model.maxReferenceImages) {
+return localizedText(
+`Demasiadas imágenes de referencia para ${model.id}: ${referenceCount} (máximo ${model.maxReferenceImages})`,
+`Too many reference images for ${model.id}: ${referenceCount} (maximum ${model.maxReferenceImages})`
+);
+}
+return null;
+}
+// Ejecuta una generación completa: hold → proveedor → capture → transacción.
+// Si algo falla, libera el hold, registra la transacción fallida y relanza el error.
+// onPhase(fase, datos) permite a quien llama seguir el progreso:
+// credits_held → provider_started → provider_completed → credits_captured.
+async function runGeneration(user, payload, { onPhase = () => {}, jobId = null, batchId = null } = {}) {
+const operationType = payload.operation || 'generate';
+const { model, prompt } = payload;
+let hold = null;
+let instruction = null;
+let membership = null;
+try {
+const costPerImage = getModelCost(MODEL_CATALOG[model], payload.resolution, operationType);
+// Se deducirá 1 crédito por llamada (siempre generamos 1 imagen por llamada)
+const totalCost = costPerImage;
+console.log(`💰 Costo de operación: ${totalCost} créditos. Créditos disponibles: ${user.creditsBalance}`);
+instruction = await resolveInstruction(user, payload);
+console.log(`📝 Plantilla de instrucción: ${instruction.templateId} v${instruction.version}`);
+// Apartar créditos de forma atómica ANTES de llamar al proveedor (prevenir race conditions).
+// Los miembros de una organización gastan del fondo común (o de su saldo personal si lo piden).
+membership = await findOrgMembership(user._id);
+let reserved;
+({ reserved, membership } = await holdGenerationCredits(
+user._id,
+membership,
+totalCost,
+{ operation: operationType, model },
+{ personalFallback: payload.personalCreditsFallback === true }
+));
+hold = { ...reserved, userId: user._id };
+await onPhase('credits_held', { holdId: reserved.holdId, amount: totalCost });
+// Generar imagen
+await onPhase('provider_started', { provider: getImageProvider().name, model });
+// En una sesión de edición, los turnos anteriores viajan como conversación multi-turno.
+// Si la imagen base es el resultado del turno padre, ya va como último turno del historial.
+const history = payload.sessionId
+? await loadSessionHistory(parseObjectId(payload.sessionId), payload.parentTurnId)
+: [];
+const baseImageInHistory = payload.baseImageFromParent === true && history.length > 0 &&
+String(history[history.length - 1].turnId) === String(payload.parentTurnId);
+let result = await generateImage(history.length > 0 ? { ...payload, history, baseImageInHistory } : payload, instruction.text);
+await onPhase('provider_completed', { provider: result.provider, mimeType: result.mimeType });
+// Garantizar que el inpainting/outpainting no altere nada fuera de la máscara
+if ((operationType === 'inpaint' || operationType === 'outpaint') && payload.baseImage && payload.maskImage) {
+const composite = await compositeInpaintResult(
+payload.baseImage,
+payload.maskImage,
+result,
+payload.maskFeather ?? INPAINT_FEATHER_PX
+);
+result = { ...result, ...composite, dataUrl: `data:${composite.mimeType};base64,${composite.data}` };
+}
+// El escalado se entrega exactamente al tamaño pedido
+if (operationType === 'upscale') {
+const resized = await resizeToTargetSize(result, payload.targetSize);
+result = { ...result, ...resized, dataUrl: `data:${resized.mimeType};base64,${resized.data}` };
+}
+// Formato de salida y procedencia: el id de la transacción se fija de antemano
+// para poder incrustarlo en la imagen
+const transactionId = new ObjectId();
+const generatedAt = new Date();
+const provenance = buildProvenance({ model, operation: operationType, prompt, transactionId, generatedAt });
+result = await finalizeOutputImage(result, payload, provenance);
+// Cobrar definitivamente los créditos apartados: el cobro y la transacción de
+// éxito se escriben juntos, así que no hay cobro sin transacción ni al revés
+const { transactions } = await connectToDatabase();
+const captured = await captureHold(hold, { operation: operationType, model }, {
+inTransaction: (session, settled) => transactions.insertOne({
+_id: transactionId,
+userId: user._id,
+...(membership ? { orgId: membership.organization._id } : {}),
+...(batchId ? { batchId } : {}),
+operation: operationType,
+operationLabel: OPERATION_LABELS[operationType] || operationType,
+model: model,
+resolution: payload.resolution || MODEL_CATALOG[model].defaultResolution,
+creditsUsed: totalCost,
+creditsRemaining: settled.updated?.creditsBalance ?? null,
+holdId: reserved.holdId,
+instructionTemplate: { templateId: instruction.templateId, version: instruction.version, language: instruction.language },
+promptHash: provenance.promptHash,
+timestamp: generatedAt,
+success: true,
+prompt: prompt.substring(0, 150) + (prompt.length > 150 ? '...' : '')
+}, { session })
+});
+hold = null;
+if (!captured) {
+// Otro proceso liberó el hold (p. ej. recoverExpiredJobs tras perder el lease):
+// no se cobró nada, así que la imagen no se entrega
+throw new AppError('JOB_INTERRUPTED', { internalMessage: `El hold ${reserved.holdId.toString()} ya estaba liquidado al capturarlo` });
+}
+const remainingCredits = captured.balanceAfter;
+creditsConsumedTotal.inc({ model, operation: operationType }, totalCost);
+console.log(`✅ Créditos cobrados y transacción ${transactionId.toString()} registrada. Disponibles: ${remainingCredits}`);
+// A partir de aquí la generación ya está cobrada: un fallo en los pasos siguientes
+// se registra en los logs, pero la generación se entrega igualmente como cobrada
+let image = null;
+let sessionTurn = null;
+try {
+await onPhase('credits_captured', { creditsUsed: totalCost, remainingCredits });
+// Guardar la imagen y enlazarla con la transacción
+image = await storeGeneratedImage({ user, transactionId, result, payload });
+if (image) {
+await transactions.updateOne({ _id: transactionId }, { $set: { imageId: image._id } });
+}
+sessionTurn = payload.sessionId
+? await recordSessionTurn({ user, payload, image, transactionId, result })
+: null;
+} catch (postCaptureError) {
+console.error(`❌ Error tras cobrar la transacción ${transactionId.toString()} (se entrega igualmente):`, postCaptureError.message);
+}
+await queueGenerationWebhooks(user, payload, 'generation.succeeded', {
+transactionId: transactionId.toString(),
+jobId: jobId ? jobId.toString() : null,
+imageId: image ? image._id.toString() : null,
+imageUrl: image ? getImageUrl(image._id) : null,
+operation: operationType,
+model,
+creditsUsed: totalCost,
+remainingCredits
+});
+return {
+dataUrl: result.dataUrl,
+imageId: image ? image._id.toString() : null,
+imageUrl: image ? getImageUrl(image._id) : null,
+creditsUsed: totalCost,
+remainingCredits,
+transactionId,
+...(payload.sessionId ? { sessionId: payload.sessionId, turnId: sessionTurn ? sessionTurn._id.toString() : null } : {})
+};
+} catch (error) {
+// Devolver los créditos apartados si la generación no llegó a cobrarse
+if (hold) {
+try {
+await releaseHold(hold, { reason: error.message.substring(0, 200) });
+} catch (releaseError) {
+console.error('❌ Error liberando créditos apartados:', releaseError.message);
+}
+}
+// Registrar transacción fallida
+let failedTransactionId = null;
+try {
+const { transactions } = await connectToDatabase();
+const failed = await transactions.insertOne({
+userId: user._id,
+...(membership ? { orgId: membership.organization._id } : {}),
+...(batchId ? { batchId } : {}),
+operation: operationType,
+operationLabel: OPERATION_LABELS[operationType] || operationType,
+model: model || 'unknown',
+resolution: payload.resolution || null,
+creditsUsed: 0,
+creditsRemaining: await readCurrentBalance(user._id, membership),
+instructionTemplate: instruction
+? { templateId: instruction.templateId, version: instruction.version, language: instruction.language }
+: null,
+timestamp: new Date(),
+success: false,
+errorMessage: error.message.substring(0, 200),
+prompt: prompt?.substring(0, 150) + (prompt?.length > 150 ? '...' : '')
+});
+failedTransactionId = failed.insertedId;
+console.log('✅ Transacción fallida registrada');
+} catch (logError) {
+console.error('❌ Error registrando transacción fallida:', logError.message);
+}
+const appError = toAppError(error);
+await queueGenerationWebhooks(user, payload, 'generation.failed', {
+transactionId: failedTransactionId ? failedTransactionId.toString() : null,
+jobId: jobId ? jobId.toString() : null,
+operation: operationType,
+model,
+creditsUsed: 0,
+error: {
+statusCode: appError.statusCode,
+code: appError.code,
+message: appError.getMessage(SUPPORTED_RESPONSE_LANGUAGES.includes(user.preferredLanguage) ? user.preferredLanguage : DEFAULT_RESPONSE_LANGUAGE)
+}
+});
+throw error;
+}
+}
+// Saldo actual (tras liberar el hold) del fondo de la organización o del usuario
+async function readCurrentBalance(userId, membership) {
+const { users, organizations } = await connectToDatabase();
+const current = membership
+? await organizations.findOne({ _id: membership.organization._id }, { projection: { creditsBalance: 1 } })
+: await users.findOne({ _id: userId }, { projection: { creditsBalance: 1 } });
+return current?.creditsBalance ?? null;
+}
+function parseObjectId(id) {
+return typeof id === 'string' && ObjectId.isValid(id) && /^[0-9a-fA-F]{24}$/.test(id) ? new ObjectId(id) : null;
+}
+// Middleware de autenticación por header Authorization: Bearer <token>
+async function requireUser(req, res, next) {
+const authHeader = req.headers['authorization'];
+const token = authHeader?.split(' ')[1];
+if (!token) {
+return sendError(res, new AuthError('TOKEN_REQUIRED'));
+}
+try {
+req.user = await verifyUserToken(token);
+next();
+} catch (error) {
+sendError(res, error);
+}
+}
+// ========================================
+// LÍMITES DE USO POR USUARIO
+// ========================================
+// Dos límites, ambos guardados en Mongo para que funcionen con varias instancias:
+//   - solicitudes de generación por minuto (ventana fija en "rate_limits")
+//   - generaciones en curso a la vez (huecos en users.activeGenerations)
+// Se pueden sobrescribir por usuario con users.rateLimits.
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || 20;
+const MAX_CONCURRENT_GENERATIONS = parseInt(process.env.MAX_CONCURRENT_GENERATIONS, 10) || 2;
+const GENERATION_SLOT_LEASE_MS = parseInt(process.env.GENERATION_SLOT_LEASE_MS, 10) || 5 * 60 * 1000;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+function getUserLimits(user) {
+const overrides = user.rateLimits || {};
+return {
+requestsPerMinute: Number.isInteger(overrides.requestsPerMinute) ? overrides.requestsPerMinute : RATE_LIMIT_PER_MINUTE,
+maxConcurrentGenerations: Number.isInteger(overrides.maxConcurrentGenerations) ? overrides.maxConcurrentGenerations : MAX_CONCURRENT_GENERATIONS
+};
+}
+async function consumeRequestQuota(user) {
+const { rateLimits } = await connectToDatabase();
+const { requestsPerMinute: limit } = getUserLimits(user);
+const windowStart = Math.floor(Date.now() / RATE_LIMIT_WINDOW_MS) * RATE_LIMIT_WINDOW_MS;
+const resetAt = windowStart + RATE_LIMIT_WINDOW_MS;
+const counter = await rateLimits.findOneAndUpdate(
+{ _id: `${user._id.toString()}:${windowStart}` },
+{ $inc: { count: 1 }, $setOnInsert: { userId: user._id, expiresAt: new Date(resetAt + RATE_LIMIT_WINDOW_MS) } },
+{ upsert: true, returnDocument: 'after' }
+);
+return {
+allowed: counter.count <= limit,
+limit,
+remaining: Math.max(0, limit - counter.count),
+resetAt
+};
+}
+function setRateLimitHeaders(res, quota) {
+res.set('X-RateLimit-Limit', String(quota.limit));
+res.set('X-RateLimit-Remaining', String(quota.remaining));
+res.set('X-RateLimit-Reset', String(Math.ceil(quota.resetAt / 1000)));
+}
+// Cuenta la solicitud y responde 429 si se superó el límite; devuelve true si ya respondió
+async function applyRequestRate(user, res) {
+const quota = await consumeRequestQuota(user);
+setRateLimitHeaders(res, quota);
+if (quota.allowed) return false;
+console.warn(`🚦 Usuario ${user._id.toString()} superó ${quota.limit} solicitudes/minuto`);
+sendError(res, new AppError('RATE_LIMITED', {
+params: { limit: quota.limit },
+retryAfterSeconds: Math.max(1, Math.ceil((quota.resetAt - Date.now()) / 1000))
+}));
+return true;
+}
+// Middleware (después de requireUser) para las rutas que inician generaciones
+async function enforceRequestRate(req, res, next) {
+try {
+if (await applyRequestRate(req.user, res)) return;
+next();
+} catch (error) {
+console.error('❌ Error comprobando el límite de solicitudes:', error.message);
+next(error);
+}
+}
+// Reserva un hueco de generación concurrente de forma atómica: el $push solo se
+// aplica si el array tiene menos de "limit" elementos (no existe la posición limit-1)
+async function acquireGenerationSlot(user) {
+const { users } = await connectToDatabase();
+const limit = Math.max(1, getUserLimits(user).maxConcurrentGenerations);
+const now = new Date();
+// Descartar huecos de generaciones que nunca se liberaron (instancia caída)
+await users.updateOne({ _id: user._id }, { $pull: { activeGenerations: { expiresAt: { $lte: now } } } });
+const slotId = new ObjectId();
+const updated = await users.findOneAndUpdate(
+{ _id: user._id, [`activeGenerations.${limit - 1}`]: { $exists: false } },
+{ $push: { activeGenerations: { slotId, startedAt: now, expiresAt: new Date(now.getTime() + GENERATION_SLOT_LEASE_MS) } } },
+{ returnDocument: 'after', projection: { activeGenerations: 1 } }
+);
+if (!updated) {
+return { acquired: false, limit, remaining: 0 };
+}
+return { acquired: true, slotId, limit, remaining: limit - updated.activeGenerations.length };
+}
+async function releaseGenerationSlot(userId, slotId) {
+const { users } = await connectToDatabase();
+await users.updateOne({ _id: userId }, { $pull: { activeGenerations: { slotId } } });
+}
+function setConcurrencyHeaders(res, slot) {
+res.set('X-Concurrency-Limit', String(slot.limit));
+res.set('X-Concurrency-Remaining', String(slot.remaining));
+}
+// ========================================
+// IDEMPOTENCIA (header Idempotency-Key)
+// ========================================
+// Un reintento con la misma clave devuelve la respuesta guardada de la primera
+// solicitud sin volver a llamar a Gemini ni a cobrar créditos.
+// Mientras se procesa, el registro está bloqueado hasta lockedUntil: si el proceso que
+// lo tenía murió (reinicio, deploy), un reintento posterior lo toma con un lockId nuevo
+// y el proceso antiguo ya no puede completarlo ni borrarlo.
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24;
+const IDEMPOTENCY_LOCK_MS = parseInt(process.env.IDEMPOTENCY_LOCK_MS, 10) || 5 * 60 * 1000; // Debe superar la duración máxima de una solicitud
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+function hashRequestBody(scope, body) {
+return crypto.createHash('sha256').update(scope).update(JSON.stringify(body || {})).digest('hex');
+}
+// Devuelve { state: 'new' | 'in_progress' | 'completed' | 'conflict', lockId?, response? }
+async function beginIdempotentRequest(userId, key, scope, body) {
+const { idempotency } = await connectToDatabase();
+const requestHash = hashRequestBody(scope, body);
+const now = new Date();
+const lockId = crypto.randomUUID();
+const lockedUntil = new Date(now.getTime() + IDEMPOTENCY_LOCK_MS);
+try {
+await idempotency.insertOne({
+userId,
+key,
+scope,
+requestHash,
+status: 'in_progress',
+lockId,
+lockedUntil,
+createdAt: now,
+expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000)
+});
+return { state: 'new', lockId };
+} catch (error) {
+if (error.code !== 11000) throw error;
+}
+// Registro abandonado por un proceso que murió: se toma solo si sigue caducado
+// (los registros anteriores a lockedUntil usan createdAt)
+const takenOver = await idempotency.findOneAndUpdate(
+{
+userId,
+key,
+requestHash,
+status: 'in_progress',
+$or: [
+{ lockedUntil: { $lte: now } },
+{ lockedUntil: null, createdAt: { $lte: new Date(now.getTime() - IDEMPOTENCY_LOCK_MS) } }
+]
+},
+{ $set: { lockId, lockedUntil } }
+);
+if (takenOver) {
+console.warn(`♻️ Idempotency-Key bloqueada desde ${takenOver.createdAt.toISOString()} retomada tras caducar su bloqueo`);
+return { state: 'new', lockId };
+}
+const existing = await idempotency.findOne({ userId, key });
+if (!existing) {
+// Expiró o se abandonó entre el insert y la lectura: volver a intentarlo
+return beginIdempotentRequest(userId, key, scope, body);
+}
+if (existing.requestHash !== requestHash) {
+return { state: 'conflict' };
+}
+if (existing.status === 'in_progress') {
+return { state: 'in_progress' };
+}
+return { state: 'completed', response: existing.response };
+}
+// lockId: el de beginIdempotentRequest; si otro proceso retomó la clave no se toca
+async function completeIdempotentRequest(userId, key, lockId, statusCode, body) {
+const { idempotency } = await connectToDatabase();
+const result = await idempotency.updateOne(
+{ userId, key, lockId, status: 'in_progress' },
+{
+$set: { status: 'completed', response: { statusCode, body }, completedAt: new Date() },
+$unset: { lockedUntil: '' }
+}
+);
+if (result.matchedCount === 0) {
+console.warn('⚠️ Idempotency-Key retomada por otra solicitud: la respuesta no se guarda');
+}
+}
+// Si la solicitud falla no se guarda nada: el cliente puede reintentar con la misma clave
+async function abandonIdempotentRequest(userId, key, lockId) {
+const { idempotency } = await connectToDatabase();
+await idempotency.deleteOne({ userId, key, lockId, status: 'in_progress' });
+}
+// Obtiene y valida el header; devuelve { key } o { error }
+function getIdempotencyKey(req) {
+const key = req.headers['idempotency-key'];
+if (key === undefined) return { key: null };
+if (typeof key !== 'string' || key.trim() === '' || key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+return { error: new AppError('IDEMPOTENCY_KEY_INVALID', { params: { maxLength: IDEMPOTENCY_KEY_MAX_LENGTH } }) };
+}
+return { key: key.trim() };
+}
+// Responde al cliente si la clave ya fue usada; devuelve true si la respuesta ya se envió
+function sendIdempotencyOutcome(res, outcome) {
+if (outcome.state === 'conflict') {
+sendError(res, new AppError('IDEMPOTENCY_CONFLICT'));
+return true;
+}
+if (outcome.state === 'in_progress') {
+sendError(res, new AppError('IDEMPOTENCY_IN_PROGRESS', { retryAfterSeconds: 5 }), { status: 'in_progress' });
+return true;
+}
+if (outcome.state === 'completed') {
+console.log('♻️ Respuesta repetida por Idempotency-Key');
+res.set('Idempotent-Replayed', 'true');
+res.status(outcome.response.statusCode).json(outcome.response.body);
+return true;
+}
+return false;
+}
+app.get('/api/plans', (req, res) => {
+res.json({
+success: true,
+plans: Object.values(PLANS).filter(plan => plan.enabled).map(serializePlan)
+});
+});
+app.get('/api/models', (req, res) => {
+res.json({
+success: true,
+models: Object.values(MODEL_CATALOG).filter(model => model.enabled).map(serializeModel)
+});
+});
+// ========================================
+// PROGRESO EN TIEMPO REAL (SERVER-SENT EVENTS)
+// ========================================
+// Con "Accept: text/event-stream", /api/generate responde como flujo SSE:
+// eventos "phase" con cada fase, y un "result" o "error" final que cierra el flujo.
+// Los rechazos previos (auth, límites, validación) siguen siendo respuestas HTTP normales.
+const SSE_HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 15000;
+function wantsEventStream(req) {
+return (req.headers['accept'] || '').includes('text/event-stream');
+}
+function openEventStream(res) {
+res.status(200);
+res.set({
+'Content-Type': 'text/event-stream; charset=utf-8',
+'Cache-Control': 'no-cache, no-transform',
+'Connection': 'keep-alive',
+'X-Accel-Buffering': 'no' // Evita el buffering de nginx
+});
+res.flushHeaders();
+let closed = false;
+let eventId = 0;
+// Comentario periódico para que los proxies no cierren la conexión inactiva
+const heartbeat = setInterval(() => {
+if (!closed) res.write(': heartbeat\n\n');
+}, SSE_HEARTBEAT_MS);
+const close = () => {
+if (closed) return;
+closed = true;
+clearInterval(heartbeat);
+res.end();
+};
+// Si el cliente se desconecta la generación continúa (y se cobra); solo dejamos de escribir
+res.on('close', () => {
+if (!closed) {
+console.warn('📡 Cliente SSE desconectado antes de terminar la generación');
+}
+closed = true;
+clearInterval(heartbeat);
+});
+return {
+send(event, data) {
+if (closed) return;
+eventId++;
+res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+},
+phase(phase, data = {}) {
+this.send('phase', { phase, at: new Date().toISOString(), ...data });
+},
+close
+};
+}
+app.post('/api/generate', async (req, res) => {
+const authHeader = req.headers['authorization'];
+const token = authHeader?.split(' ')[1];
+console.log(`🎨 Solicitud de generación de imagen${token ? ` (token: ${token.substring(0, 10)}...)` : ''}`);
+if (!token) {
+return sendError(res, new AuthError('TOKEN_REQUIRED'));
+}
+const { key: idempotencyKey, error: idempotencyError } = getIdempotencyKey(req);
+if (idempotencyError) {
+return sendError(res, idempotencyError);
+}
+let user = null;
+let idempotencyLockId = null;
+let slot = null;
+let stream = null;
+try {
+user = await verifyUserToken(token);
+console.log(`👤 Usuario autenticado: ID ${user._id.toString()}, créditos disponibles: ${user.creditsBalance}`);
+// Límite de solicitudes por minuto
+if (await applyRequestRate(user, res)) return;
+// Validar payload
+const validationError = validateGenerationPayload(req.body);
+if (validationError) {
+return sendError(res, validationError);
+}
+// Validar y normalizar imágenes antes de cobrar nada
+const payload = await prepareGenerationPayload(req.body, { user });
+if (idempotencyKey) {
+const outcome = await beginIdempotentRequest(user._id, idempotencyKey, 'generate', req.body);
+if (sendIdempotencyOutcome(res, outcome)) return;
+idempotencyLockId = outcome.lockId;
+}
+// Límite de generaciones simultáneas
+slot = await acquireGenerationSlot(user);
+setConcurrencyHeaders(res, slot);
+if (!slot.acquired) {
+if (idempotencyLockId) {
+await abandonIdempotentRequest(user._id, idempotencyKey, idempotencyLockId);
+}
+console.warn(`🚦 Usuario ${user._id.toString()} alcanzó ${slot.limit} generaciones simultáneas`);
+return sendError(res, new AppError('CONCURRENCY_LIMIT', { params: { limit: slot.limit }, retryAfterSeconds: 5 }));
+}
+if (wantsEventStream(req)) {
+stream = openEventStream(res);
+stream.phase('authenticated', { userId: user._id.toString(), creditsBalance: user.creditsBalance });
+}
+const result = await runGeneration(user, payload, {
+onPhase: (phase, data) => {
+if (!stream) return;
+// Solo se exponen los datos útiles para el cliente
+if (phase === 'credits_held') stream.phase('credits_checked', { creditsReserved: data.amount });
+if (phase === 'provider_started') stream.phase('provider_call_started', { model: data.model });
+if (phase === 'provider_completed') stream.phase('provider_response_received');
+if (phase === 'credits_captured') stream.phase('credits_settled', data);
+}
+});
+const responseBody = {
+success: true,
+// returnDataUrl: false evita devolver la imagen en base64 (se descarga desde imageUrl)
+dataUrl: req.body.returnDataUrl === false && result.imageId ? undefined : result.dataUrl,
+imageId: result.imageId,
+imageUrl: result.imageUrl,
+creditsUsed: result.creditsUsed,
+remainingCredits: result.remainingCredits,
+...(result.sessionId ? { sessionId: result.sessionId, turnId: result.turnId } : {})
+};
+if (idempotencyLockId) {
+await completeIdempotentRequest(user._id, idempotencyKey, idempotencyLockId, 200, responseBody);
+}
+if (stream) {
+stream.send('result', responseBody);
+stream.close();
+return;
+}
+res.json(responseBody);
+} catch (error) {
+console.error('❌ Error en /api/generate:', error.message);
+if (idempotencyLockId) {
+try {
+await abandonIdempotentRequest(user._id, idempotencyKey, idempotencyLockId);
+} catch (idempotencyCleanupError) {
+console.error('❌ Error liberando Idempotency-Key:', idempotencyCleanupError.message);
+}
+}
+if (stream) {
+// El estado HTTP ya se envió: el código va dentro del evento
+const appError = toAppError(error);
+stream.send('error', buildErrorBody(appError, resolveResponseLanguage(req), { statusCode: appError.statusCode }));
+stream.close();
+return;
+}
+// Circuito abierto: sendError añade Retry-After
+sendError(res, error);
+} finally {
+if (slot?.acquired) {
+try {
+await releaseGenerationSlot(user._id, slot.slotId);
+} catch (slotError) {
+console.error('❌ Error liberando hueco de generación:', slotError.message);
+}
+}
+}
+});
+// ========================================
+// GENERACIÓN POR LOTES
+// ========================================
+// POST /api/generate/batch recibe referenceImages compartidas (se validan una vez)
+// y una lista de items { prompt, operation, aspectRatio, model, ... }. Se valida todo
+// y se presupuesta el coste total antes de empezar; después cada item se encola como
+// un job y la petición responde 202 con el batchId. Los workers ejecutan los items
+// respetando el límite de generaciones simultáneas del usuario (cada item ocupa su
+// propio hueco), cada uno se cobra por separado y al terminar actualiza su entrada en
+// batches.items, así que GET /api/generate/batch/:id muestra el progreso. Solo pagan
+// los items que terminan bien. El lote y sus transacciones comparten un batchId.
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 20;
+// Campos que un item puede fijar; el resto (referenceImages, language, outputFormat,
+// outputQuality, personalCreditsFallback) viene del lote
+const BATCH_ITEM_FIELDS = [
+'prompt', 'operation', 'model', 'aspectRatio', 'resolution', 'baseImage', 'maskImage',
+'maskFeather', 'expand', 'anchor', 'targetSize'
+];
+function buildBatchItemPayload(body, item) {
+const payload = {};
+for (const field of BATCH_ITEM_FIELDS) {
+if (item?.[field] !== undefined) payload[field] = item[field];
+}
+if (body.referenceImages !== undefined) payload.referenceImages = body.referenceImages;
+for (const field of ['language', 'outputFormat', 'outputQuality', 'personalCreditsFallback']) {
+if (body[field] !== undefined) payload[field] = body[field];
+}
+return payload;
+}
+// Créditos que puede gastar el usuario ahora mismo: el fondo de su organización
+// (más su saldo propio con personalFallback, como holdGenerationCredits) o su saldo propio
+async function getSpendableCredits(user, { personalFallback = false } = {}) {
+const membership = await findOrgMembership(user._id);
+if (!membership) {
+return { available: user.creditsBalance || 0, member: null };
+}
+const personal = personalFallback ? user.creditsBalance || 0 : 0;
+return { available: (membership.organization.creditsBalance || 0) + personal, member: membership.member };
+}
+async function checkBatchQuote(user, quotedCredits, options = {}) {
+const { available, member } = await getSpendableCredits(user, options);
+if (member && member.monthlyCap != null) {
+const spent = member.spentByMonth?.[getUsagePeriod()] || 0;
+if (spent + quotedCredits > member.monthlyCap) {
+throw new AppError('MEMBER_CAP_EXCEEDED', { params: { cap: member.monthlyCap, spent, needed: quotedCredits } });
+}
+}
+if (available < quotedCredits) {
+throw new InsufficientCreditsError(quotedCredits, available);
+}
+return available;
+}
+// Llamado por el worker cuando un job de un lote empieza o termina (también cuando
+// recoverExpiredJobs lo da por interrumpido). El filtro sobre el estado del item hace
+// que cada item cuente una sola vez; el último en terminar cierra el lote.
+async function markBatchItemRunning(job) {
+const { batches } = await connectToDatabase();
+await batches.updateOne(
+{ _id: job.batchId, [`items.${job.batchIndex}.status`]: 'queued' },
+{ $set: { [`items.${job.batchIndex}.status`]: 'running' } }
+);
+}
+async function recordBatchItemOutcome(job, { result = null, error = null }) {
+try {
+const { batches } = await connectToDatabase();
+const prefix = `items.${job.batchIndex}`;
+const appError = error ? toAppError(error) : null;
+const updated = await batches.findOneAndUpdate(
+{ _id: job.batchId, [`${prefix}.status`]: { $in: ['queued', 'running'] } },
+{
+$set: result
+? {
+[`${prefix}.status`]: 'succeeded',
+[`${prefix}.success`]: true,
+[`${prefix}.creditsUsed`]: result.creditsUsed,
+[`${prefix}.transactionId`]: result.transactionId,
+[`${prefix}.imageId`]: result.imageId
+}
+: {
+[`${prefix}.status`]: 'failed',
+[`${prefix}.success`]: false,
+[`${prefix}.error`]: { statusCode: appError.statusCode, code: appError.code }
+},
+$inc: result ? { succeeded: 1, creditsUsed: result.creditsUsed } : { failed: 1 }
+},
+{ returnDocument: 'after' }
+);
+if (!updated || updated.succeeded + updated.failed < updated.itemCount) return;
+const status = updated.failed === 0 ? 'succeeded' : updated.succeeded === 0 ? 'failed' : 'partial';
+await batches.updateOne({ _id: updated._id, status: 'running' }, { $set: { status, finishedAt: new Date() } });
+await deleteJobImages({ batchId: updated._id });
+console.log(`📦 Lote ${updated._id.toString()} terminado (${status}): ${updated.succeeded}/${updated.itemCount} items, ${updated.creditsUsed} créditos`);
+} catch (recordError) {
+console.error(`❌ Error actualizando el lote ${job.batchId.toString()}:`, recordError.message);
+}
+}
+function serializeBatch(batch) {
+return {
+batchId: batch._id.toString(),
+status: batch.status,
+itemCount: batch.itemCount,
+quotedCredits: batch.quotedCredits,
+creditsUsed: batch.creditsUsed,
+succeeded: batch.succeeded,
+failed: batch.failed,
+items: (batch.items || []).map(item => ({
+...item,
+jobId: item.jobId ? item.jobId.toString() : null,
+transactionId: item.transactionId ? item.transactionId.toString() : null,
+imageId: item.imageId || null,
+imageUrl: item.imageId ? getImageUrl(item.imageId) : null
+})),
+createdAt: batch.createdAt,
+finishedAt: batch.finishedAt || null
+};
+}
+app.post('/api/generate/batch', requireUser, enforceRequestRate, async (req, res) => {
+const body = req.body || {};
+const user = req.user;
+const language = resolveResponseLanguage(req);
+if (!Array.isArray(body.items) || body.items.length === 0 || body.items.length > BATCH_MAX_ITEMS) {
+return sendError(res, new ValidationError(localizedText(
+`items debe ser un array con entre 1 y ${BATCH_MAX_ITEMS} elementos`,
+`items must be an array with between 1 and ${BATCH_MAX_ITEMS} elements`
+)));
+}
+const { key: idempotencyKey, error: idempotencyError } = getIdempotencyKey(req);
+if (idempotencyError) {
+return sendError(res, idempotencyError);
+}
+// Todos los items se validan antes de cobrar nada: un item inválido rechaza el lote
+const rawPayloads = body.items.map(item => buildBatchItemPayload(body, item));
+const invalidItems = [];
+rawPayloads.forEach((payload, index) => {
+const validationError = validateGenerationPayload(payload);
+if (validationError) {
+invalidItems.push({ index, code: validationError.code, message: validationError.getMessage(language) });
+}
+});
+if (invalidItems.length > 0) {
+return sendError(res, new ValidationError(localizedText(
+`${invalidItems.length} item(s) no válidos`,
+`${invalidItems.length} invalid item(s)`
+)), { items: invalidItems });
+}
+let idempotencyLockId = null;
+const batchId = new ObjectId();
+const jobDocs = [];
+let enqueued = false;
+try {
+// Las referencias compartidas se decodifican y normalizan una sola vez
+const sharedReferences = Array.isArray(body.referenceImages)
+? (await prepareGenerationPayload({ referenceImages: body.referenceImages })).referenceImages
+: undefined;
+const payloads = [];
+for (let index = 0; index < rawPayloads.length; index++) {
+const { referenceImages, ...itemPayload } = rawPayloads[index];
+try {
+payloads.push(await prepareGenerationPayload(itemPayload));
+} catch (error) {
+if (!(error instanceof AppError)) throw error;
+return sendError(res, error, { items: [{ index, code: error.code, message: error.getMessage(language) }] });
+}
+}
+// Presupuesto: la resolución definitiva (p. ej. la de upscale) se conoce tras preparar
+const quote = payloads.map(payload => getModelCost(MODEL_CATALOG[payload.model], payload.resolution, payload.operation || 'generate'));
+const quotedCredits = quote.reduce((sum, cost) => sum + cost, 0);
+const available = await checkBatchQuote(user, quotedCredits, { personalFallback: body.personalCreditsFallback === true });
+if (body.dryRun === true) {
+return res.json({ success: true, dryRun: true, quotedCredits, availableCredits: available, quote });
+}
+if (idempotencyKey) {
+const outcome = await beginIdempotentRequest(user._id, idempotencyKey, 'batch', body);
+if (sendIdempotencyOutcome(res, outcome)) return;
+idempotencyLockId = outcome.lockId;
+}
+// Las referencias compartidas se guardan una vez en GridFS para todos los jobs del lote
+const storedReferences = sharedReferences
+? (await storeJobPayloadImages({ referenceImages: sharedReferences }, { batchId })).referenceImages
+: undefined;
+for (let index = 0; index < payloads.length; index++) {
+const payload = storedReferences ? { ...payloads[index], referenceImages: storedReferences } : payloads[index];
+jobDocs.push(await buildGenerationJob(user, payload, { batchId, batchIndex: index }));
+}
+const batch = {
+_id: batchId,
+userId: user._id,
+status: 'running',
+itemCount: payloads.length,
+quotedCredits,
+creditsUsed: 0,
+succeeded: 0,
+failed: 0,
+items: jobDocs.map((job, index) => ({
+index,
+jobId: job._id,
+model: payloads[index].model,
+operation: payloads[index].operation || 'generate',
+status: 'queued',
+success: null,
+creditsUsed: 0,
+transactionId: null,
+imageId: null,
+error: null
+})),
+createdAt: new Date()
+};
+// El lote y sus jobs se crean a la vez: nunca queda un lote sin jobs que lo terminen
+const { batches, jobs } = await connectToDatabase();
+await runInTransaction(async session => {
+await batches.insertOne(batch, { session });
+await jobs.insertMany(jobDocs, { session });
+});
+enqueued = true;
+console.log(`📦 Lote ${batchId.toString()}: ${payloads.length} items encolados, presupuesto ${quotedCredits} créditos`);
+setImmediate(pumpJobQueue);
+const responseBody = {
+success: true,
+batchId: batchId.toString(),
+status: batch.status,
+quotedCredits,
+itemCount: batch.itemCount,
+statusUrl: `/api/generate/batch/${batchId.toString()}`,
+items: batch.items.map(item => ({ index: item.index, jobId: item.jobId.toString() }))
+};
+if (idempotencyLockId) {
+await completeIdempotentRequest(user._id, idempotencyKey, idempotencyLockId, 202, responseBody);
+}
+res.status(202).json(responseBody);
+} catch (error) {
+console.error('❌ Error en /api/generate/batch:', error.message);
+if (!enqueued) {
+await Promise.all([deleteJobImages({ batchId }), ...jobDocs.map(job => deleteJobImages({ jobId: job._id }))]);
+}
+if (idempotencyLockId) {
+try {
+await abandonIdempotentRequest(user._id, idempotencyKey, idempotencyLockId);
+} catch (idempotencyCleanupError) {
+console.error('❌ Error liberando Idempotency-Key:', idempotencyCleanupError.message);
+}
+}
+sendError(res, error);
+}
+});
+app.get('/api/generate/batch/:id', requireUser, async (req, res) => {
+const batchId = parseObjectId(req.params.id);
+try {
+const { batches } = await connectToDatabase();
+const batch = batchId ? await batches.findOne({ _id: batchId, userId: req.user._id }) : null;
+if (!batch) {
+return sendError(res, new AppError('BATCH_NOT_FOUND'));
+}
+res.json({ success: true, batch: serializeBatch(batch) });
+} catch (error) {
+console.error('❌ Error en GET /api/generate/batch/:id:', error.message);
+sendError(res, error);
+}
+});
+// ========================================
+// JOBS ASÍNCRONOS DE GENERACIÓN
+// ========================================
+// Los jobs viven en Mongo: si el cliente pierde la conexión, el worker
+// en proceso termina la generación y el resultado queda disponible en GET /api/jobs/:id
+// Las imágenes de entrada no se guardan en el documento del job (el límite de Mongo es
+// 16 MB y el cuerpo admite 50 MB): van a GridFS, compartido por todas las instancias,
+// y el payload solo guarda { fileId, mimeType, ... }. Se borran al terminar el job.
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+const JOB_LEASE_MS = parseInt(process.env.JOB_LEASE_MS, 10) || 5 * 60 * 1000; // Debe superar el timeout de Gemini
+// Mientras el job se ejecuta, el worker renueva su lease con esta frecuencia
+const JOB_HEARTBEAT_MS = Math.max(1000, Math.floor(JOB_LEASE_MS / 3));
+const workerId = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+let activeJobs = 0;
+let jobWorkerInterval = null;
+// owner ({ jobId } o { batchId }) se guarda en los metadatos del fichero para poder borrarlo
+async function saveJobImage(image, owner) {
+if (!image || image.fileId) return image;
+const { imagesBucket } = await connectToDatabase();
+const { data, ...rest } = image;
+const fileId = await new Promise((resolve, reject) => {
+const upload = imagesBucket.openUploadStream(`job-input-${new ObjectId().toString()}`, {
+metadata: { ...owner, mimeType: image.mimeType, kind: 'job_input' }
+});
+upload.on('error', reject);
+upload.on('finish', () => resolve(upload.id));
+upload.end(Buffer.from(data, 'base64'));
+});
+return { ...rest, fileId };
+}
+async function storeJobPayloadImages(payload, owner) {
+const stored = { ...payload };
+for (const field of ['baseImage', 'maskImage']) {
+if (payload[field]) stored[field] = await saveJobImage(payload[field], owner);
+}
+if (Array.isArray(payload.referenceImages)) {
+stored.referenceImages = await Promise.all(payload.referenceImages.map(image => saveJobImage(image, owner)));
+}
+return stored;
+}
+// Inverso de storeJobPayloadImages(); los jobs antiguos con las imágenes en línea pasan tal cual
+async function loadJobPayloadImages(payload) {
+const { imagesBucket } = await connectToDatabase();
+const load = async image => {
+if (!image?.fileId) return image;
+const chunks = [];
+for await (const chunk of imagesBucket.openDownloadStream(image.fileId)) {
+chunks.push(chunk);
+}
+const { fileId, ...rest } = image;
+return { ...rest, data: Buffer.concat(chunks).toString('base64') };
+};
+const loaded = { ...payload };
+for (const field of ['baseImage', 'maskImage']) {
+if (payload[field]) loaded[field] = await load(payload[field]);
+}
+if (Array.isArray(payload.referenceImages)) {
+loaded.referenceImages = await Promise.all(payload.referenceImages.map(load));
+}
+return loaded;
+}
+// Nunca lanza: si queda algún fichero huérfano no afecta al job
+async function deleteJobImages(owner) {
+try {
+const { imagesBucket } = await connectToDatabase();
+const [[key, value]] = Object.entries(owner);
+const files = await imagesBucket.find({ [`metadata.${key}`]: value }, { projection: { _id: 1 } }).toArray();
+for (const file of files) {
+await imagesBucket.delete(file._id);
+}
+} catch (error) {
+console.error('❌ Error borrando imágenes de entrada del job:', error.message);
+}
+}
+// Documento del job listo para insertar (sus imágenes ya están en GridFS).
+// extra: { batchId, batchIndex } para los items de un lote
+async function buildGenerationJob(user, payload, extra = {}) {
+const jobId = new ObjectId();
+return {
+_id: jobId,
+userId: user._id,
+status: 'queued',
+...extra,
+payload: await storeJobPayloadImages(payload, { jobId }),
+request: {
+operation: payload.operation || 'generate',
+model: payload.model,
+prompt: payload.prompt.substring(0, 150) + (payload.prompt.length > 150 ? '...' : '')
+},
+attempts: 0,
+// Los logs del worker continúan con el requestId de la petición que encoló el job
+requestId: getRequestId(),
+createdAt: new Date()
+};
+}
+async function enqueueGenerationJob(user, payload) {
+const { jobs } = await connectToDatabase();
+const job = await buildGenerationJob(user, payload);
+try {
+await jobs.insertOne(job);
+} catch (error) {
+await deleteJobImages({ jobId: job._id });
+throw error;
+}
+console.log(`📥 Job ${job._id.toString()} encolado para usuario ${user._id.toString()}`);
+// No esperar al siguiente ciclo del worker
+setImmediate(pumpJobQueue);
+return job;
+}
+// Error guardado de un job: { statusCode, code, messages: { es, en } } (los jobs
+// antiguos solo tienen message)
+function serializeJobError(error, language) {
+if (!error) return null;
+if (!error.messages) return error;
+return {
+statusCode: error.statusCode,
+code: error.code,
+message: error.messages[language] || error.messages[DEFAULT_RESPONSE_LANGUAGE]
+};
+}
+function buildJobError(error) {
+const appError = toAppError(error);
+return {
+statusCode: appError.statusCode,
+code: appError.code,
+messages: Object.fromEntries(SUPPORTED_RESPONSE_LANGUAGES.map(language => [language, appError.getMessage(language)])),
+details: appError.message.substring(0, 200)
+};
+}
+function serializeJob(job, language = DEFAULT_RESPONSE_LANGUAGE) {
+return {
+jobId: job._id.toString(),
+status: job.status,
+operation: job.request?.operation,
+model: job.request?.model,
+createdAt: job.createdAt,
+startedAt: job.startedAt || null,
+finishedAt: job.finishedAt || null,
+result: job.status === 'succeeded' ? job.result : null,
+error: job.status === 'failed' ? serializeJobError(job.error, language) : null
+};
+}
+async function claimNextJob() {
+const { jobs } = await connectToDatabase();
+const now = new Date();
+return jobs.findOneAndUpdate(
+{ status: 'queued', $or: [{ notBefore: null }, { notBefore: { $lte: now } }] },
+{
+$set: { status: 'running', startedAt: now, workerId, leaseExpiresAt: new Date(now.getTime() + JOB_LEASE_MS) },
+$inc: { attempts: 1 }
+},
+{ sort: { createdAt: 1 }, returnDocument: 'after' }
+);
+}
+const JOB_SLOT_RETRY_MS = 5000;
+async function processJob(job) {
+const { users, jobs } = await connectToDatabase();
+console.log(`⚙️ Procesando job ${job._id.toString()} (${job.request.operation}, ${job.request.model})`);
+// Las actualizaciones del worker solo valen mientras el job siga siendo suyo: si se
+// quedara sin lease, recoverExpiredJobs() ya lo habrá marcado como fallido
+const ownJob = { _id: job._id, status: 'running', workerId };
+const heartbeat = setInterval(async () => {
+try {
+const renewed = await jobs.updateOne(ownJob, { $set: { leaseExpiresAt: new Date(Date.now() + JOB_LEASE_MS) } });
+if (renewed.matchedCount === 0) {
+console.warn(`⚠️ Job ${job._id.toString()}: el worker perdió el lease`);
+}
+} catch (error) {
+console.error(`❌ Error renovando el lease del job ${job._id.toString()}:`, error.message);
+}
+}, JOB_HEARTBEAT_MS);
+let user = null;
+let slot = null;
+let finished = true;
+try {
+user = await users.findOne({ _id: job.userId });
+if (!user) {
+throw new AppError('USER_NOT_FOUND');
+}
+if (user.disabled) {
+throw new AuthError('USER_DISABLED');
+}
+// El catálogo puede haber cambiado desde que se encoló el job
+const validationError = validateGenerationPayload(job.payload);
+if (validationError) {
+throw validationError;
+}
+// Si el usuario ya tiene el máximo de generaciones en curso, el job vuelve a la cola
+slot = await acquireGenerationSlot(user);
+if (!slot.acquired) {
+finished = false;
+await jobs.updateOne(
+ownJob,
+{
+$set: { status: 'queued', notBefore: new Date(Date.now() + JOB_SLOT_RETRY_MS) },
+$unset: { startedAt: '', workerId: '', leaseExpiresAt: '' },
+$inc: { attempts: -1 }
+}
+);
+console.log(`⏸️ Job ${job._id.toString()} en espera: el usuario alcanzó su límite de generaciones simultáneas`);
+return;
+}
+if (job.batchId) {
+await markBatchItemRunning(job);
+}
+const payload = await loadJobPayloadImages(job.payload);
+const result = await runGeneration(user, payload, {
+jobId: job._id,
+batchId: job.batchId || null,
+onPhase: async (phase, data) => {
+if (phase === 'credits_held') {
+await jobs.updateOne(ownJob, { $set: { holdId: data.holdId, holdAmount: data.amount } });
+}
+}
+});
+const completed = await jobs.updateOne(
+ownJob,
+{
+$set: {
+status: 'succeeded',
+finishedAt: new Date(),
+// Si la imagen quedó almacenada, el job solo guarda la referencia
+result: result.imageId ? { ...result, dataUrl: undefined } : result
+},
+$unset: { payload: '', leaseExpiresAt: '' }
+}
+);
+if (completed.matchedCount === 0) {
+console.warn(`⚠️ Job ${job._id.toString()} terminó tras perder el lease: se conserva el estado de la recuperación`);
+} else {
+console.log(`✅ Job ${job._id.toString()} completado`);
+if (job.batchId) await recordBatchItemOutcome(job, { result });
+}
+} catch (error) {
+const failed = await jobs.updateOne(
+ownJob,
+{
+$set: {
+status: 'failed',
+finishedAt: new Date(),
+error: buildJobError(error)
+},
+$unset: { payload: '', leaseExpiresAt: '' }
+}
+);
+console.error(`❌ Job ${job._id.toString()} fallido:`, error.message);
+if (job.batchId && failed.matchedCount > 0) await recordBatchItemOutcome(job, { error });
+} finally {
+clearInterval(heartbeat);
+if (finished) {
+await deleteJobImages({ jobId: job._id });
+}
+if (slot?.acquired) {
+try {
+await releaseGenerationSlot(user._id, slot.slotId);
+} catch (slotError) {
+console.error('❌ Error liberando hueco de generación:', slotError.message);
+}
+}
+}
+}
+// Jobs cuyo worker murió a mitad de ejecución (dejó de renovar el lease): se marcan
+// como fallidos y se liberan sus créditos apartados (no se reintentan para no cobrar
+// dos veces a Gemini)
+async function recoverExpiredJobs() {
+const { jobs } = await connectToDatabase();
+const expired = await jobs.find({ status: 'running', leaseExpiresAt: { $lt: new Date() } }).toArray();
+for (const job of expired) {
+const claimed = await jobs.updateOne(
+{ _id: job._id, status: 'running', leaseExpiresAt: job.leaseExpiresAt },
+{
+$set: {
+status: 'failed',
+finishedAt: new Date(),
+error: buildJobError(new AppError('JOB_INTERRUPTED'))
+},
+$unset: { payload: '', leaseExpiresAt: '' }
+}
+);
+if (claimed.modifiedCount === 0) continue;
+console.warn(`⚠️ Job ${job._id.toString()} interrumpido (worker ${job.workerId}), marcado como fallido`);
+await deleteJobImages({ jobId: job._id });
+if (job.batchId) {
+await recordBatchItemOutcome(job, { error: new AppError('JOB_INTERRUPTED') });
+}
+if (job.holdId) {
+await releaseHold(
+{ holdId: job.holdId, userId: job.userId, amount: job.holdAmount },
+{ reason: 'job_interrupted' }
+);
+}
+}
+}
+async function pumpJobQueue() {
+try {
+while (activeJobs < JOB_CONCURRENCY) {
+// Reservar el hueco antes de reclamar para no superar la concurrencia
+activeJobs++;
+const job = await claimNextJob();
+if (!job) {
+activeJobs--;
+break;
+}
+const context = { requestId: job.requestId || `job-${job._id.toString()}`, jobId: job._id.toString() };
+requestContext.run(context, () => processJob(job)).finally(() => {
+activeJobs--;
+setImmediate(pumpJobQueue);
+});
+}
+} catch (error) {
+activeJobs--;
+console.error('❌ Error en el worker de jobs:', error.message);
+}
+}
+function startJobWorker() {
+console.log(`👷 Worker de jobs iniciado (${workerId}, concurrencia: ${JOB_CONCURRENCY})`);
+jobWorkerInterval = setInterval(async () => {
+try {
+await recoverExpiredJobs();
+} catch (error) {
+console.error('❌ Error recuperando jobs interrumpidos:', error.message);
+}
+pumpJobQueue();
+}, JOB_POLL_INTERVAL_MS);
+}
+app.post('/api/jobs', requireUser, enforceRequestRate, async (req, res) => {
+const user = req.user;
+console.log(`📨 Solicitud de job de generación (usuario ${user._id.toString()})`);
+const validationError = validateGenerationPayload(req.body);
+if (validationError) {
+return sendError(res, validationError);
+}
+const { key: idempotencyKey, error: idempotencyError } = getIdempotencyKey(req);
+if (idempotencyError) {
+return sendError(res, idempotencyError);
+}
+let idempotencyLockId = null;
+try {
+// Las imágenes se validan al encolar para responder 4xx de inmediato
+const payload = await prepareGenerationPayload(req.body, { user });
+if (idempotencyKey) {
+const outcome = await beginIdempotentRequest(user._id, idempotencyKey, 'jobs', req.body);
+if (sendIdempotencyOutcome(res, outcome)) return;
+idempotencyLockId = outcome.lockId;
+}
+const job = await enqueueGenerationJob(user, payload);
+const responseBody = {
+success: true,
+jobId: job._id.toString(),
+status: job.status,
+statusUrl: `/api/jobs/${job._id.toString()}`
+};
+if (idempotencyLockId) {
+await completeIdempotentRequest(user._id, idempotencyKey, idempotencyLockId, 202, responseBody);
+}
+res.status(202).json(responseBody);
+} catch (error) {
+console.error('❌ Error en /api/jobs:', error.message);
+if (idempotencyLockId) {
+try {
+await abandonIdempotentRequest(user._id, idempotencyKey, idempotencyLockId);
+} catch (idempotencyCleanupError) {
+console.error('❌ Error liberando Idempotency-Key:', idempotencyCleanupError.message);
+}
+}
+sendError(res, error);
+}
+});
+app.get('/api/jobs/:id', requireUser, async (req, res) => {
+const jobId = parseObjectId(req.params.id);
+if (!jobId) {
+return sendError(res, new AppError('JOB_NOT_FOUND'));
+}
+try {
+const { jobs } = await connectToDatabase();
+const job = await jobs.findOne(
+{ _id: jobId, userId: req.user._id },
+{ projection: { payload: 0 } }
+);
+if (!job) {
+return sendError(res, new AppError('JOB_NOT_FOUND'));
+}
+res.json({
+success: true,
+job: serializeJob(job, resolveResponseLanguage(req))
+});
+} catch (error) {
+console.error('❌ Error en /api/jobs/:id:', error.message);
+sendError(res, error);
+}
+});
+// ========================================
+// HISTORIAL DE TRANSACCIONES DEL USUARIO
+// ========================================
+const TRANSACTIONS_PAGE_MAX = 100;
+// Construye el filtro de Mongo a partir de la query; devuelve { filter } o { error }
+function buildTransactionFilter(userId, query) {
+const filter = { userId };
+if (query.from || query.to) {
+filter.timestamp = {};
+if (query.from) {
+const from = new Date(query.from);
+if (isNaN(from.getTime())) return { error: new ValidationError(localizedText('Parámetro "from" no es una fecha válida', 'Parameter "from" is not a valid date')) };
+filter.timestamp.$gte = from;
+}
+if (query.to) {
+const to = new Date(query.to);
+if (isNaN(to.getTime())) return { error: new ValidationError(localizedText('Parámetro "to" no es una fecha válida', 'Parameter "to" is not a valid date')) };
+// Una fecha sin hora (YYYY-MM-DD) incluye el día completo (UTC)
+if (/^\d{4}-\d{2}-\d{2}$/.test(String(query.to))) {
+filter.timestamp.$lt = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+} else {
+filter.timestamp.$lte = to;
+}
+}
+}
+if (query.model) filter.model = String(query.model);
+if (query.operation) filter.operation = String(query.operation);
+if (query.batchId) {
+const batchId = parseObjectId(String(query.batchId));
+if (!batchId) return { error: new AppError('INVALID_PARAMETER', { params: { param: 'batchId' } }) };
+filter.batchId = batchId;
+}
+if (query.success !== undefined) {
+if (query.success !== 'true' && query.success !== 'false') {
+return { error: new ValidationError(localizedText('Parámetro "success" debe ser true o false', 'Parameter "success" must be true or false')) };
+}
+filter.success = query.success === 'true';
+}
+return { filter };
+}
+function serializeTransaction(transaction) {
+return {
+transactionId: transaction._id.toString(),
+imageId: transaction.imageId ? transaction.imageId.toString() : null,
+batchId: transaction.batchId ? transaction.batchId.toString() : null,
+timestamp: transaction.timestamp,
+operation: transaction.operation,
+operationLabel: transaction.operationLabel || OPERATION_LABELS[transaction.operation] || transaction.operation,
+model: transaction.model,
+resolution: transaction.resolution || null,
+instructionTemplate: transaction.instructionTemplate || null,
+success: transaction.success,
+creditsUsed: transaction.creditsUsed,
+creditsRemaining: transaction.creditsRemaining,
+prompt: transaction.prompt || null,
+errorMessage: transaction.errorMessage || null
+};
+}
+// Totales por modelo y por día (UTC) sobre todo el filtro, sin paginar
+async function summarizeTransactions(filter) {
+const { transactions } = await connectToDatabase();
+const [result] = await transactions.aggregate([
+{ $match: filter },
+{
+$facet: {
+totals: [
+{
+$group: {
+_id: null,
+operations: { $sum: 1 },
+succeeded: { $sum: { $cond: ['$success', 1, 0] } },
+failed: { $sum: { $cond: ['$success', 0, 1] } },
+creditsUsed: { $sum: '$creditsUsed' }
+}
+}
+],
+byModel: [
+{ $group: { _id: '$model', operations: { $sum: 1 }, creditsUsed: { $sum: '$creditsUsed' } } },
+{ $sort: { creditsUsed: -1 } }
+],
+byDay: [
+{
+$group: {
+_id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+operations: { $sum: 1 },
+creditsUsed: { $sum: '$creditsUsed' }
+}
+},
+{ $sort: { _id: 1 } }
+]
+}
+}
+]).toArray();
+const totals = result.totals[0] || { operations: 0, succeeded: 0, failed: 0, creditsUsed: 0 };
+return {
+operations: totals.operations,
+succeeded: totals.succeeded,
+failed: totals.failed,
+creditsUsed: totals.creditsUsed,
+byModel: result.byModel.map(row => ({ model: row._id, operations: row.operations, creditsUsed: row.creditsUsed })),
+byDay: result.byDay.map(row => ({ date: row._id, operations: row.operations, creditsUsed: row.creditsUsed }))
+};
+}
+function toCsvValue(value) {
+if (value === null || value === undefined) return '';
+let text = value instanceof Date ? value.toISOString() : String(value);
+// Evitar que Excel/Sheets interprete el prompt como fórmula
+if (/^[=+\-@]/.test(text)) text = `'${text}`;
+return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+// Se envía el resultado completo con un cursor, respetando la contrapresión de la respuesta
+function waitForDrain(res) {
+return new Promise(resolve => {
+const done = () => {
+res.off('drain', done);
+res.off('close', done);
+resolve();
+};
+res.on('drain', done);
+res.on('close', done);
+});
+}
+async function sendTransactionsCsv(res, filter) {
+const { transactions } = await connectToDatabase();
+const columns = ['transactionId', 'timestamp', 'operation', 'operationLabel', 'model', 'resolution', 'success', 'creditsUsed', 'creditsRemaining', 'prompt', 'errorMessage'];
+res.set('Content-Type', 'text/csv; charset=utf-8');
+res.set('Content-Disposition', `attachment; filename="transacciones-${new Date().toISOString().substring(0, 10)}.csv"`);
+res.write(columns.join(',') + '\n');
+const cursor = transactions.find(filter).sort({ _id: -1 });
+for await (const transaction of cursor) {
+// El cliente cortó la descarga: salir del bucle cierra el cursor
+if (res.destroyed) break;
+const row = serializeTransaction(transaction);
+if (!res.write(columns.map(column => toCsvValue(row[column])).join(',') + '\n')) {
+await waitForDrain(res);
+}
+}
+res.end();
+}
+// GET /api/transactions?from&to&model&operation&success&limit&cursor&format=csv
+app.get('/api/transactions', requireUser, async (req, res) => {
+const { filter, error: filterError } = buildTransactionFilter(req.user._id, req.query);
+if (filterError) {
+return sendError(res, filterError);
+}
+try {
+if (req.query.format === 'csv') {
+console.log(`📄 Exportando transacciones en CSV para usuario ${req.user._id.toString()}`);
+return await sendTransactionsCsv(res, filter);
+}
+const limit = Math.min(parseInt(req.query.limit, 10) || 50, TRANSACTIONS_PAGE_MAX);
+const pageFilter = { ...filter };
+if (req.query.cursor) {
+const cursorId = parseObjectId(req.query.cursor);
+if (!cursorId) {
+return sendError(res, new AppError('INVALID_PARAMETER', { params: { param: 'cursor' } }));
+}
+pageFilter._id = { $lt: cursorId };
+}
+const { transactions } = await connectToDatabase();
+const page = await transactions.find(pageFilter).sort({ _id: -1 }).limit(limit + 1).toArray();
+const hasMore = page.length > limit;
+const items = page.slice(0, limit);
+res.json({
+success: true,
+transactions: items.map(serializeTransaction),
+nextCursor: hasMore ? items[items.length - 1]._id.toString() : null,
+// El resumen solo se calcula en la primera página
+summary: req.query.cursor ? null : await summarizeTransactions(filter)
+});
+} catch (error) {
+console.error('❌ Error en /api/transactions:', error.message);
+if (res.headersSent) return res.end();
+sendError(res, error);
+}
+});
+// ========================================
+// GALERÍA DE IMÁGENES DEL USUARIO
+// ========================================
+const IMAGES_PAGE_MAX = 100;
+// Busca una imagen del usuario autenticado; si no existe lanza IMAGE_NOT_FOUND
+async function findUserImage(req) {
+const imageId = parseObjectId(req.params.id);
+const { images } = await connectToDatabase();
+const image = imageId ? await images.findOne({ _id: imageId, userId: req.user._id }) : null;
+if (!image) {
+throw new AppError('IMAGE_NOT_FOUND');
+}
+return image;
+}
+app.get('/api/images', requireUser, async (req, res) => {
+const limit = Math.min(parseInt(req.query.limit, 10) || 30, IMAGES_PAGE_MAX);
+// Las referencias guardadas por las sesiones de edición no son resultados
+const filter = { userId: req.user._id, kind: null };
+if (req.query.cursor) {
+const cursorId = parseObjectId(req.query.cursor);
+if (!cursorId) {
+return sendError(res, new AppError('INVALID_PARAMETER', { params: { param: 'cursor' } }));
+}
+filter._id = { $lt: cursorId };
+}
+if (req.query.model) filter.model = String(req.query.model);
+if (req.query.operation) filter.operation = String(req.query.operation);
+try {
+const { images } = await connectToDatabase();
+const page = await images.find(filter).sort({ _id: -1 }).limit(limit + 1).toArray();
+const hasMore = page.length > limit;
+const items = page.slice(0, limit);
+res.json({
+success: true,
+images: items.map(serializeImage),
+nextCursor: hasMore ? items[items.length - 1]._id.toString() : null
+});
+} catch (error) {
+console.error('❌ Error en GET /api/images:', error.message);
+sendError(res, error);
+}
+});
+app.get('/api/images/:id', requireUser, async (req, res) => {
+try {
+const image = await findUserImage(req);
+res.json({ success: true, image: serializeImage(image) });
+} catch (error) {
+console.error('❌ Error en GET /api/images/:id:', error.message);
+sendError(res, error);
+}
+});
+app.get('/api/images/:id/content', requireUser, async (req, res) => {
+try {
+const image = await findUserImage(req);
+const stream = await getImageStorage(image.storage).createReadStream(image.storageKey);
+stream.on('error', error => {
+console.error(`❌ Error leyendo imagen ${image._id.toString()}:`, error.message);
+if (!res.headersSent) {
+sendError(res, new AppError('IMAGE_CONTENT_UNAVAILABLE', { internalMessage: error.message }));
+} else {
+res.end();
+}
+});
+res.set('Content-Type', image.mimeType);
+res.set('Content-Length', String(image.size));
+res.set('Cache-Control', 'private, max-age=86400');
+stream.pipe(res);
+} catch (error) {
+console.error('❌ Error en GET /api/images/:id/content:', error.message);
+sendError(res, error);
+}
+});
+app.delete('/api/images/:id', requireUser, async (req, res) => {
+try {
+const image = await findUserImage(req);
+await deleteStoredImage(image);
+console.log(`🗑️ Imagen ${image._id.toString()} eliminada por su usuario`);
+res.json({ success: true, imageId: image._id.toString() });
+} catch (error) {
+console.error('❌ Error en DELETE /api/images/:id:', error.message);
+sendError(res, error);
+}
+});
+// ========================================
+// SESIONES DE EDICIÓN MULTI-TURNO
+// ========================================
+// Una sesión guarda el historial de una edición iterativa como un árbol de turnos
+// ("session_turns"): prompt, imagen resultante, referencias y el turno del que parte.
+// /api/generate y /api/jobs aceptan sessionId (y opcionalmente fromTurnId): un edit o
+// inpaint sin baseImage edita el resultado del turno de cabecera (o el de fromTurnId) y
+// los últimos SESSION_CONTEXT_TURNS turnos de ese camino se envían al proveedor como
+// conversación multi-turno. Revertir mueve la cabecera a un turno anterior (el siguiente
+// turno abre una rama nueva); ramificar copia el camino hasta un turno en otra sesión.
+// Las imágenes de los turnos siguen la retención de la galería.
+const SESSION_OPERATIONS = ['generate', 'edit', 'inpaint'];
+const SESSION_CONTEXT_TURNS = parseInt(process.env.SESSION_CONTEXT_TURNS, 10) >= 0 ? parseInt(process.env.SESSION_CONTEXT_TURNS, 10) : 3;
+const SESSION_MAX_TURNS = parseInt(process.env.SESSION_MAX_TURNS, 10) || 200;
+const SESSIONS_PAGE_MAX = 100;
+async function readStoredImage(image) {
+const stream = await getImageStorage(image.storage).createReadStream(image.storageKey);
+const chunks = [];
+for await (const chunk of stream) {
+chunks.push(chunk);
+}
+return Buffer.concat(chunks);
+}
+// Imagen resultante de un turno como { mimeType, data } (base64)
+async function loadTurnOutput(turn) {
+const { images } = await connectToDatabase();
+const image = turn.imageId ? await images.findOne({ _id: turn.imageId }) : null;
+if (!image) {
+throw new AppError('SESSION_TURN_UNAVAILABLE');
+}
+try {
+const buffer = await readStoredImage(image);
+return { mimeType: image.mimeType, data: buffer.toString('base64') };
+} catch (error) {
+console.error(`❌ Error leyendo la imagen ${image._id.toString()} del turno ${turn._id.toString()}:`, error.message);
+throw new AppError('SESSION_TURN_UNAVAILABLE', { internalMessage: error.message });
+}
+}
+async function findUserSession(userId, sessionId) {
+const { editSessions } = await connectToDatabase();
+const session = sessionId ? await editSessions.findOne({ _id: sessionId, userId }) : null;
+if (!session) {
+throw new AppError('SESSION_NOT_FOUND');
+}
+return session;
+}
+// Camino desde el primer turno hasta turnId (incluido), del más antiguo al más reciente
+async function getSessionPath(sessionId, turnId) {
+const { sessionTurns } = await connectToDatabase();
+const turns = await sessionTurns.find({ sessionId }).toArray();
+const byId = new Map(turns.map(turn => [turn._id.toString(), turn]));
+const path = [];
+let current = turnId ? byId.get(turnId.toString()) : null;
+while (current) {
+path.unshift(current);
+current = current.parentTurnId ? byId.get(current.parentTurnId.toString()) : null;
+}
+return path;
+}
+// Resuelve el turno del que parte la petición y, para edit/inpaint sin baseImage,
+// carga su resultado como imagen base. Devuelve { parentTurnId, baseImage?, baseImageFromParent? }.
+async function resolveSessionBase(user, payload) {
+const { sessionTurns } = await connectToDatabase();
+const session = await findUserSession(user._id, parseObjectId(payload.sessionId));
+if ((session.turnCount || 0) >= SESSION_MAX_TURNS) {
+throw new ValidationError(localizedText(
+`La sesión alcanzó el máximo de ${SESSION_MAX_TURNS} turnos: ramifica a una sesión nueva`,
+`The session reached the maximum of ${SESSION_MAX_TURNS} turns: branch into a new session`
+));
+}
+const parentTurnId = payload.fromTurnId ? parseObjectId(payload.fromTurnId) : session.headTurnId || null;
+const parent = parentTurnId ? await sessionTurns.findOne({ _id: parentTurnId, sessionId: session._id }) : null;
+if (parentTurnId && !parent) {
+throw new AppError('SESSION_TURN_NOT_FOUND');
+}
+const operation = payload.operation || 'generate';
+if (operation === 'generate' || payload.baseImage) {
+return { parentTurnId: parent ? parent._id : null, baseImageFromParent: false };
+}
+if (!parent) {
+throw new ValidationError(localizedText(
+'La sesión todavía no tiene resultados: envía baseImage en el primer turno',
+'The session has no results yet: send baseImage with the first turn'
+));
+}
+return { parentTurnId: parent._id, baseImage: await loadTurnOutput(parent), baseImageFromParent: true };
+}
+// Turnos anteriores que se envían como contexto: [{ turnId, prompt, image, thoughtSignature }]
+async function loadSessionHistory(sessionId, parentTurnId) {
+if (!parentTurnId || SESSION_CONTEXT_TURNS === 0) return [];
+const path = await getSessionPath(sessionId, parentTurnId);
+const history = [];
+for (const turn of path.slice(-SESSION_CONTEXT_TURNS)) {
+try {
+history.push({ turnId: turn._id, prompt: turn.prompt, image: await loadTurnOutput(turn), thoughtSignature: turn.thoughtSignature || null });
+} catch (error) {
+// Un turno cuya imagen caducó simplemente no aporta contexto
+console.warn(`⚠️ Turno ${turn._id.toString()} omitido del contexto: ${error.message}`);
+}
+}
+return history;
+}
+// Las referencias suelen repetirse en cada turno: se guardan una vez por usuario y
+// contenido (sha256) y cada reutilización renueva su retención
+async function storeSessionReference(user, reference, payload) {
+const { images } = await connectToDatabase();
+const contentHash = crypto.createHash('sha256').update(Buffer.from(reference.data, 'base64')).digest('hex');
+const expiresAt = IMAGE_RETENTION_DAYS > 0 ? new Date(Date.now() + IMAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000) : null;
+const existing = await images.findOneAndUpdate(
+{ userId: user._id, kind: 'reference', contentHash, $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+{ $set: { expiresAt } }
+);
+if (existing) return existing;
+return storeGeneratedImage({ user, transactionId: null, result: reference, payload, kind: 'reference', contentHash });
+}
+// Registra el turno tras una generación ya cobrada: nunca lanza
+async function recordSessionTurn({ user, payload, image, transactionId, result }) {
+try {
+const { editSessions, sessionTurns } = await connectToDatabase();
+const sessionId = parseObjectId(payload.sessionId);
+const references = [];
+for (const reference of payload.referenceImages || []) {
+const stored = await storeSessionReference(user, reference, payload);
+if (stored && !references.some(imageId => imageId.equals(stored._id))) references.push(stored._id);
+}
+const turn = {
+sessionId,
+userId: user._id,
+parentTurnId: payload.parentTurnId || null,
+operation: payload.operation || 'generate',
+model: payload.model,
+prompt: (payload.prompt || '').substring(0, 2000),
+aspectRatio: payload.aspectRatio || null,
+imageId: image ? image._id : null,
+transactionId,
+referenceImageIds: references,
+thoughtSignature: result.thoughtSignature || null,
+createdAt: new Date()
+};
+const inserted = await sessionTurns.insertOne(turn);
+await editSessions.updateOne(
+{ _id: sessionId },
+{ $set: { headTurnId: inserted.insertedId, updatedAt: turn.createdAt }, $inc: { turnCount: 1 } }
+);
+console.log(`🧵 Turno ${inserted.insertedId.toString()} añadido a la sesión ${sessionId.toString()}`);
+return { ...turn, _id: inserted.insertedId };
+} catch (error) {
+console.error('❌ Error registrando el turno de la sesión:', error.message);
+return null;
+}
+}
+function serializeSession(session) {
+return {
+sessionId: session._id.toString(),
+title: session.title,
+headTurnId: session.headTurnId ? session.headTurnId.toString() : null,
+turnCount: session.turnCount || 0,
+branchedFrom: session.branchedFrom
+? { sessionId: session.branchedFrom.sessionId.toString(), turnId: session.branchedFrom.turnId.toString() }
+: null,
+createdAt: session.createdAt,
+updatedAt: session.updatedAt
+};
+}
+function serializeSessionTurn(turn) {
+return {
+turnId: turn._id.toString(),
+parentTurnId: turn.parentTurnId ? turn.parentTurnId.toString() : null,
+operation: turn.operation,
+model: turn.model,
+prompt: turn.prompt,
+aspectRatio: turn.aspectRatio,
+imageId: turn.imageId ? turn.imageId.toString() : null,
+imageUrl: turn.imageId ? getImageUrl(turn.imageId) : null,
+transactionId: turn.transactionId ? turn.transactionId.toString() : null,
+referenceImages: (turn.referenceImageIds || []).map(imageId => ({ imageId: imageId.toString(), url: getImageUrl(imageId) })),
+createdAt: turn.createdAt
+};
+}
+app.post('/api/sessions', requireUser, async (req, res) => {
+const { title } = req.body || {};
+if (title !== undefined && typeof title !== 'string') {
+return sendError(res, new ValidationError(localizedText('title debe ser texto', 'title must be a string')));
+}
+try {
+const { editSessions } = await connectToDatabase();
+const now = new Date();
+const session = {
+userId: req.user._id,
+title: title?.trim().substring(0, 200) || null,
+headTurnId: null,
+turnCount: 0,
+branchedFrom: null,
+createdAt: now,
+updatedAt: now
+};
+const result = await editSessions.insertOne(session);
+session._id = result.insertedId;
+console.log(`🧵 Sesión de edición ${session._id.toString()} creada para usuario ${req.user._id.toString()}`);
+res.status(201).json({ success: true, session: serializeSession(session) });
+} catch (error) {
+console.error('❌ Error en POST /api/sessions:', error.message);
+sendError(res, error);
+}
+});
+app.get('/api/sessions', requireUser, async (req, res) => {
+const limit = Math.min(parseInt(req.query.limit, 10) || 30, SESSIONS_PAGE_MAX);
+const filter = { userId: req.user._id };
+if (req.query.cursor) {
+const cursorId = parseObjectId(req.query.cursor);
+if (!cursorId) {
+return sendError(res, new AppError('INVALID_PARAMETER', { params: { param: 'cursor' } }));
+}
+filter._id = { $lt: cursorId };
+}
+try {
+const { editSessions } = await connectToDatabase();
+const page = await editSessions.find(filter).sort({ _id: -1 }).limit(limit + 1).toArray();
+const hasMore = page.length > limit;
+const items = page.slice(0, limit);
+res.json({
+success: true,
+sessions: items.map(serializeSession),
+nextCursor: hasMore ? items[items.length - 1]._id.toString() : null
+});
+} catch (error) {
+console.error('❌ Error en GET /api/sessions:', error.message);
+sendError(res, error);
+}
+});
+// Sesión con todos sus turnos (el árbol completo, en orden de creación)
+app.get('/api/sessions/:id', requireUser, async (req, res) => {
+try {
+const session = await findUserSession(req.user._id, parseObjectId(req.params.id));
+const { sessionTurns } = await connectToDatabase();
+const turns = await sessionTurns.find({ sessionId: session._id }).sort({ _id: 1 }).toArray();
+res.json({ success: true, session: serializeSession(session), turns: turns.map(serializeSessionTurn) });
+} catch (error) {
+console.error('❌ Error en GET /api/sessions/:id:', error.message);
+sendError(res, error);
+}
+});
+// Vuelve a un turno anterior: el siguiente edit parte de su resultado
+app.post('/api/sessions/:id/revert', requireUser, async (req, res) => {
+const turnId = parseObjectId(req.body?.turnId);
+if (!turnId) {
+return sendError(res, new ValidationError(localizedText('turnId es obligatorio', 'turnId is required')));
+}
+try {
+const session = await findUserSession(req.user._id, parseObjectId(req.params.id));
+const { editSessions, sessionTurns } = await connectToDatabase();
+const turn = await sessionTurns.findOne({ _id: turnId, sessionId: session._id });
+if (!turn) {
+return sendError(res, new AppError('SESSION_TURN_NOT_FOUND'));
+}
+const updated = await editSessions.findOneAndUpdate(
+{ _id: session._id },
+{ $set: { headTurnId: turn._id, updatedAt: new Date() } },
+{ returnDocument: 'after' }
+);
+console.log(`⏪ Sesión ${session._id.toString()} revertida al turno ${turn._id.toString()}`);
+res.json({ success: true, session: serializeSession(updated) });
+} catch (error) {
+console.error('❌ Error en POST /api/sessions/:id/revert:', error.message);
+sendError(res, error);
+}
+});
+// Crea una sesión nueva con el camino hasta turnId; las imágenes se comparten, no se copian
+app.post('/api/sessions/:id/branch', requireUser, async (req, res) => {
+const { turnId: rawTurnId, title } = req.body || {};
+const turnId = parseObjectId(rawTurnId);
+if (!turnId) {
+return sendError(res, new ValidationError(localizedText('turnId es obligatorio', 'turnId is required')));
+}
+try {
+const source = await findUserSession(req.user._id, parseObjectId(req.params.id));
+const path = await getSessionPath(source._id, turnId);
+if (path.length === 0) {
+return sendError(res, new AppError('SESSION_TURN_NOT_FOUND'));
+}
+const { editSessions, sessionTurns } = await connectToDatabase();
+const now = new Date();
+const session = {
+_id: new ObjectId(),
+userId: req.user._id,
+title: typeof title === 'string' && title.trim() ? title.trim().substring(0, 200) : source.title,
+headTurnId: null,
+turnCount: path.length,
+branchedFrom: { sessionId: source._id, turnId },
+createdAt: now,
+updatedAt: now
+};
+let parentTurnId = null;
+const copies = path.map(turn => {
+const copy = { ...turn, _id: new ObjectId(), sessionId: session._id, parentTurnId, copiedFrom: turn._id };
+parentTurnId = copy._id;
+return copy;
+});
+session.headTurnId = parentTurnId;
+// Los turnos copiados y la sesión nueva se crean juntos: nunca quedan turnos huérfanos
+await runInTransaction(async dbSession => {
+await sessionTurns.insertMany(copies, { session: dbSession });
+await editSessions.insertOne(session, { session: dbSession });
+});
+console.log(`🌿 Sesión ${session._id.toString()} ramificada desde ${source._id.toString()} (turno ${turnId.toString()})`);
+res.status(201).json({ success: true, session: serializeSession(session), turns: copies.map(serializeSessionTurn) });
+} catch (error) {
+console.error('❌ Error en POST /api/sessions/:id/branch:', error.message);
+sendError(res, error);
+}
+});
+// ========================================
+// INSPECCIÓN DE PROCEDENCIA
+// ========================================
+// Lee los metadatos de procedencia de una imagen subida { image: { data, mimeType } }.
+// Si la transacción citada es de quien consulta, comprueba además que coincida.
+app.post('/api/provenance/inspect', requireUser, async (req, res) => {
+try {
+const { buffer, mimeType } = decodeBase64Image(req.body?.image, 'image');
+await readImageMetadata(buffer, 'image');
+const fields = await readImageProvenance(buffer, mimeType);
+const found = PROVENANCE_FIELDS.some(field => fields[field] !== undefined);
+const transactionId = found ? parseObjectId(fields.transactionId) : null;
+let transaction = null;
+if (transactionId) {
+const { transactions } = await connectToDatabase();
+const stored = await transactions.findOne({ _id: transactionId, userId: req.user._id });
+transaction = {
+found: Boolean(stored),
+matches: Boolean(stored) &&
+stored.model === fields.model &&
+stored.operation === fields.operation &&
+stored.promptHash === fields.promptHash
+};
+}
+console.log(`🔎 Procedencia inspeccionada (${mimeType}): ${found ? `transacción ${fields.transactionId}` : 'sin metadatos'}`);
+res.json({ success: true, mimeType, found, provenance: found ? fields : null, transaction });
+} catch (error) {
+console.error('❌ Error en POST /api/provenance/inspect:', error.message);
+sendError(res, error);
+}
+});
+// ========================================
+// WEBHOOKS DEL USUARIO
+// ========================================
+app.get('/api/webhooks', requireUser, async (req, res) => {
+try {
+const { webhooks } = await connectToDatabase();
+const userWebhooks = await webhooks.find({ userId: req.user._id }).sort({ createdAt: -1 }).toArray();
+res.json({
+success: true,
+webhooks: userWebhooks.map(serializeWebhook)
+});
+} catch (error) {
+console.error('❌ Error en GET /api/webhooks:', error.message);
+sendError(res, error);
+}
+});
+app.post('/api/webhooks', requireUser, async (req, res) => {
+const { url, description } = req.body || {};
+const urlError = validateWebhookUrl(url);
+if (urlError) {
+return sendError(res, new ValidationError(urlError));
+}
+try {
+const { webhooks } = await connectToDatabase();
+const count = await webhooks.countDocuments({ userId: req.user._id });
+if (count >= WEBHOOK_MAX_PER_USER) {
+return sendError(res, new ValidationError(localizedText(
+`Máximo ${WEBHOOK_MAX_PER_USER} webhooks por usuario`,
+`Maximum of ${WEBHOOK_MAX_PER_USER} webhooks per user`
+)));
+}
+const webhook = {
+userId: req.user._id,
+url,
+description: typeof description === 'string' ? description.substring(0, 100) : null,
+active: true,
+createdAt: new Date()
+};
+const insertResult = await webhooks.insertOne(webhook);
+webhook._id = insertResult.insertedId;
+const signingSecret = await ensureWebhookSecret(req.user._id);
+res.status(201).json({
+success: true,
+webhook: serializeWebhook(webhook),
+// Secreto para verificar X-Webhook-Signature (común a todos los webhooks del usuario)
+signingSecret
+});
+} catch (error) {
+console.error('❌ Error en POST /api/webhooks:', error.message);
+sendError(res, error);
+}
+});
+app.delete('/api/webhooks/:id', requireUser, async (req, res) => {
+const webhookId = parseObjectId(req.params.id);
+try {
+const { webhooks } = await connectToDatabase();
+const deleted = webhookId ? await webhooks.deleteOne({ _id: webhookId, userId: req.user._id }) : { deletedCount: 0 };
+if (deleted.deletedCount === 0) {
+return sendError(res, new AppError('WEBHOOK_NOT_FOUND'));
+}
+res.json({ success: true, webhookId: webhookId.toString() });
+} catch (error) {
+console.error('❌ Error en DELETE /api/webhooks/:id:', error.message);
+sendError(res, error);
+}
+});
+app.post('/api/webhooks/secret/rotate', requireUser, async (req, res) => {
+try {
+const signingSecret = await rotateWebhookSecret(req.user._id);
+console.log(`🔑 Secreto de webhooks rotado para usuario ${req.user._id.toString()}`);
+res.json({ success: true, signingSecret });
+} catch (error) {
+console.error('❌ Error en POST /api/webhooks/secret/rotate:', error.message);
+sendError(res, error);
+}
+});
+app.get('/api/webhooks/deliveries', requireUser, async (req, res) => {
+const limit = Math.min(parseInt(req.query.limit, 10) || 30, 100);
+const filter = { userId: req.user._id };
+if (req.query.cursor) {
+const cursorId = parseObjectId(req.query.cursor);
+if (!cursorId) {
+return sendError(res, new AppError('INVALID_PARAMETER', { params: { param: 'cursor' } }));
+}
+filter._id = { $lt: cursorId };
+}
+if (req.query.status) filter.status = String(req.query.status);
+if (req.query.webhookId) {
+filter.webhookId = parseObjectId(req.query.webhookId);
+if (!filter.webhookId) {
+return sendError(res, new AppError('INVALID_PARAMETER', { params: { param: 'webhookId' } }));
+}
+}
+try {
+const { webhookDeliveries } = await connectToDatabase();
+const page = await webhookDeliveries.find(filter, { projection: { body: 0 } }).sort({ _id: -1 }).limit(limit + 1).toArray();
+const hasMore = page.length > limit;
+const items = page.slice(0, limit);
+res.json({
+success: true,
+deliveries: items.map(serializeDelivery),
+nextCursor: hasMore ? items[items.length - 1]._id.toString() : null
+});
+} catch (error) {
+console.error('❌ Error en GET /api/webhooks/deliveries:', error.message);
+sendError(res, error);
+}
+});
+// ========================================
+// COMPRA DE CRÉDITOS
+// ========================================
+// Flujo: POST /api/checkout crea una intención de pago con el proveedor →
+// el usuario paga en checkoutUrl → el proveedor llama a POST /api/payments/webhook →
+// se verifica la firma y se abonan los créditos exactamente una vez (entrada "purchase" del ledger).
+// Un proveedor de pagos implementa:
+//   createCheckout(intent) → { providerRef, checkoutUrl }
+//   verifyWebhook(rawBody, headers) → { eventId, type, intentId, providerRef, amountCents, currency } o lanza
+// PAYMENT_PROVIDER selecciona el proveedor; sin él, la compra está deshabilitada.
+const CREDIT_PACKAGES_PATH = process.env.CREDIT_PACKAGES_PATH || path.join(__dirname, 'credit-packages.json');
+const CHECKOUT_INTENT_TTL_MINUTES = 60;
+const PAYMENT_EVENT_TYPES = ['payment.succeeded', 'payment.failed'];
+function loadCreditPackages(filePath) {
+const { currency, packages } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+if (!Array.isArray(packages) || packages.length === 0) {
+throw new Error('El catálogo debe contener un array "packages" no vacío');
+}
+const catalog = {};
+for (const entry of packages) {
+if (!entry.id || typeof entry.id !== 'string') {
+throw new Error('Cada paquete necesita un "id"');
+}
+if (!Number.isInteger(entry.credits) || entry.credits <= 0) {
+throw new Error(`Paquete ${entry.id}: "credits" debe ser un entero positivo`);
+}
+if (!Number.isInteger(entry.priceCents) || entry.priceCents <= 0) {
+throw new Error(`Paquete ${entry.id}: "priceCents" debe ser un entero positivo`);
+}
+catalog[entry.id] = {
+id: entry.id,
+displayName: entry.displayName || entry.id,
+enabled: entry.enabled !== false,
+credits: entry.credits,
+priceCents: entry.priceCents,
+currency: entry.currency || currency || 'EUR'
+};
+}
+return catalog;
+}
+let CREDIT_PACKAGES;
+try {
+CREDIT_PACKAGES = loadCreditPackages(CREDIT_PACKAGES_PATH);
+console.log(`✅ Paquetes de créditos cargados: ${Object.keys(CREDIT_PACKAGES).join(', ')}`);
+} catch (error) {
+console.error(`❌ ERROR FATAL: catálogo de paquetes inválido (${CREDIT_PACKAGES_PATH}):`, error.message);
+process.exit(1);
+}
+function serializeCreditPackage(creditPackage) {
+return {
+id: creditPackage.id,
+displayName: creditPackage.displayName,
+credits: creditPackage.credits,
+priceCents: creditPackage.priceCents,
+currency: creditPackage.currency
+};
+}
+// Proveedor falso para desarrollo y pruebas: firma sus eventos con
+// FAKE_PAYMENT_WEBHOOK_SECRET igual que lo haría un proveedor real. Como permite
+// abonarse créditos sin pagar, solo se activa con ALLOW_FAKE_PAYMENTS=1 y un secreto propio.
+const FAKE_PAYMENTS_ALLOWED = process.env.ALLOW_FAKE_PAYMENTS === '1';
+const FAKE_PAYMENT_WEBHOOK_SECRET = process.env.FAKE_PAYMENT_WEBHOOK_SECRET || null;
+const FAKE_PAYMENT_SECRET_MIN_LENGTH = 32;
+const PAYMENT_SIGNATURE_TOLERANCE_SECONDS = 300;
+const fakePaymentProvider = {
+name: 'fake',
+async createCheckout(intent) {
+return {
+providerRef: `fake_cs_${crypto.randomBytes(8).toString('hex')}`,
+checkoutUrl: `/api/payments/fake/checkout/${intent._id.toString()}/complete`
+};
+},
+verifyWebhook(rawBody, headers) {
+const match = /^t=(\d+),v1=([a-f0-9]{64})$/.exec(headers['x-fake-signature'] || '');
+if (!match) {
+throw new Error('Firma de pago ausente o mal formada');
+}
+const [, timestamp, signature] = match;
+if (Math.abs(Date.now() / 1000 - Number(timestamp)) > PAYMENT_SIGNATURE_TOLERANCE_SECONDS) {
+throw new Error('Firma de pago caducada');
+}
+const expected = crypto.createHmac('sha256', FAKE_PAYMENT_WEBHOOK_SECRET).update(`${timestamp}.${rawBody}`).digest();
+if (!crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'))) {
+throw new Error('Firma de pago no válida');
+}
+const event = JSON.parse(rawBody);
+return {
+eventId: event.id,
+type: event.type,
+intentId: event.data?.metadata?.intentId || null,
+providerRef: event.data?.checkoutId || null,
+amountCents: event.data?.amountCents,
+currency: event.data?.currency
+};
+},
+// Solo para desarrollo: construye el webhook firmado que enviaría el proveedor
+buildWebhook(intent, type, eventId = `fake_evt_${crypto.randomBytes(8).toString('hex')}`) {
+const rawBody = JSON.stringify({
+id: eventId,
+type,
+data: {
+checkoutId: intent.providerRef,
+amountCents: intent.amountCents,
+currency: intent.currency,
+metadata: { intentId: intent._id.toString() }
+}
+});
+const timestamp = Math.floor(Date.now() / 1000);
+const signature = crypto.createHmac('sha256', FAKE_PAYMENT_WEBHOOK_SECRET).update(`${timestamp}.${rawBody}`).digest('hex');
+return { rawBody, headers: { 'x-fake-signature': `t=${timestamp},v1=${signature}` } };
+}
+};
+const paymentProviders = {
+fake: fakePaymentProvider
+};
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER ? process.env.PAYMENT_PROVIDER.toLowerCase() : null;
+if (PAYMENT_PROVIDER === 'fake' && FAKE_PAYMENTS_ALLOWED &&
+(!FAKE_PAYMENT_WEBHOOK_SECRET || FAKE_PAYMENT_WEBHOOK_SECRET.length < FAKE_PAYMENT_SECRET_MIN_LENGTH)) {
+console.error(`❌ ERROR FATAL: el proveedor de pagos falso requiere FAKE_PAYMENT_WEBHOOK_SECRET (mínimo ${FAKE_PAYMENT_SECRET_MIN_LENGTH} caracteres)`);
+console.error('Solución: genera uno con: openssl rand -hex 32');
+process.exit(1);
+}
+function getPaymentProvider() {
+if (!PAYMENT_PROVIDER) return null;
+// El proveedor falso regala créditos: solo con la activación explícita
+if (PAYMENT_PROVIDER === 'fake' && !FAKE_PAYMENTS_ALLOWED) return null;
+return paymentProviders[PAYMENT_PROVIDER] || null;
+}
+function serializeCheckoutIntent(intent) {
+const expired = intent.status === 'pending' && intent.expiresAt < new Date();
+return {
+intentId: intent._id.toString(),
+status: expired ? 'expired' : intent.status,
+packageId: intent.packageId,
+orgId: intent.orgId ? intent.orgId.toString() : null,
+credits: intent.credits,
+amountCents: intent.amountCents,
+currency: intent.currency,
+provider: intent.provider,
+checkoutUrl: intent.status === 'pending' && !expired ? intent.checkoutUrl : null,
+createdAt: intent.createdAt,
+expiresAt: intent.expiresAt,
+paidAt: intent.paidAt || null
+};
+}
+// Con organization, los créditos se abonan al fondo de la organización en lugar de al usuario
+async function createCheckoutIntent(user, creditPackage, provider, organization = null) {
+const { checkoutIntents } = await connectToDatabase();
+const now = new Date();
+const intent = {
+_id: new ObjectId(),
+userId: user._id,
+...(organization ? { orgId: organization._id } : {}),
+packageId: creditPackage.id,
+credits: creditPackage.credits,
+amountCents: creditPackage.priceCents,
+currency: creditPackage.currency,
+provider: provider.name,
+status: 'pending',
+createdAt: now,
+expiresAt: new Date(now.getTime() + CHECKOUT_INTENT_TTL_MINUTES * 60 * 1000)
+};
+const { providerRef, checkoutUrl } = await provider.createCheckout(intent);
+intent.providerRef = providerRef;
+intent.checkoutUrl = checkoutUrl;
+await checkoutIntents.insertOne(intent);
+console.log(`🛒 Checkout ${intent._id.toString()} creado: ${creditPackage.id} para usuario ${user._id.toString()}${organization ? ` (organización ${organization._id.toString()})` : ''}`);
+return intent;
+}
+// Abona un checkout pagado. Entrada de ledger, saldo y estado del checkout se escriben
+// en una transacción; el índice único sobre purchaseOf garantiza un único abono aunque
+// el evento llegue varias veces.
+async function fulfillCheckoutIntent(intent, event) {
+const { users, organizations, checkoutIntents } = await connectToDatabase();
+let updated;
+try {
+updated = await runInTransaction(async session => {
+await appendLedgerEntry({
+...(intent.orgId ? { orgId: intent.orgId, purchasedBy: intent.userId } : { userId: intent.userId }),
+type: 'purchase',
+amount: intent.credits,
+purchaseOf: intent._id,
+packageId: intent.packageId,
+provider: intent.provider,
+paymentEventId: event.eventId,
+amountCents: intent.amountCents,
+currency: intent.currency
+}, { session });
+const updated = intent.orgId
+? await organizations.findOneAndUpdate(
+{ _id: intent.orgId },
+{ $inc: { creditsBalance: intent.credits } },
+{ returnDocument: 'after', session }
+)
+: await users.findOneAndUpdate(
+{ _id: intent.userId },
+{ $inc: { creditsBalance: intent.credits } },
+{ returnDocument: 'after', session }
+);
+// Si el destinatario ya no existe no se abona nada: el webhook responde 5xx
+// para que el proveedor lo reintente y el caso se revise a mano
+if (!updated) {
+throw new Error(`${intent.orgId ? 'La organización' : 'El usuario'} del checkout ${intent._id.toString()} no existe`);
+}
+await checkoutIntents.updateOne(
+{ _id: intent._id },
+{ $set: { status: 'paid', paidAt: new Date(), paymentEventId: event.eventId } },
+{ session }
+);
+return updated;
+});
+} catch (error) {
+if (error.code === 11000) {
+console.warn(`⚠️ Checkout ${intent._id.toString()} ya estaba abonado, se ignora el evento ${event.eventId}`);
+return false;
+}
+throw error;
+}
+console.log(`💶 Compra ${intent._id.toString()}: ${intent.credits} créditos abonados. Saldo: ${updated.creditsBalance}`);
+return true;
+}
+// Procesa un webhook del proveedor. Devuelve { statusCode, body }:
+// solo una firma inválida provoca un 4xx (PAYMENT_WEBHOOK_INVALID); el proveedor reintentará los 5xx
+async function handlePaymentWebhook(provider, rawBody, headers) {
+let event;
+try {
+event = provider.verifyWebhook(rawBody, headers);
+} catch (error) {
+console.warn(`⚠️ Webhook de pago rechazado (${provider.name}):`, error.message);
+throw new AppError('PAYMENT_WEBHOOK_INVALID', { internalMessage: error.message });
+}
+if (!event.eventId || !PAYMENT_EVENT_TYPES.includes(event.type)) {
+return { statusCode: 200, body: { received: true, ignored: true } };
+}
+const { checkoutIntents, paymentEvents } = await connectToDatabase();
+// Registro del evento: si ya se procesó, es un reenvío del proveedor
+const record = await paymentEvents.findOneAndUpdate(
+{ provider: provider.name, eventId: event.eventId },
+{ $setOnInsert: { type: event.type, intentId: event.intentId, status: 'received', receivedAt: new Date() } },
+{ upsert: true, returnDocument: 'after' }
+);
+if (record.status === 'processed') {
+return { statusCode: 200, body: { received: true, duplicate: true } };
+}
+const intentId = parseObjectId(event.intentId);
+const intent = intentId
+? await checkoutIntents.findOne({ _id: intentId, provider: provider.name })
+: await checkoutIntents.findOne({ provider: provider.name, providerRef: event.providerRef });
+let outcome;
+if (!intent) {
+outcome = 'unknown_intent';
+} else if (event.amountCents !== intent.amountCents || event.currency !== intent.currency) {
+// Nunca abonar un importe distinto del pactado
+outcome = 'amount_mismatch';
+console.error(`❌ Importe del evento ${event.eventId} no coincide con el checkout ${intent._id.toString()}`);
+} else if (event.type === 'payment.succeeded') {
+outcome = await fulfillCheckoutIntent(intent, event) ? 'credited' : 'already_credited';
+} else {
+await checkoutIntents.updateOne({ _id: intent._id, status: 'pending' }, { $set: { status: 'failed' } });
+outcome = 'payment_failed';
+}
+await paymentEvents.updateOne(
+{ _id: record._id },
+{ $set: { status: 'processed', outcome, processedAt: new Date() } }
+);
+return { statusCode: 200, body: { received: true, outcome } };
+}
+app.get('/api/credit-packages', (req, res) => {
+res.json({
+success: true,
+purchasesEnabled: Boolean(getPaymentProvider()),
+packages: Object.values(CREDIT_PACKAGES).filter(creditPackage => creditPackage.enabled).map(serializeCreditPackage)
+});
+});
+app.post('/api/checkout', requireUser, enforceRequestRate, async (req, res) => {
+const provider = getPaymentProvider();
+if (!provider) {
+return sendError(res, new AppError('PAYMENTS_UNAVAILABLE'));
+}
+const creditPackage = CREDIT_PACKAGES[req.body?.packageId];
+if (!creditPackage || !creditPackage.enabled) {
+const available = Object.values(CREDIT_PACKAGES).filter(p => p.enabled).map(p => p.id).join(', ');
+return sendError(res, new ValidationError(localizedText(
+`Paquete no válido: ${req.body?.packageId}. Disponibles: ${available}`,
+`Invalid package: ${req.body?.packageId}. Available: ${available}`
+)));
+}
+let organization = null;
+if (req.body.forOrganization === true) {
+try {
+({ organization } = await getOrgMembershipWithRole(req.user._id, ORG_MANAGER_ROLES));
+} catch (error) {
+console.error('❌ Error en POST /api/checkout:', error.message);
+return sendError(res, error);
+}
+}
+try {
+const intent = await createCheckoutIntent(req.user, creditPackage, provider, organization);
+res.status(201).json({ success: true, checkout: serializeCheckoutIntent(intent) });
+} catch (error) {
+console.error('❌ Error en POST /api/checkout:', error.message);
+sendError(res, new AppError('PAYMENT_START_FAILED', { internalMessage: error.message }));
+}
+});
+app.get('/api/checkout/:id', requireUser, async (req, res) => {
+const intentId = parseObjectId(req.params.id);
+try {
+const { checkoutIntents } = await connectToDatabase();
+const intent = intentId ? await checkoutIntents.findOne({ _id: intentId, userId: req.user._id }) : null;
+if (!intent) {
+return sendError(res, new AppError('CHECKOUT_NOT_FOUND'));
+}
+res.json({ success: true, checkout: serializeCheckoutIntent(intent) });
+} catch (error) {
+console.error('❌ Error en GET /api/checkout/:id:', error.message);
+sendError(res, error);
+}
+});
+app.post('/api/payments/webhook', async (req, res) => {
+const provider = getPaymentProvider();
+if (!provider) {
+return sendError(res, new AppError('PAYMENTS_UNAVAILABLE'));
+}
+if (!req.rawBody) {
+return sendError(res, new ValidationError(localizedText('Cuerpo del webhook vacío', 'Empty webhook body')));
+}
+try {
+const { statusCode, body } = await handlePaymentWebhook(provider, req.rawBody.toString('utf8'), req.headers);
+res.status(statusCode).json(body);
+} catch (error) {
+console.error('❌ Error procesando webhook de pago:', error.message);
+sendError(res, error);
+}
+});
+// Simula que el usuario completa (o falla) el pago en el proveedor falso.
+// Recorre el mismo camino que un webhook real, firma incluida; eventId permite probar reenvíos.
+app.post('/api/payments/fake/checkout/:id/complete', requireUser, async (req, res) => {
+const provider = getPaymentProvider();
+if (provider !== fakePaymentProvider) {
+return sendError(res, new AppError('ENDPOINT_NOT_FOUND'));
+}
+const { outcome = 'succeeded', eventId } = req.body || {};
+if (!['succeeded', 'failed'].includes(outcome)) {
+return sendError(res, new ValidationError(localizedText('outcome debe ser "succeeded" o "failed"', 'outcome must be "succeeded" or "failed"')));
+}
+const intentId = parseObjectId(req.params.id);
+try {
+const { checkoutIntents } = await connectToDatabase();
+const intent = intentId ? await checkoutIntents.findOne({ _id: intentId, userId: req.user._id }) : null;
+if (!intent) {
+return sendError(res, new AppError('CHECKOUT_NOT_FOUND'));
+}
+const { rawBody, headers } = provider.buildWebhook(intent, `payment.${outcome}`, eventId);
+const { statusCode, body } = await handlePaymentWebhook(provider, rawBody, headers);
+const updated = await checkoutIntents.findOne({ _id: intent._id });
+res.status(statusCode).json({ ...body, checkout: serializeCheckoutIntent(updated) });
+} catch (error) {
+console.error('❌ Error en el checkout falso:', error.message);
+sendError(res, error);
+}
+});
+// ========================================
+// ORGANIZACIONES DEL USUARIO
+// ========================================
+// Cualquier miembro ve su organización; owner y admin gestionan miembros,
+// invitaciones y el reparto del gasto. Solo el owner puede nombrar o quitar admins.
+function requireOrgRole(roles) {
+return async (req, res, next) => {
+try {
+req.membership = await getOrgMembershipWithRole(req.user._id, roles);
+next();
+} catch (error) {
+sendError(res, error);
+}
+};
+}
+// Devuelve el valor de monthlyCap (null = sin tope) o undefined si no es válido
+function parseMonthlyCap(value) {
+if (value === undefined || value === null) return null;
+return Number.isInteger(value) && value > 0 ? value : undefined;
+}
+app.get('/api/org', requireUser, requireOrgRole(ORG_ROLES), (req, res) => {
+res.json({ success: true, organization: serializeMembership(req.membership) });
+});
+app.get('/api/org/members', requireUser, requireOrgRole(ORG_MANAGER_ROLES), async (req, res) => {
+try {
+const { orgMembers, users } = await connectToDatabase();
+const members = await orgMembers.find({ orgId: req.membership.organization._id }).sort({ createdAt: 1 }).toArray();
+const profiles = await users.find(
+{ _id: { $in: members.map(member => member.userId) } },
+{ projection: { name: 1, email: 1 } }
+).toArray();
+const profileById = new Map(profiles.map(profile => [profile._id.toString(), profile]));
+res.json({
+success: true,
+members: members.map(member => serializeOrgMember(member, profileById.get(member.userId.toString())))
+});
+} catch (error) {
+console.error('❌ Error en GET /api/org/members:', error.message);
+sendError(res, error);
+}
+});
+// Cambia el rol (admin/member) o el tope mensual de un miembro
+app.patch('/api/org/members/:userId', requireUser, requireOrgRole(ORG_MANAGER_ROLES), async (req, res) => {
+const { role, monthlyCap } = req.body || {};
+const $set = {};
+if (role !== undefined) {
+if (!['admin', 'member'].includes(role)) {
+return sendError(res, new ValidationError(localizedText('role debe ser "admin" o "member"', 'role must be "admin" or "member"')));
+}
+$set.role = role;
+}
+if (monthlyCap !== undefined) {
+const cap = parseMonthlyCap(monthlyCap);
+if (cap === undefined) {
+return sendError(res, new ValidationError(localizedText('monthlyCap debe ser un entero positivo o null', 'monthlyCap must be a positive integer or null')));
+}
+$set.monthlyCap = cap;
+}
+if (Object.keys($set).length === 0) {
+return sendError(res, new ValidationError(localizedText('Indica role y/o monthlyCap', 'Provide role and/or monthlyCap')));
+}
+const userId = parseObjectId(req.params.userId);
+try {
+const { orgMembers } = await connectToDatabase();
+const { organization, member: actor } = req.membership;
+const target = userId ? await orgMembers.findOne({ orgId: organization._id, userId }) : null;
+if (!target) {
+return sendError(res, new AppError('MEMBER_NOT_FOUND'));
+}
+if (target.role === 'owner' && $set.role) {
+return sendError(res, new ValidationError(localizedText('El rol del propietario no se puede cambiar', 'The owner role cannot be changed')));
+}
+if (actor.role !== 'owner' && (target.role !== 'member' || $set.role === 'admin')) {
+return sendError(res, new AppError('ORG_ROLE_REQUIRED', { params: { roles: 'owner' } }));
+}
+const updated = await orgMembers.findOneAndUpdate({ _id: target._id }, { $set }, { returnDocument: 'after' });
+console.log(`🏢 Miembro ${userId.toString()} actualizado en la organización ${organization._id.toString()}`);
+res.json({ success: true, member: serializeOrgMember(updated) });
+} catch (error) {
+console.error('❌ Error en PATCH /api/org/members/:userId:', error.message);
+sendError(res, error);
+}
+});
+// Un miembro puede salir por su cuenta; el propietario nunca se elimina
+app.delete('/api/org/members/:userId', requireUser, requireOrgRole(ORG_ROLES), async (req, res) => {
+const userId = parseObjectId(req.params.userId);
+try {
+const { orgMembers } = await connectToDatabase();
+const { organization, member: actor } = req.membership;
+const target = userId ? await orgMembers.findOne({ orgId: organization._id, userId }) : null;
+if (!target) {
+return sendError(res, new AppError('MEMBER_NOT_FOUND'));
+}
+if (target.role === 'owner') {
+return sendError(res, new ValidationError(localizedText('El propietario no se puede eliminar de la organización', 'The owner cannot be removed from the organization')));
+}
+const leaving = target.userId.equals(actor.userId);
+if (!leaving && (!ORG_MANAGER_ROLES.includes(actor.role) || (actor.role !== 'owner' && target.role !== 'member'))) {
+const roles = ORG_MANAGER_ROLES.includes(actor.role) ? 'owner' : ORG_MANAGER_ROLES.join('/');
+return sendError(res, new AppError('ORG_ROLE_REQUIRED', { params: { roles } }));
+}
+await orgMembers.deleteOne({ _id: target._id });
+console.log(`👋 Usuario ${userId.toString()} ${leaving ? 'salió de' : 'eliminado de'} la organización ${organization._id.toString()}`);
+res.json({ success: true, userId: userId.toString() });
+} catch (error) {
+console.error('❌ Error en DELETE /api/org/members/:userId:', error.message);
+sendError(res, error);
+}
+});
+app.get('/api/org/invitations', requireUser, requireOrgRole(ORG_MANAGER_ROLES), async (req, res) => {
+try {
+const { orgInvitations } = await connectToDatabase();
+const invitations = await orgInvitations
+.find({ orgId: req.membership.organization._id, status: 'pending', expiresAt: { $gt: new Date() } })
+.sort({ createdAt: -1 })
+.toArray();
+res.json({ success: true, invitations: invitations.map(serializeOrgInvitation) });
+} catch (error) {
+console.error('❌ Error en GET /api/org/invitations:', error.message);
+sendError(res, error);
+}
+});
+// Crea un código de invitación de un solo uso; con email, solo ese usuario puede canjearlo
+app.post('/api/org/invitations', requireUser, requireOrgRole(ORG_MANAGER_ROLES), async (req, res) => {
+const { role = 'member', monthlyCap, email } = req.body || {};
+if (!['admin', 'member'].includes(role)) {
+return sendError(res, new ValidationError(localizedText('role debe ser "admin" o "member"', 'role must be "admin" or "member"')));
+}
+if (role === 'admin' && req.membership.member.role !== 'owner') {
+return sendError(res, new AppError('ORG_ROLE_REQUIRED', { params: { roles: 'owner' } }));
+}
+const cap = parseMonthlyCap(monthlyCap);
+if (cap === undefined) {
+return sendError(res, new ValidationError(localizedText('monthlyCap debe ser un entero positivo o null', 'monthlyCap must be a positive integer or null')));
+}
+if (email !== undefined && (typeof email !== 'string' || email.trim() === '')) {
+return sendError(res, new ValidationError(localizedText('email debe ser texto', 'email must be a string')));
+}
+try {
+const { code, invitation } = await createOrgInvitation(req.membership.organization, req.user._id, {
+role,
+monthlyCap: cap,
+email: email?.trim()
+});
+res.status(201).json({
+success: true,
+// El código completo solo se muestra en este momento
+code,
+invitation: serializeOrgInvitation(invitation)
+});
+} catch (error) {
+console.error('❌ Error en POST /api/org/invitations:', error.message);
+sendError(res, error);
+}
+});
+app.delete('/api/org/invitations/:id', requireUser, requireOrgRole(ORG_MANAGER_ROLES), async (req, res) => {
+const invitationId = parseObjectId(req.params.id);
+try {
+const { orgInvitations } = await connectToDatabase();
+const result = invitationId
+? await orgInvitations.updateOne(
+{ _id: invitationId, orgId: req.membership.organization._id, status: 'pending' },
+{ $set: { status: 'revoked', revokedAt: new Date() } }
+)
+: { modifiedCount: 0 };
+if (result.modifiedCount === 0) {
+return sendError(res, new AppError('INVITATION_INVALID'));
+}
+res.json({ success: true, invitationId: invitationId.toString() });
+} catch (error) {
+console.error('❌ Error en DELETE /api/org/invitations/:id:', error.message);
+sendError(res, error);
+}
+});
+app.post('/api/org/invitations/accept', requireUser, async (req, res) => {
+const { code } = req.body || {};
+if (!code || typeof code !== 'string') {
+return sendError(res, new ValidationError(localizedText('code es obligatorio', 'code is required')));
+}
+try {
+await acceptOrgInvitation(req.user, code.trim());
+const membership = await findOrgMembership(req.user._id);
+res.json({ success: true, organization: serializeMembership(membership) });
+} catch (error) {
+console.error('❌ Error en POST /api/org/invitations/accept:', error.message);
+sendError(res, error);
+}
+});
+// Gasto del mes (month=YYYY-MM, por defecto el actual) desglosado por miembro
+app.get('/api/org/usage', requireUser, requireOrgRole(ORG_MANAGER_ROLES), async (req, res) => {
+const period = req.query.month ? String(req.query.month) : getUsagePeriod();
+if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period)) {
+return sendError(res, new ValidationError(localizedText('month debe tener el formato YYYY-MM', 'month must use the YYYY-MM format')));
+}
+try {
+const usage = await summarizeOrgUsage(req.membership.organization._id, period);
+res.json({ success: true, orgId: req.membership.organization._id.toString(), ...usage });
+} catch (error) {
+console.error('❌ Error en GET /api/org/usage:', error.message);
+sendError(res, error);
+}
+});
+// ========================================
+// GESTIÓN DE TOKENS PROPIOS
+// ========================================
+// Permite rotar claves: crear un token nuevo, actualizar las instalaciones
+// y después revocar el anterior sin cortar el servicio. Si el token que hace la
+// petición caduca, el nuevo caduca como muy tarde a la vez que él.
+app.get('/api/tokens', requireUser, async (req, res) => {
+try {
+const { tokens } = await connectToDatabase();
+const userTokens = await tokens.find({ userId: req.user._id }).sort({ createdAt: -1 }).toArray();
+res.json({
+success: true,
+currentTokenId: req.user.currentToken._id.toString(),
+tokens: userTokens.map(serializeToken)
+});
+} catch (error) {
+console.error('❌ Error en GET /api/tokens:', error.message);
+sendError(res, error);
+}
+});
+app.post('/api/tokens', requireUser, async (req, res) => {
+const { label, expiresInDays } = req.body || {};
+let expiresAt = parseTokenExpiry(expiresInDays);
+if (expiresAt === undefined) {
+return sendError(res, new ValidationError(localizedText(
+'expiresInDays debe ser un entero entre 1 y 3650',
+'expiresInDays must be an integer between 1 and 3650'
+)));
+}
+const callerExpiresAt = req.user.currentToken?.expiresAt || null;
+if (callerExpiresAt && (!expiresAt || expiresAt > callerExpiresAt)) {
+console.log(`⏳ Caducidad del token nuevo limitada a la del token que lo crea (${callerExpiresAt.toISOString()})`);
+expiresAt = callerExpiresAt;
+}
+try {
+const { token, tokenDoc } = await issueUserToken(req.user._id, { label, expiresAt });
+res.status(201).json({
+success: true,
+// El token completo solo se muestra en este momento
+token,
+tokenInfo: serializeToken(tokenDoc)
+});
+} catch (error) {
+console.error('❌ Error en POST /api/tokens:', error.message);
+sendError(res, error);
+}
+});
+app.delete('/api/tokens/:id', requireUser, async (req, res) => {
+const tokenId = parseObjectId(req.params.id);
+if (!tokenId) {
+return sendError(res, new AppError('ACCESS_TOKEN_NOT_FOUND'));
+}
+try {
+const revoked = await revokeUserTokens(req.user._id, tokenId);
+if (revoked === 0) {
+return sendError(res, new AppError('ACCESS_TOKEN_NOT_FOUND'));
+}
+res.json({ success: true, tokenId: tokenId.toString() });
+} catch (error) {
+console.error('❌ Error en DELETE /api/tokens/:id:', error.message);
+sendError(res, error);
+}
+});
+// ========================================
+// PREFERENCIAS DEL USUARIO
+// ========================================
+app.put('/api/preferences', requireUser, async (req, res) => {
+const { language } = req.body || {};
+if (!SUPPORTED_INSTRUCTION_LANGUAGES.includes(language)) {
+return sendError(res, new ValidationError(localizedText(
+`Idioma no soportado: ${language}. Disponibles: ${SUPPORTED_INSTRUCTION_LANGUAGES.join(', ')}`,
+`Unsupported language: ${language}. Available: ${SUPPORTED_INSTRUCTION_LANGUAGES.join(', ')}`
+)));
+}
+try {
+const { users } = await connectToDatabase();
+await users.updateOne({ _id: req.user._id }, { $set: { preferredLanguage: language } });
+res.json({ success: true, preferredLanguage: language });
+} catch (error) {
+console.error('❌ Error en PUT /api/preferences:', error.message);
+sendError(res, error);
+}
+});
+// ========================================
+// API DE ADMINISTRACIÓN
+// ========================================
+// Protegida con ADMIN_API_KEY enviada en el header X-Admin-Key.
+// Si la variable no está configurada, la API de administración queda deshabilitada.
+function requireAdmin(req, res, next) {
+const adminKey = process.env.ADMIN_API_KEY;
+if (!adminKey) {
+return sendError(res, new AppError('SERVICE_UNAVAILABLE', {
+messages: localizedText('API de administración deshabilitada: configura ADMIN_API_KEY', 'Admin API disabled: configure ADMIN_API_KEY')
+}));
+}
+const provided = req.headers['x-admin-key'];
+const expectedHash = crypto.createHash('sha256').update(adminKey).digest();
+const providedHash = crypto.createHash('sha256').update(typeof provided === 'string' ? provided : '').digest();
+if (!provided || !crypto.timingSafeEqual(expectedHash, providedHash)) {
+console.warn(`⚠️ Acceso de administración rechazado: ${req.method} ${req.url}`);
+return sendError(res, new AppError('UNAUTHORIZED', {
+messages: localizedText('Credencial de administrador inválida', 'Invalid admin credential')
+}));
+}
+next();
+}
+function serializeAdminUser(user) {
+return {
+userId: user._id.toString(),
+email: user.email || null,
+name: user.name || null,
+disabled: !!user.disabled,
+creditsBalance: user.creditsBalance || 0,
+creditsHeld: user.creditsHeld || 0,
+rateLimits: getUserLimits(user),
+...serializeUserPlan(user),
+createdAt: user.createdAt || null,
+lastLogin: user.lastLogin || null
+};
+}
+// Busca el usuario de :id; si no existe lanza USER_NOT_FOUND
+async function findAdminTargetUser(req) {
+const userId = parseObjectId(req.params.id);
+const { users } = await connectToDatabase();
+const user = userId ? await users.findOne({ _id: userId }) : null;
+if (!user) {
+throw new AppError('USER_NOT_FOUND');
+}
+return user;
+}
+function sendAdminError(res, route, error) {
+console.error(`❌ Error en ${route}:`, error.message);
+sendError(res, error);
+}
+app.post('/api/admin/users', requireAdmin, async (req, res) => {
+const { email, name, initialCredits = 0, tokenLabel, expiresInDays } = req.body || {};
+if (!Number.isInteger(initialCredits) || initialCredits < 0) {
+return sendError(res, new ValidationError(localizedText(
+'initialCredits debe ser un entero mayor o igual a 0',
+'initialCredits must be an integer greater than or equal to 0'
+)));
+}
+const expiresAt = parseTokenExpiry(expiresInDays);
+if (expiresAt === undefined) {
+return sendError(res, new ValidationError(localizedText(
+'expiresInDays debe ser un entero entre 1 y 3650',
+'expiresInDays must be an integer between 1 and 3650'
+)));
+}
+try {
+const { users } = await connectToDatabase();
+const user = {
+email: email || null,
+name: name || null,
+creditsBalance: 0,
+creditsHeld: 0,
+disabled: false,
+ledgerInitialized: true,
+createdAt: new Date()
+};
+const result = await users.insertOne(user);
+user._id = result.insertedId;
+const { token, tokenDoc } = await issueUserToken(user._id, { label: tokenLabel, expiresAt });
+if (initialCredits > 0) {
+const grant = await grantCredits(user._id, initialCredits, 'initial_grant', { grantedBy: 'admin' });
+user.creditsBalance = grant.balanceAfter;
+}
+console.log(`👤 Usuario creado por admin: ${user._id.toString()} (${initialCredits} créditos)`);
+res.status(201).json({
+success: true,
+user: serializeAdminUser(user),
+// El token completo solo se muestra en este momento
+token,
+tokenInfo: serializeToken(tokenDoc)
 });
-parts.push({
-inline_data: {
-mime_type: ref.mimeType,
-data: ref.data
+} catch (error) {
+sendAdminError(res, 'POST /api/admin/users', error);
 }
 });
+app.get('/api/admin/users', requireAdmin, async (req, res) => {
+const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+const filter = {};
+if (req.query.after) {
+const afterId = parseObjectId(req.query.after);
+if (!afterId) {
+return sendError(res, new AppError('INVALID_PARAMETER', { params: { param: 'after' } }));
 }
+filter._id = { $lt: afterId };
 }
-// Imágenes específicas según operación
-if (operation === 'inpaint' && maskImage && baseImage) {
-// Máscara
-if (maskImage?.data && maskImage?.mimeType) {
-parts.push({ text: "MASK: Define el área a modificar. BLANCO = zona a modificar, NEGRO = zona a conservar intacta." });
-parts.push({
-inline_data: {
-mime_type: maskImage.mimeType,
-data: maskImage.data
+if (req.query.disabled !== undefined) {
+filter.disabled = req.query.disabled === 'true' ? true : { $ne: true };
 }
+try {
+const { users } = await connectToDatabase();
+const page = await users.find(filter).sort({ _id: -1 }).limit(limit + 1).toArray();
+const hasMore = page.length > limit;
+const items = page.slice(0, limit);
+res.json({
+success: true,
+users: items.map(serializeAdminUser),
+nextCursor: hasMore ? items[items.length - 1]._id.toString() : null
 });
-}
-// Imagen base
-if (baseImage?.data && baseImage?.mimeType) {
-parts.push({ text: "BASE_CROP: La imagen principal que DEBES editar. Es la última imagen antes de este texto." });
-parts.push({
-inline_data: {
-mime_type: baseImage.mimeType,
-data: baseImage.data
+} catch (error) {
+sendAdminError(res, 'GET /api/admin/users', error);
 }
 });
+app.get('/api/admin/users/:id', requireAdmin, async (req, res) => {
+try {
+const user = await findAdminTargetUser(req);
+res.json({ success: true, user: serializeAdminUser(user) });
+} catch (error) {
+sendAdminError(res, 'GET /api/admin/users/:id', error);
 }
+});
+app.post('/api/admin/users/:id/disable', requireAdmin, async (req, res) => {
+try {
+const user = await findAdminTargetUser(req);
+const { users } = await connectToDatabase();
+await users.updateOne({ _id: user._id }, { $set: { disabled: true, disabledAt: new Date() } });
+console.log(`🚫 Usuario ${user._id.toString()} deshabilitado por admin`);
+res.json({ success: true, user: serializeAdminUser({ ...user, disabled: true }) });
+} catch (error) {
+sendAdminError(res, 'POST /api/admin/users/:id/disable', error);
 }
-else if (operation === 'edit' && baseImage) {
-if (baseImage?.data && baseImage?.mimeType) {
-parts.push({ text: "BASE_IMAGE: imagen a editar sin selección activa." });
-parts.push({
-inline_data: {
-mime_type: baseImage.mimeType,
-data: baseImage.data
+});
+app.post('/api/admin/users/:id/enable', requireAdmin, async (req, res) => {
+try {
+const user = await findAdminTargetUser(req);
+const { users } = await connectToDatabase();
+await users.updateOne({ _id: user._id }, { $set: { disabled: false }, $unset: { disabledAt: '' } });
+console.log(`✅ Usuario ${user._id.toString()} habilitado por admin`);
+res.json({ success: true, user: serializeAdminUser({ ...user, disabled: false }) });
+} catch (error) {
+sendAdminError(res, 'POST /api/admin/users/:id/enable', error);
 }
 });
+// Sobrescribe los límites de uso del usuario; null elimina la sobrescritura
+app.put('/api/admin/users/:id/limits', requireAdmin, async (req, res) => {
+const body = req.body || {};
+const $set = {};
+const $unset = {};
+for (const field of ['requestsPerMinute', 'maxConcurrentGenerations']) {
+if (!(field in body)) continue;
+if (body[field] === null) {
+$unset[`rateLimits.${field}`] = '';
+} else if (Number.isInteger(body[field]) && body[field] >= (field === 'maxConcurrentGenerations' ? 1 : 0)) {
+$set[`rateLimits.${field}`] = body[field];
+} else {
+return sendError(res, new ValidationError(localizedText(
+`${field} debe ser un entero válido o null`,
+`${field} must be a valid integer or null`
+)));
 }
 }
-// Prompt del usuario
-parts.push({ text: `PROMPT_USUARIO:
-${prompt}` });
-// Configuración de generación
-const genConfig = {
-responseModalities: ["IMAGE"],
-candidateCount: 1 // Siempre 1 imagen por solicitud
-};
-// Configuración específica por modelo
-if (model === "gemini-2.5-flash-image" && aspectRatio) {
-genConfig.imageConfig = { aspectRatio };
+try {
+const user = await findAdminTargetUser(req);
+const { users } = await connectToDatabase();
+const update = {};
+if (Object.keys($set).length > 0) update.$set = $set;
+if (Object.keys($unset).length > 0) update.$unset = $unset;
+const updated = Object.keys(update).length > 0
+? await users.findOneAndUpdate({ _id: user._id }, update, { returnDocument: 'after' })
+: user;
+console.log(`🚦 Límites actualizados por admin para usuario ${user._id.toString()}`);
+res.json({ success: true, user: serializeAdminUser(updated) });
+} catch (error) {
+sendAdminError(res, 'PUT /api/admin/users/:id/limits', error);
 }
-else if (model === "gemini-3-pro-image-preview") {
-const imgCfg = {};
-if (aspectRatio) imgCfg.aspectRatio = aspectRatio;
-if (resolution) imgCfg.imageSize = resolution;
-if (Object.keys(imgCfg).length > 0) {
-genConfig.imageConfig = imgCfg;
+});
+app.get('/api/admin/users/:id/tokens', requireAdmin, async (req, res) => {
+try {
+const user = await findAdminTargetUser(req);
+const { tokens } = await connectToDatabase();
+const userTokens = await tokens.find({ userId: user._id }).sort({ createdAt: -1 }).toArray();
+res.json({ success: true, userId: user._id.toString(), tokens: userTokens.map(serializeToken) });
+} catch (error) {
+sendAdminError(res, 'GET /api/admin/users/:id/tokens', error);
 }
+});
+// Emite un token adicional; los tokens existentes siguen funcionando
+app.post('/api/admin/users/:id/tokens', requireAdmin, async (req, res) => {
+const { label, expiresInDays } = req.body || {};
+const expiresAt = parseTokenExpiry(expiresInDays);
+if (expiresAt === undefined) {
+return sendError(res, new ValidationError(localizedText(
+'expiresInDays debe ser un entero entre 1 y 3650',
+'expiresInDays must be an integer between 1 and 3650'
+)));
 }
-console.log(`🚀 Llamando a Gemini API con modelo: ${model}, operación: ${operation}`);
-console.log(`📝 Prompt: "${prompt.substring(0, 50)}${prompt.length > 50 ? '...' : ''}"`);
-// Llamada a API con timeout
-const controller = new AbortController();
-const timeoutId = setTimeout(() => controller.abort(), 90000); // 90 segundos
 try {
-// Asegurarse de que fetch esté disponible
-if (typeof fetch !== 'function') {
-throw new Error('La función fetch no está disponible. Verifica la instalación de node-fetch.');
-}
-const response = await fetch(
-`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${process.env.GEMINI_API_KEY}`,
-{
-method: 'POST',
-headers: { 'Content-Type': 'application/json' },
-body: JSON.stringify({
-contents: [{ parts }],
-generationConfig: genConfig
-}),
-signal: controller.signal
+const user = await findAdminTargetUser(req);
+const { token, tokenDoc } = await issueUserToken(user._id, { label, expiresAt });
+res.status(201).json({ success: true, userId: user._id.toString(), token, tokenInfo: serializeToken(tokenDoc) });
+} catch (error) {
+sendAdminError(res, 'POST /api/admin/users/:id/tokens', error);
 }
-);
-clearTimeout(timeoutId);
-if (!response.ok) {
-let errorData;
+});
+// Revoca todos los tokens del usuario
+app.delete('/api/admin/users/:id/tokens', requireAdmin, async (req, res) => {
 try {
-errorData = await response.json();
-} catch (parseError) {
-errorData = { error: { message: `Error ${response.status}: ${response.statusText}` } };
+const user = await findAdminTargetUser(req);
+const revoked = await revokeUserTokens(user._id);
+res.json({ success: true, userId: user._id.toString(), revoked });
+} catch (error) {
+sendAdminError(res, 'DELETE /api/admin/users/:id/tokens', error);
 }
-const errorMessage = errorData.error?.message || `Error ${response.status}: ${response.statusText}`;
-console.error(`❌ Error de Gemini API (${response.status}):`, errorMessage);
-// Errores específicos de contenido inseguro
-if (errorMessage.includes('unsafe content') || errorMessage.includes('safety')) {
-throw new Error('Contenido rechazado por políticas de seguridad. Intenta con un prompt diferente.');
+});
+app.delete('/api/admin/users/:id/tokens/:tokenId', requireAdmin, async (req, res) => {
+const tokenId = parseObjectId(req.params.tokenId);
+if (!tokenId) {
+return sendError(res, new AppError('ACCESS_TOKEN_NOT_FOUND'));
 }
-throw new Error(`Error de Gemini API: ${errorMessage}`);
+try {
+const user = await findAdminTargetUser(req);
+const revoked = await revokeUserTokens(user._id, tokenId);
+if (revoked === 0) {
+return sendError(res, new AppError('ACCESS_TOKEN_NOT_FOUND'));
 }
-const data = await response.json();
-console.log('✅ Respuesta exitosa de Gemini API');
-const candidate = data.candidates?.[0];
-if (!candidate) {
-throw new Error('No se obtuvo candidato en la respuesta de Gemini');
+res.json({ success: true, userId: user._id.toString(), tokenId: tokenId.toString() });
+} catch (error) {
+sendAdminError(res, 'DELETE /api/admin/users/:id/tokens/:tokenId', error);
 }
-if (candidate.finishReason === 'IMAGE_SAFETY') {
-console.warn('⚠️ Imagen rechazada por motivos de seguridad');
-throw new Error('La imagen fue rechazada por políticas de seguridad. Modifica tu prompt.');
+});
+// Abona (amount > 0) o retira (amount < 0) créditos, siempre con un motivo
+app.post('/api/admin/users/:id/credits', requireAdmin, async (req, res) => {
+const { amount, reason } = req.body || {};
+if (!Number.isInteger(amount) || amount === 0) {
+return sendError(res, new ValidationError(localizedText(
+'amount debe ser un entero distinto de cero',
+'amount must be a non-zero integer'
+)));
 }
-const imagePart = candidate.content?.parts?.find(p => p.inlineData?.data);
-if (!imagePart) {
-throw new Error('No se encontró imagen en la respuesta de Gemini');
+if (!reason || typeof reason !== 'string' || reason.trim() === '') {
+return sendError(res, new ValidationError(localizedText(
+'reason es obligatorio',
+'reason is required'
+)));
 }
-return {
-dataUrl: `${imagePart.inlineData.mimeType};base64,${imagePart.inlineData.data}`,
-candidate
-};
+try {
+const user = await findAdminTargetUser(req);
+const grant = await grantCredits(user._id, amount, reason.trim().substring(0, 200), { grantedBy: 'admin' });
+res.json({
+success: true,
+userId: user._id.toString(),
+ledgerEntryId: grant.entryId.toString(),
+creditsBalance: grant.balanceAfter
+});
 } catch (error) {
-clearTimeout(timeoutId);
-if (error.name === 'AbortError') {
-console.error('⏰ Timeout excedido en llamada a Gemini API (90 segundos)');
-throw new Error('La generación de imagen tardó demasiado. Intenta con un prompt más simple.');
+sendAdminError(res, 'POST /api/admin/users/:id/credits', error);
 }
-throw error;
+});
+app.put('/api/admin/users/:id/plan', requireAdmin, async (req, res) => {
+const plan = PLANS[req.body?.planId];
+if (!plan || !plan.enabled) {
+const available = Object.values(PLANS).filter(p => p.enabled).map(p => p.id).join(', ');
+return sendError(res, new ValidationError(localizedText(
+`Plan no válido: ${req.body?.planId}. Disponibles: ${available}`,
+`Invalid plan: ${req.body?.planId}. Available: ${available}`
+)));
 }
+try {
+const user = await findAdminTargetUser(req);
+const updated = await assignPlan(user._id, plan);
+console.log(`📅 Usuario ${user._id.toString()} suscrito al plan ${plan.id}`);
+res.json({ success: true, user: serializeAdminUser(updated) });
 } catch (error) {
-console.error('❌ Error generando imagen con Gemini:', error.message);
-throw error;
-}
+sendAdminError(res, 'PUT /api/admin/users/:id/plan', error);
 }
-// ========================================
-// ENDPOINTS
-// ========================================
-app.post('/api/auth/verify-token', async (req, res) => {
-const { token } = req.body;
-console.log(`🔐 Solicitud de verificación de token recibida${token ? ` (token: ${token.substring(0, 10)}...)` : ''}`);
+});
+app.delete('/api/admin/users/:id/plan', requireAdmin, async (req, res) => {
 try {
-if (!token) {
-return res.status(400).json({
-success: false,
-message: 'Token requerido en el cuerpo de la solicitud'
+const user = await findAdminTargetUser(req);
+// Los créditos ya abonados se mantienen hasta su caducidad
+const updated = await cancelPlan(user._id);
+if (!updated) {
+return sendError(res, new AppError('NO_ACTIVE_PLAN'));
+}
+console.log(`📅 Plan cancelado para usuario ${user._id.toString()}`);
+res.json({ success: true, user: serializeAdminUser(updated) });
+} catch (error) {
+sendAdminError(res, 'DELETE /api/admin/users/:id/plan', error);
+}
 });
+app.get('/api/admin/users/:id/ledger', requireAdmin, async (req, res) => {
+const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+try {
+const user = await findAdminTargetUser(req);
+const filter = { userId: user._id, orgId: null };
+if (req.query.before) {
+const beforeId = parseObjectId(req.query.before);
+if (!beforeId) {
+return sendError(res, new AppError('INVALID_PARAMETER', { params: { param: 'before' } }));
 }
-const user = await verifyUserToken(token);
-console.log(`✅ Token verificado para usuario ID: ${user._id.toString()}, créditos: ${user.creditsBalance}`);
+filter._id = { $lt: beforeId };
+}
+const { ledger } = await connectToDatabase();
+const page = await ledger.find(filter).sort({ _id: -1 }).limit(limit + 1).toArray();
+const hasMore = page.length > limit;
+const entries = page.slice(0, limit);
+// Auditoría: el saldo cacheado debe coincidir con el reconstruido desde el ledger
+const rebuilt = await computeLedgerBalance(user._id);
 res.json({
 success: true,
 userId: user._id.toString(),
-creditsBalance: user.creditsBalance
+balance: {
+cached: { available: user.creditsBalance || 0, held: user.creditsHeld || 0 },
+rebuilt: { available: rebuilt.available, held: rebuilt.held },
+consistent: rebuilt.available === (user.creditsBalance || 0) && rebuilt.held === (user.creditsHeld || 0)
+},
+entries: entries.map(entry => ({ ...entry, _id: entry._id.toString() })),
+nextCursor: hasMore ? entries[entries.length - 1]._id.toString() : null
 });
 } catch (error) {
-console.error('❌ Error en /api/auth/verify-token:', error.message);
-const statusCode = error.message.includes('Usuario no encontrado') ? 404 :
-error.message.includes('Token inválido') ? 400 : 500;
-res.status(statusCode).json({
-success: false,
-message: error.message || 'Error interno del servidor'
-});
+sendAdminError(res, 'GET /api/admin/users/:id/ledger', error);
 }
 });
-const MODEL_COSTS = {
-"gemini-2.5-flash-image": 8,
-"gemini-3-pro-image-preview": 32
-};
-app.post('/api/generate', async (req, res) => {
-const authHeader = req.headers['authorization'];
-const token = authHeader?.split(' ')[1];
-console.log(`🎨 Solicitud de generación de imagen${token ? ` (token: ${token.substring(0, 10)}...)` : ''}`);
-if (!token) {
-return res.status(401).json({
-success: false,
-message: 'Token de acceso requerido en header Authorization'
-});
+// Crea una organización con un usuario existente como propietario
+app.post('/api/admin/orgs', requireAdmin, async (req, res) => {
+const { name, ownerUserId, initialCredits = 0 } = req.body || {};
+if (!name || typeof name !== 'string' || name.trim() === '') {
+return sendError(res, new ValidationError(localizedText('name es obligatorio', 'name is required')));
 }
-let user = null;
-let operationType = req.body.operation || 'generate';
+if (!Number.isInteger(initialCredits) || initialCredits < 0) {
+return sendError(res, new ValidationError(localizedText('initialCredits debe ser un entero mayor o igual a 0', 'initialCredits must be an integer greater than or equal to 0')));
+}
+const ownerId = parseObjectId(ownerUserId);
 try {
-user = await verifyUserToken(token);
-console.log(`👤 Usuario autenticado: ID ${user._id.toString()}, créditos disponibles: ${user.creditsBalance}`);
-const payload = req.body;
-const model = payload.model;
-const prompt = payload.prompt;
-// Validar payload
-if (!model || !prompt) {
-return res.status(400).json({
-success: false,
-message: 'Modelo y prompt son requeridos'
+const { users } = await connectToDatabase();
+const owner = ownerId ? await users.findOne({ _id: ownerId }) : null;
+if (!owner) {
+return sendError(res, new AppError('USER_NOT_FOUND'));
+}
+const organization = await createOrganization({ name: name.trim().substring(0, 100), owner });
+if (initialCredits > 0) {
+const grant = await grantOrgCredits(organization._id, initialCredits, 'initial_grant', { grantedBy: 'admin' });
+organization.creditsBalance = grant.balanceAfter;
+}
+res.status(201).json({ success: true, organization: serializeOrganization(organization) });
+} catch (error) {
+sendAdminError(res, 'POST /api/admin/orgs', error);
+}
 });
+app.get('/api/admin/orgs/:id', requireAdmin, async (req, res) => {
+const orgId = parseObjectId(req.params.id);
+try {
+const { organizations, orgMembers } = await connectToDatabase();
+const organization = orgId ? await organizations.findOne({ _id: orgId }) : null;
+if (!organization) {
+return sendError(res, new AppError('ORG_NOT_FOUND'));
 }
-if (!MODEL_COSTS[model]) {
-return res.status(400).json({
-success: false,
-message: `Modelo no válido: ${model}. Modelos disponibles: ${Object.keys(MODEL_COSTS).join(', ')}`
+const [members, rebuilt] = await Promise.all([
+orgMembers.find({ orgId }).sort({ createdAt: 1 }).toArray(),
+computeOrgLedgerBalance(orgId)
+]);
+res.json({
+success: true,
+organization: serializeOrganization(organization),
+// Auditoría del fondo, igual que en /api/admin/users/:id/ledger
+balance: {
+cached: { available: organization.creditsBalance || 0, held: organization.creditsHeld || 0 },
+rebuilt: { available: rebuilt.available, held: rebuilt.held },
+consistent: rebuilt.available === (organization.creditsBalance || 0) && rebuilt.held === (organization.creditsHeld || 0)
+},
+members: members.map(member => serializeOrgMember(member))
 });
+} catch (error) {
+sendAdminError(res, 'GET /api/admin/orgs/:id', error);
 }
-const costPerImage = MODEL_COSTS[model];
-// Se deducirá 1 crédito por llamada (siempre generamos 1 imagen por llamada)
-const totalCost = costPerImage;
-console.log(`💰 Costo de operación: ${totalCost} créditos. Créditos disponibles: ${user.creditsBalance}`);
-if (user.creditsBalance < totalCost) {
-return res.status(400).json({
-success: false,
-message: `Créditos insuficientes. Necesitas ${totalCost} créditos, pero solo tienes ${user.creditsBalance}.`
 });
+// Abona (amount > 0) o retira (amount < 0) créditos del fondo de la organización
+app.post('/api/admin/orgs/:id/credits', requireAdmin, async (req, res) => {
+const { amount, reason } = req.body || {};
+if (!Number.isInteger(amount) || amount === 0) {
+return sendError(res, new ValidationError(localizedText('amount debe ser un entero distinto de cero', 'amount must be a non-zero integer')));
 }
-// Seleccionar instrucción según operación
-let instruction = '';
-switch (operationType) {
-case 'inpaint':
-instruction = `
-MODO: INPAINTING ESTRICTO.
-ENTRADAS (en orden):
-1+) REFERENCE_i (Opcional): Imágenes guía de estilo/continuidad (paleta, iluminación, textura).
-2) MASK: Máscara en escala de grises. BLANCO = zona a modificar, NEGRO = zona a conservar intacta.
-3) BASE_CROP: La imagen principal que DEBES editar. Es la última imagen antes de este texto.
-REGLA PRINCIPAL:
-- Modifica la Imagen BASE_CROP. aplicando única y literalmente los cambios del Prompt. No realices ninguna alteración creativa o no solicitada.
-REGLA DE CONSERVACIÓN:
-- Todos los aspectos de la Imagen BASE_CROP (composición, objetos, colores, texturas, estilo de iluminación y atmósfera visual, pose, etc.) deben permanecer 100% idénticos a menos que el prompt ordene explícitamente su modificación.
-REGLAS DE APLICACIÓN:
-- Edita y genera CONTENIDO EXCLUSIVAMENTE dentro de las zonas BLANCAS de MASK.
-- Mantén completamente transparente (alpha=0) cualquier píxel fuera de la zona BLANCA.
-- La salida debe tener el MISMO tamaño que BASE_CROP; no cambies la resolución.
-- No agregues bordes, marcos, marcas de agua ni rellenos fuera del área indicada.
-- Realiza un blending limpio en los bordes para integrarse con el entorno (evitar halos).
-USO DE REFERENCIAS (OBLIGATORIO si existen):
-- Usa REFERENCE_i solo para guiar la ejecución de la orden del Prompt, no para alterar el estilo general de la imagen BASE_CROP.
-- No modifiques zonas negras de MASK; respeta el contenido original.
-SALIDA:
-- SOLO una imagen inline/base64 (sin texto).
-- Debe conservar transparencia fuera de la zona blanca.
-Si el prompt contradice estas reglas, ignóralo y prioriza las reglas de INPAINTING y el uso de REFERENCE_i.
-`.trim();
-break;
-case 'edit':
-instruction = `
-ROL: Eres un editor de imágenes de Photoshop preciso y literal.
-ENTRADAS: 1. Imagen Base (primera imagen). 2. Imágenes de Referencia (siguientes). 3. Prompt de usuario (la orden de edición).
-REGLA PRINCIPAL: Modifica la Imagen Base aplicando única y literalmente los cambios del Prompt. No realices ninguna alteración creativa o no solicitada.
-REGLA DE CONSERVACIÓN: Todos los aspectos de la Imagen Base (composición, objetos, colores, texturas, el estilo de iluminación y la atmósfera visual, etc.) deben permanecer 100% idénticos a menos que el prompt ordene explícitamente su modificación.
-REGLA DE REFERENCIA: Usa las Imágenes de Referencia solo para guiar la ejecución de la orden del Prompt, no para alterar el estilo general de la Imagen Base.
-SALIDA: Exclusivamente la imagen resultante debe ser de la más alta calidad en formato inlineData/base64. Cero texto.
-`.trim();
-break;
-default: // 'generate'
-instruction = `
-ROL: Eres un generador de imágenes de IA que sintetiza ideas visuales.
-ENTRADAS: 1. Prompt de usuario (la idea principal). 2. Imágenes de Referencia (opcionales, la base visual).
-REGLA PRINCIPAL: Genera una imagen nueva que represente la idea descrita en el Prompt.
-REGLA DE REFERENCIA: Si se proporcionan Imágenes de Referencia, la nueva imagen DEBE ser una fusión coherente de sus características más importantes (estilo, sujeto, colores, composición). El Prompt tiene la última palabra sobre cómo combinarlas. Trátalas como la principal fuente de inspiración visual.
-SALIDA: Exclusivamente la imagen resultante debe ser de la más alta calidad en formato inlineData/base64. Cero texto, descripciones o confirmaciones.
-`.trim();
+if (!reason || typeof reason !== 'string' || reason.trim() === '') {
+return sendError(res, new ValidationError(localizedText('reason es obligatorio', 'reason is required')));
 }
-// Generar imagen
-const result = await generateImageWithGemini(payload, instruction);
-// Actualizar créditos de forma atómica (prevenir race conditions)
-const { users, transactions } = await connectToDatabase();
-const updateResult = await users.updateOne(
-{ _id: user._id, creditsBalance: { $gte: totalCost } },
-{ $inc: { creditsBalance: -totalCost } }
-);
-if (updateResult.modifiedCount === 0) {
-console.error('❌ No se pudo actualizar el balance de créditos: créditos insuficientes');
-throw new Error('Créditos insuficientes para completar la operación');
-}
-// Obtener usuario actualizado para tener el balance correcto
-const updatedUser = await users.findOne({ _id: user._id });
-const remainingCredits = updatedUser.creditsBalance;
-console.log(`✅ Créditos actualizados: ${user.creditsBalance} → ${remainingCredits}`);
-// Registrar transacción
-await transactions.insertOne({
-userId: user._id,
-operation: operationType,
-model: model,
-creditsUsed: totalCost,
-creditsRemaining: remainingCredits,
-timestamp: new Date(),
-success: true,
-prompt: prompt.substring(0, 150) + (prompt.length > 150 ? '...' : '')
-});
-console.log('✅ Transacción registrada exitosamente');
+const orgId = parseObjectId(req.params.id);
+if (!orgId) {
+return sendError(res, new AppError('ORG_NOT_FOUND'));
+}
+try {
+const grant = await grantOrgCredits(orgId, amount, reason.trim().substring(0, 200), { grantedBy: 'admin' });
 res.json({
 success: true,
-dataUrl: result.dataUrl,
-creditsUsed: totalCost,
-remainingCredits: remainingCredits
+orgId: orgId.toString(),
+ledgerEntryId: grant.entryId.toString(),
+creditsBalance: grant.balanceAfter
 });
 } catch (error) {
-console.error('❌ Error en /api/generate:', error.message);
-// Registrar transacción fallida si tenemos el usuario
-if (user) {
-try {
-const { transactions } = await connectToDatabase();
-await transactions.insertOne({
-userId: user._id,
-operation: operationType,
-model: req.body.model || 'unknown',
-creditsUsed: 0,
-creditsRemaining: user.creditsBalance,
-timestamp: new Date(),
-success: false,
-errorMessage: error.message.substring(0, 200),
-prompt: req.body.prompt?.substring(0, 150) + (req.body.prompt?.length > 150 ? '...' : '')
+sendAdminError(res, 'POST /api/admin/orgs/:id/credits', error);
+}
 });
-console.log('✅ Transacción fallida registrada');
-} catch (logError) {
-console.error('❌ Error registrando transacción fallida:', logError.message);
+app.get('/api/admin/templates', requireAdmin, async (req, res) => {
+const filter = {};
+if (req.query.operation) filter.operation = String(req.query.operation);
+if (req.query.language) filter.language = String(req.query.language);
+if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+try {
+const { templates } = await connectToDatabase();
+const list = await templates.find(filter).sort({ templateId: 1, version: -1 }).toArray();
+res.json({ success: true, templates: list.map(serializeTemplate) });
+} catch (error) {
+sendAdminError(res, 'GET /api/admin/templates', error);
 }
+});
+// Crea una versión nueva de la plantilla operación/idioma (activa por defecto)
+app.post('/api/admin/templates', requireAdmin, async (req, res) => {
+const { operation, language, body, notes, activate = true } = req.body || {};
+if (!GENERATION_OPERATIONS.includes(operation)) {
+return sendError(res, new ValidationError(localizedText(`operation debe ser una de: ${GENERATION_OPERATIONS.join(', ')}`, `operation must be one of: ${GENERATION_OPERATIONS.join(', ')}`)));
 }
-// Determinar código de estado apropiado
-let statusCode = 500;
-let userMessage = 'Error interno del servidor. Por favor, inténtalo de nuevo.';
-if (error.message.includes('Token inválido') ||
-error.message.includes('Usuario no encontrado')) {
-statusCode = 401;
-userMessage = 'Autenticación fallida. Verifica tu token de acceso.';
+if (!SUPPORTED_INSTRUCTION_LANGUAGES.includes(language)) {
+return sendError(res, new ValidationError(localizedText(`language debe ser uno de: ${SUPPORTED_INSTRUCTION_LANGUAGES.join(', ')}`, `language must be one of: ${SUPPORTED_INSTRUCTION_LANGUAGES.join(', ')}`)));
 }
-else if (error.message.includes('Créditos insuficientes')) {
-statusCode = 400;
-userMessage = error.message;
+if (!body || typeof body !== 'string' || body.trim() === '') {
+return sendError(res, new ValidationError(localizedText('body es obligatorio', 'body is required')));
 }
-else if (error.message.includes('Error de Gemini API')) {
-statusCode = 400;
-userMessage = error.message;
+const unknown = findUnknownPlaceholders(body);
+if (unknown.length > 0) {
+return sendError(res, new ValidationError(localizedText(
+`Placeholders desconocidos: ${unknown.join(', ')}. Disponibles: ${TEMPLATE_PLACEHOLDERS.join(', ')}`,
+`Unknown placeholders: ${unknown.join(', ')}. Available: ${TEMPLATE_PLACEHOLDERS.join(', ')}`
+)));
 }
-else if (error.message.includes('timeout') || error.message.includes('Timeout')) {
-statusCode = 504;
-userMessage = 'La operación tardó demasiado. Intenta con un prompt más simple.';
+try {
+const { templates } = await connectToDatabase();
+const templateId = getTemplateId(operation, language);
+const latest = await templates.find({ templateId }).sort({ version: -1 }).limit(1).next();
+const template = {
+templateId,
+operation,
+language,
+version: (latest?.version || 0) + 1,
+body: body.trim(),
+active: false,
+notes: notes || null,
+createdAt: new Date()
+};
+const result = await templates.insertOne(template);
+template._id = result.insertedId;
+if (activate) {
+await activateTemplate(template);
+template.active = true;
 }
-// Nuevo caso para el error de fetch
-else if (error.message.includes('fetch is not a function') ||
-error.message.includes('fetch no está disponible')) {
-statusCode = 503;
-userMessage = 'Servicio temporalmente no disponible. Error en conexión con API de Gemini.';
+console.log(`📝 Plantilla ${templateId} v${template.version} creada por admin${activate ? ' (activa)' : ''}`);
+res.status(201).json({ success: true, template: serializeTemplate(template) });
+} catch (error) {
+sendAdminError(res, 'POST /api/admin/templates', error);
 }
-res.status(statusCode).json({
-success: false,
-message: userMessage,
-details: error.message // Solo para debugging, en producción quitar
 });
+// Activa una versión concreta (permite volver a una redacción anterior)
+app.post('/api/admin/templates/:id/activate', requireAdmin, async (req, res) => {
+const id = parseObjectId(req.params.id);
+try {
+const { templates } = await connectToDatabase();
+const template = id ? await templates.findOne({ _id: id }) : null;
+if (!template) {
+return sendError(res, new AppError('TEMPLATE_NOT_FOUND'));
+}
+await activateTemplate(template);
+console.log(`📝 Plantilla ${template.templateId} v${template.version} activada por admin`);
+res.json({ success: true, template: serializeTemplate({ ...template, active: true }) });
+} catch (error) {
+sendAdminError(res, 'POST /api/admin/templates/:id/activate', error);
 }
 });
 // ========================================
 // ENDPOINTS DE DIAGNÓSTICO
 // ========================================
+// /test-db y /debug-token exponen saldos y prefijos de token: solo para administradores
+app.get('/metrics', (req, res) => {
+if (process.env.METRICS_TOKEN) {
+const provided = (req.headers['authorization'] || '').replace(/^Bearer\s+/i, '');
+const expected = crypto.createHash('sha256').update(process.env.METRICS_TOKEN).digest();
+if (!crypto.timingSafeEqual(crypto.createHash('sha256').update(provided).digest(), expected)) {
+return sendError(res, new AppError('UNAUTHORIZED', {
+messages: localizedText('Token de métricas no válido', 'Invalid metrics token')
+}));
+}
+}
+res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+res.send(renderMetrics());
+});
 app.get('/health', (req, res) => {
 const uptime = process.uptime();
 const uptimeMinutes = Math.floor(uptime / 60);
 const uptimeSeconds = Math.floor(uptime % 60);
+const providerHealth = getImageProvider().health ? getImageProvider().health() : null;
 res.json({
-status: 'ok',
+// "degraded" mientras el circuito del proveedor esté abierto
+status: providerHealth?.circuit?.state === 'open' ? 'degraded' : 'ok',
 timestamp: new Date().toISOString(),
 uptime: `${uptimeMinutes}m ${uptimeSeconds}s`,
 nodeVersion: process.version,
 environment: process.env.NODE_ENV || 'development',
+imageProvider: IMAGE_PROVIDER,
+imageProviderHealth: providerHealth,
 fetchAvailable: typeof fetch === 'function'
 });
 });
-app.get('/test-db', async (req, res) => {
+app.get('/test-db', requireAdmin, async (req, res) => {
 try {
 console.log('🔍 Probando conexión a base de datos...');
 const { users } = await connectToDatabase();
 const userCount = await users.countDocuments();
-const sampleUser = await users.findOne({}, { projection: { token: 1, creditsBalance: 1 } });
+const sampleUser = await users.findOne({}, { projection: { creditsBalance: 1 } });
 console.log(`✅ Conexión exitosa. Total usuarios: ${userCount}`);
 res.json({
 success: true,
 message: 'Conexión a MongoDB exitosa',
 userCount,
 sampleUser: sampleUser ? {
-token: sampleUser.token.substring(0, 5) + '...',
+userId: sampleUser._id.toString(),
 creditsBalance: sampleUser.creditsBalance
 } : null,
 timestamp: new Date().toISOString(),
@@ -543,60 +6871,120 @@ fetchAvailable: typeof fetch === 'function'
 });
 } catch (error) {
 console.error('❌ Error en /test-db:', error.message);
-res.status(500).json({
-success: false,
-error: error.message,
-timestamp: new Date().toISOString()
-});
+sendError(res, error, { timestamp: new Date().toISOString() });
 }
 });
-app.post('/debug-token', async (req, res) => {
+app.post('/debug-token', requireAdmin, async (req, res) => {
 const { token } = req.body;
 if (!token) {
-return res.status(400).json({ error: 'Token requerido' });
+return sendError(res, new ValidationError(localizedText('token es obligatorio', 'token is required')));
 }
 try {
-const { users } = await connectToDatabase();
-const user = await users.findOne({ token: token.trim() });
+const { users, tokens } = await connectToDatabase();
+const tokenDoc = await tokens.findOne({ tokenHash: hashToken(token.trim()) });
+const user = tokenDoc ? await users.findOne({ _id: tokenDoc.userId }) : null;
 if (!user) {
-return res.status(404).json({
-exists: false,
-message: 'Token no encontrado en la base de datos'
-});
+return sendError(res, new AppError('NOT_FOUND', {
+messages: localizedText('Token no encontrado en la base de datos', 'Token not found in the database')
+}), { exists: false });
 }
 res.json({
 exists: true,
 userId: user._id.toString(),
 creditsBalance: user.creditsBalance,
 createdAt: user.createdAt,
-lastLogin: user.lastLogin
+lastLogin: user.lastLogin,
+token: serializeToken(tokenDoc)
 });
 } catch (error) {
 console.error('❌ Error en /debug-token:', error.message);
-res.status(500).json({ error: error.message });
+sendError(res, error);
 }
 });
 // ========================================
 // MANEJO DE ERRORES GLOBAL
 // ========================================
+// Errores de body-parser (JSON mal formado, cuerpo demasiado grande) a su código
+const BODY_PARSER_ERROR_CODES = {
+'entity.parse.failed': 'INVALID_JSON',
+'entity.too.large': 'PAYLOAD_TOO_LARGE'
+};
 app.use((err, req, res, next) => {
+if (BODY_PARSER_ERROR_CODES[err.type]) {
+console.warn(`⚠️ Cuerpo de solicitud rechazado (${err.type}): ${err.message}`);
+return sendError(res, new AppError(BODY_PARSER_ERROR_CODES[err.type], { internalMessage: err.message }));
+}
 console.error('❌ Error global no manejado:', err.message);
 console.error('Stack trace:', err.stack);
-res.status(500).json({
-success: false,
-message: 'Error interno del servidor',
-error: process.env.NODE_ENV === 'development' ? err.message : undefined
-});
+sendError(res, err);
 });
 app.use((req, res) => {
 console.warn(`⚠️ Ruta no encontrada: ${req.method} ${req.url}`);
-res.status(404).json({
-success: false,
-message: 'Endpoint no encontrado',
+sendError(res, new AppError('ENDPOINT_NOT_FOUND'), {
 availableEndpoints: [
 'POST /api/auth/verify-token',
+'GET /api/models',
 'POST /api/generate',
+'POST /api/generate/batch',
+'GET /api/generate/batch/:id',
+'POST /api/jobs',
+'GET /api/jobs/:id',
+'GET /api/transactions',
+'GET /api/images',
+'GET /api/images/:id',
+'GET /api/images/:id/content',
+'DELETE /api/images/:id',
+'GET /api/sessions',
+'POST /api/sessions',
+'GET /api/sessions/:id',
+'POST /api/sessions/:id/revert',
+'POST /api/sessions/:id/branch',
+'POST /api/provenance/inspect',
+'GET /api/webhooks',
+'POST /api/webhooks',
+'DELETE /api/webhooks/:id',
+'POST /api/webhooks/secret/rotate',
+'GET /api/webhooks/deliveries',
+'GET /api/credit-packages',
+'GET /api/plans',
+'POST /api/checkout',
+'GET /api/checkout/:id',
+'POST /api/payments/webhook',
+'GET /api/org',
+'GET /api/org/members',
+'PATCH /api/org/members/:userId',
+'DELETE /api/org/members/:userId',
+'GET /api/org/invitations',
+'POST /api/org/invitations',
+'DELETE /api/org/invitations/:id',
+'POST /api/org/invitations/accept',
+'GET /api/org/usage',
+'GET /api/tokens',
+'POST /api/tokens',
+'DELETE /api/tokens/:id',
+'PUT /api/preferences',
+'POST /api/admin/users',
+'GET /api/admin/users',
+'GET /api/admin/users/:id',
+'POST /api/admin/users/:id/disable',
+'POST /api/admin/users/:id/enable',
+'PUT /api/admin/users/:id/limits',
+'POST /api/admin/users/:id/tokens',
+'GET /api/admin/users/:id/tokens',
+'DELETE /api/admin/users/:id/tokens',
+'DELETE /api/admin/users/:id/tokens/:tokenId',
+'POST /api/admin/users/:id/credits',
+'PUT /api/admin/users/:id/plan',
+'DELETE /api/admin/users/:id/plan',
+'GET /api/admin/users/:id/ledger',
+'POST /api/admin/orgs',
+'GET /api/admin/orgs/:id',
+'POST /api/admin/orgs/:id/credits',
+'GET /api/admin/templates',
+'POST /api/admin/templates',
+'POST /api/admin/templates/:id/activate',
 'GET /health',
+'GET /metrics',
 'GET /test-db',
 'POST /debug-token'
 ]
@@ -610,7 +6998,20 @@ try {
 console.log('🚀 Iniciando servidor Nano Banana Backend...');
 console.log(`🔧 Puerto: ${port}`);
 console.log(`🌐 CORS habilitado para todos los orígenes`);
+if (!process.env.ADMIN_API_KEY) {
+console.warn('⚠️ ADMIN_API_KEY no configurada: API de administración y endpoints de diagnóstico deshabilitados');
+}
 console.log(`⚡ fetch disponible: ${typeof fetch === 'function' ? 'SÍ' : 'NO - ERROR CRÍTICO'}`);
+// Falla al arrancar si IMAGE_PROVIDER no es válido
+console.log(`🖼️ Proveedor de imágenes: ${getImageProvider().name}`);
+if (getPaymentProvider()) {
+console.log(`💶 Proveedor de pagos: ${getPaymentProvider().name}`);
+} else {
+console.warn(`⚠️ Compra de créditos deshabilitada${
+PAYMENT_PROVIDER === 'fake' ? ' (el proveedor "fake" requiere ALLOW_FAKE_PAYMENTS=1)'
+: PAYMENT_PROVIDER ? ` (proveedor "${PAYMENT_PROVIDER}" no disponible)` : ' (PAYMENT_PROVIDER no definido)'}`);
+}
+console.log(`💾 Almacenamiento de imágenes: ${getImageStorage().name} (retención: ${IMAGE_RETENTION_DAYS > 0 ? `${IMAGE_RETENTION_DAYS} días` : 'sin caducidad'})`);
 if (typeof fetch !== 'function') {
 console.error('❌ ERROR CRÍTICO: fetch no está disponible. Esto impedirá conexiones a Gemini API.');
 console.error('Solución: Instala node-fetch v2 con: npm install node-fetch@2');
@@ -618,16 +7019,43 @@ console.error('Solución: Instala node-fetch v2 con: npm install node-fetch@2');
 // Conexión inicial a base de datos
 await connectToDatabase();
 console.log('✅ Conexión inicial a base de datos establecida');
+await migrateLegacyBalances();
+await migrateLegacyTokens();
+await seedInstructionTemplates();
 const server = app.listen(port, () => {
 console.log(`✅ Servidor corriendo en puerto ${port}`);
 console.log(`🔗 Endpoints disponibles:`);
 console.log(`   - POST /api/auth/verify-token`);
-console.log(`   - POST /api/generate`);
+console.log(`   - GET  /api/models`);
+console.log(`   - POST /api/generate (Accept: text/event-stream para progreso en vivo)`);
+console.log(`   - POST /api/generate/batch, GET /api/generate/batch/:id`);
+console.log(`   - POST /api/jobs`);
+console.log(`   - GET  /api/jobs/:id`);
+console.log(`   - GET  /api/transactions (?format=csv)`);
+console.log(`   - GET  /api/images, GET|DELETE /api/images/:id, GET /api/images/:id/content`);
+console.log(`   - GET|POST /api/sessions, GET /api/sessions/:id, POST /api/sessions/:id/revert|branch`);
+console.log(`   - GET|POST /api/webhooks, DELETE /api/webhooks/:id, GET /api/webhooks/deliveries`);
+console.log(`   - GET  /api/credit-packages, POST /api/checkout, GET /api/checkout/:id`);
+console.log(`   - GET  /api/plans`);
+console.log(`   - POST /api/payments/webhook`);
+console.log(`   - GET  /api/org, /api/org/members, /api/org/invitations, /api/org/usage`);
+console.log(`   - GET|POST /api/tokens, DELETE /api/tokens/:id`);
+console.log(`   - PUT  /api/preferences`);
+console.log(`   - /api/admin/* (requiere X-Admin-Key)`);
 console.log(`   - GET  /health`);
-console.log(`   - GET  /test-db`);
-console.log(`   - POST /debug-token`);
+console.log(`   - GET  /metrics`);
+console.log(`   - GET  /test-db (admin)`);
+console.log(`   - POST /debug-token (admin)`);
 console.log('========================================');
 });
+// Procesar jobs de generación en segundo plano
+startJobWorker();
+// Eliminar imágenes que superan el período de retención
+startImagePurge();
+// Entregar y reintentar webhooks pendientes
+startWebhookWorker();
+// Renovar planes y caducar créditos vencidos
+startPlanRenewalJob();
 // Mantener MongoDB conectado
 setInterval(async () => {
 try {
@@ -651,6 +7079,10 @@ console.error('❌ Error reconectando a MongoDB:', reconnectError.message);
 const gracefulShutdown = async () => {
 console.log('🔄 Iniciando apagado elegante del servidor...');
 try {
+if (jobWorkerInterval) clearInterval(jobWorkerInterval);
+if (imagePurgeInterval) clearInterval(imagePurgeInterval);
+if (webhookWorkerInterval) clearInterval(webhookWorkerInterval);
+if (planRenewalInterval) clearInterval(planRenewalInterval);
 if (dbClient) {
 await dbClient.close();
 console.log('✅ Conexión a MongoDB cerrada');
@@ -672,8 +7104,19 @@ console.error('Stack trace:', error.stack);
 process.exit(1);
 }
 }
-// Iniciar la aplicación
+// Iniciar la aplicación solo al ejecutar el archivo; los tests lo cargan con require
+// para probar el ledger sin levantar el servidor
+if (require.main === module) {
 startServer().catch(err => {
 console.error('❌ Error fatal en startup:', err.message);
 process.exit(1);
 });
+}
+module.exports = {
+holdCredits,
+captureHold,
+releaseHold,
+grantCredits,
+assignPlan,
+computeLedgerBalance
+};
@@ -0,0 +1,248 @@
+// Invariante del ledger: tras cualquier combinación de hold → capture/release,
+// users.creditsBalance y users.creditsHeld coinciden con computeLedgerBalance().
+// MongoDB se sustituye por un doble en memoria (con transacciones que deshacen sus
+// escrituras al fallar) para que la prueba corra sin servidor de base de datos.
+const test = require('node:test');
+const assert = require('node:assert');
+const mongodb = require('mongodb');
+const { ObjectId } = mongodb;
+// ========================================
+// MONGODB EN MEMORIA
+// ========================================
+function cloneValue(value) {
+if (value instanceof ObjectId) return value;
+if (value instanceof Date) return new Date(value);
+if (Array.isArray(value)) return value.map(cloneValue);
+if (value && typeof value === 'object') {
+return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cloneValue(item)]));
+}
+return value;
+}
+function getPath(doc, path) {
+return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+function setPath(doc, path, value) {
+const keys = path.split('.');
+const last = keys.pop();
+const target = keys.reduce((node, key) => (node[key] ??= {}), doc);
+target[last] = value;
+}
+function sameValue(a, b) {
+if (a == null || b == null) return a == null && b == null;
+if (a instanceof ObjectId || b instanceof ObjectId) return a instanceof ObjectId && b instanceof ObjectId && a.equals(b);
+if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+return a === b;
+}
+function matchesCondition(value, condition) {
+const isOperator = condition && typeof condition === 'object' && !(condition instanceof ObjectId) &&
+!(condition instanceof Date) && Object.keys(condition).some(key => key.startsWith('$'));
+if (!isOperator) return sameValue(value, condition);
+return Object.entries(condition).every(([operator, operand]) => {
+switch (operator) {
+case '$gte': return value != null && value >= operand;
+case '$lte': return value != null && value <= operand;
+case '$ne': return !sameValue(value, operand);
+case '$exists': return (value !== undefined) === operand;
+default: throw new Error(`Operador no soportado por el doble de MongoDB: ${operator}`);
+}
+});
+}
+function matchesFilter(doc, filter) {
+return Object.entries(filter).every(([path, condition]) => matchesCondition(getPath(doc, path), condition));
+}
+// Cede el turno entre operaciones para que las llamadas concurrentes se intercalen
+const yieldTurn = () => new Promise(resolve => setImmediate(resolve));
+class FakeCollection {
+constructor() {
+this.docs = [];
+this.uniqueIndexes = [];
+}
+async createIndex(keys, options = {}) {
+if (options.unique) this.uniqueIndexes.push({ fields: Object.keys(keys), partial: options.partialFilterExpression });
+}
+async findOne(filter) {
+await yieldTurn();
+const doc = this.docs.find(item => matchesFilter(item, filter));
+return doc ? cloneValue(doc) : null;
+}
+async insertOne(input, { session } = {}) {
+await yieldTurn();
+const doc = cloneValue({ _id: new ObjectId(), ...input });
+for (const index of this.uniqueIndexes) {
+if (index.partial && !matchesFilter(doc, index.partial)) continue;
+const duplicate = this.docs.some(item =>
+(!index.partial || matchesFilter(item, index.partial)) &&
+index.fields.every(field => sameValue(getPath(item, field), getPath(doc, field)))
+);
+if (duplicate) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+}
+this.docs.push(doc);
+session?.undo.push(() => { this.docs = this.docs.filter(item => item !== doc); });
+return { insertedId: doc._id };
+}
+async findOneAndUpdate(filter, update, { returnDocument = 'before', session } = {}) {
+await yieldTurn();
+const position = this.docs.findIndex(item => matchesFilter(item, filter));
+if (position === -1) return null;
+const before = this.docs[position];
+const after = cloneValue(before);
+for (const [path, value] of Object.entries(update.$set || {})) setPath(after, path, cloneValue(value));
+for (const [path, value] of Object.entries(update.$inc || {})) setPath(after, path, (getPath(after, path) || 0) + value);
+for (const [path, value] of Object.entries(update.$push || {})) setPath(after, path, [...(getPath(after, path) || []), cloneValue(value)]);
+this.docs[position] = after;
+session?.undo.push(() => {
+const current = this.docs.indexOf(after);
+if (current !== -1) this.docs[current] = before;
+});
+return cloneValue(returnDocument === 'after' ? after : before);
+}
+aggregate(pipeline) {
+const [{ $match: match }, { $group: group }] = pipeline;
+const groupField = group._id.slice(1);
+const sumField = group.total.$sum.slice(1);
+const totals = new Map();
+for (const doc of this.docs.filter(item => matchesFilter(item, match))) {
+const key = getPath(doc, groupField);
+totals.set(key, (totals.get(key) || 0) + getPath(doc, sumField));
+}
+return (async function* () {
+await yieldTurn();
+for (const [key, total] of totals) yield { _id: key, total };
+})();
+}
+}
+// Sin aislamiento entre transacciones: solo se garantiza que una transacción
+// que falla deshace todas sus escrituras, como en MongoDB
+class FakeSession {
+constructor() {
+this.undo = [];
+}
+async withTransaction(fn) {
+this.undo = [];
+try {
+await fn();
+} catch (error) {
+for (const revert of this.undo.reverse()) revert();
+throw error;
+} finally {
+this.undo = [];
+}
+}
+async endSession() {}
+}
+const collections = new Map();
+function getCollection(name) {
+if (!collections.has(name)) collections.set(name, new FakeCollection());
+return collections.get(name);
+}
+class FakeMongoClient {
+constructor() {
+this.topology = { isConnected: () => true };
+}
+async connect() {}
+async close() {}
+startSession() {
+return new FakeSession();
+}
+db() {
+return {
+command: async () => ({ ok: 1 }),
+collection: getCollection
+};
+}
+}
+class FakeGridFSBucket {}
+require.cache[require.resolve('mongodb')].exports = { ...mongodb, MongoClient: FakeMongoClient, GridFSBucket: FakeGridFSBucket };
+process.env.MONGODB_URI = 'mongodb://ledger-test';
+process.env.IMAGE_PROVIDER = 'mock';
+const {
+holdCredits,
+captureHold,
+releaseHold,
+grantCredits,
+assignPlan,
+computeLedgerBalance
+} = require('../server');
+// ========================================
+// PRUEBAS
+// ========================================
+const TEST_PLAN = { id: 'test', monthlyCredits: 40 };
+async function createUser() {
+const userId = new ObjectId();
+await getCollection('users').insertOne({ _id: userId, creditsBalance: 0, creditsHeld: 0, ledgerInitialized: true });
+return userId;
+}
+async function assertCacheMatchesLedger(userId) {
+const user = await getCollection('users').findOne({ _id: userId });
+const ledger = await computeLedgerBalance(userId);
+assert.strictEqual(user.creditsBalance, ledger.available, 'creditsBalance distinto del ledger');
+assert.strictEqual(user.creditsHeld, ledger.held, 'creditsHeld distinto del ledger');
+// Las bolsas con caducidad nunca suman más que el saldo disponible ni que lo retenido
+const buckets = user.creditBuckets || [];
+assert.ok(buckets.reduce((sum, bucket) => sum + bucket.amount, 0) <= user.creditsBalance);
+assert.ok(buckets.reduce((sum, bucket) => sum + (bucket.held || 0), 0) <= user.creditsHeld);
+return ledger;
+}
+test('capture y release mantienen la caché igual al ledger', async () => {
+const userId = await createUser();
+await grantCredits(userId, 100, 'test');
+const captured = await holdCredits(userId, 30);
+await assertCacheMatchesLedger(userId);
+await captureHold({ userId, ...captured });
+const released = await holdCredits(userId, 20);
+await releaseHold({ userId, ...released });
+const ledger = await assertCacheMatchesLedger(userId);
+assert.strictEqual(ledger.available, 70);
+assert.strictEqual(ledger.held, 0);
+});
+test('un hold que abarca bolsa de plan y saldo sin caducidad se liquida entero', async () => {
+const userId = await createUser();
+await assignPlan(userId, TEST_PLAN);
+await grantCredits(userId, 10, 'test');
+const released = await holdCredits(userId, 45);
+assert.deepStrictEqual(released.buckets.map(bucket => bucket.amount), [40]);
+await assertCacheMatchesLedger(userId);
+await releaseHold({ userId, ...released });
+await assertCacheMatchesLedger(userId);
+const captured = await holdCredits(userId, 25);
+await captureHold({ userId, ...captured });
+const ledger = await assertCacheMatchesLedger(userId);
+assert.strictEqual(ledger.available, 25);
+});
+test('un hold ya liquidado no se cobra ni se libera otra vez', async () => {
+const userId = await createUser();
+await grantCredits(userId, 50, 'test');
+const hold = await holdCredits(userId, 20);
+assert.ok(await captureHold({ userId, ...hold }));
+assert.strictEqual(await releaseHold({ userId, ...hold }), null);
+assert.strictEqual(await captureHold({ userId, ...hold }), null);
+const ledger = await assertCacheMatchesLedger(userId);
+assert.strictEqual(ledger.available, 30);
+});
+test('holds y liquidaciones concurrentes mantienen la caché igual al ledger', async () => {
+const userId = await createUser();
+await assignPlan(userId, TEST_PLAN);
+await grantCredits(userId, 20, 'test');
+const results = await Promise.allSettled(Array.from({ length: 12 }, () => holdCredits(userId, 10)));
+const holds = results.filter(result => result.status === 'fulfilled').map(result => ({ userId, ...result.value }));
+for (const result of results.filter(result => result.status === 'rejected')) {
+assert.ok(['INSUFFICIENT_CREDITS', 'CREDITS_CONFLICT'].includes(result.reason.code), result.reason.message);
+}
+// Nunca se aparta más de lo que había
+assert.ok(holds.length > 0 && holds.length <= 6);
+let ledger = await assertCacheMatchesLedger(userId);
+assert.strictEqual(ledger.held, holds.length * 10);
+assert.strictEqual(ledger.available, 60 - holds.length * 10);
+// La mitad se cobra y la otra mitad se libera a la vez; el primer hold recibe además
+// un release concurrente que debe perder frente a su capture (o ganarle), nunca ambos
+const settlements = await Promise.all([
+...holds.map((hold, index) => (index % 2 === 0 ? captureHold(hold) : releaseHold(hold))),
+releaseHold(holds[0])
+]);
+assert.strictEqual(settlements.filter(settlement => settlement === null).length, 1);
+ledger = await assertCacheMatchesLedger(userId);
+assert.strictEqual(ledger.held, 0);
+const { totals } = ledger;
+assert.strictEqual(totals.capture + totals.release, holds.length * 10);
+assert.strictEqual(ledger.available, 60 - totals.capture);
+});